@@ -12,4 +12,10 @@ import "./ProjectReimbursementOptimized.sol";
 contract ProjectReimbursementV3 is ProjectReimbursementOptimized {
     // V3 contract inherits all functionality from the optimized base contract
     // No additional functionality needed - just provides the V3 naming
+
+    /**
+     * @param extension First module of the chain (the admin module)
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address extension) ProjectReimbursementOptimized(extension) {}
 }
\ No newline at end of file
@@ -0,0 +1,1650 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Using Solidity 0.8+ with built-in overflow protection
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "./AdminProtectedAccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../interfaces/IOMTHB.sol";
+import "../libraries/ValidationLib.sol";
+import "../libraries/ViewLib.sol";
+import "../libraries/ArrayLib.sol";
+import "../libraries/EmergencyClosureLib.sol";
+import "../libraries/ApprovalPolicyLib.sol";
+import "../libraries/BudgetCategoryLib.sol";
+import "../libraries/FiscalPeriodLib.sol";
+import "../libraries/MilestoneLib.sol";
+import "../libraries/AmendmentLib.sol";
+
+/**
+ * @title ProjectReimbursementBase
+ * @notice Storage, types, events and internal logic shared by ProjectReimbursementOptimized and its modules
+ * @dev The project contract and every module inherit this contract unchanged, so they share one storage layout.
+ *      Calls to functions a contract does not implement fall through to the next module of the chain.
+ */
+abstract contract ProjectReimbursementBase is 
+    Initializable,
+    AdminProtectedAccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    EIP712Upgradeable
+{
+    using ArrayLib for uint256[];
+    using ApprovalPolicyLib for ApprovalPolicyLib.ApprovalPolicy[];
+    using BudgetCategoryLib for BudgetCategoryLib.BudgetCategory;
+    using BudgetCategoryLib for mapping(bytes32 => BudgetCategoryLib.BudgetCategory);
+    using FiscalPeriodLib for FiscalPeriodLib.FiscalPeriod[];
+    using MilestoneLib for MilestoneLib.MilestonePlan;
+
+    /// @notice Approval roles
+    bytes32 public constant SECRETARY_ROLE = keccak256("SECRETARY_ROLE");
+    bytes32 public constant COMMITTEE_ROLE = keccak256("COMMITTEE_ROLE");
+    bytes32 public constant FINANCE_ROLE = keccak256("FINANCE_ROLE");
+    bytes32 public constant DIRECTOR_ROLE = keccak256("DIRECTOR_ROLE");
+    bytes32 public constant REQUESTER_ROLE = keccak256("REQUESTER_ROLE");
+
+    /// @notice Maximum recipients per request for gas efficiency
+    uint256 public constant MAX_RECIPIENTS = 10;
+
+    /// @notice Reimbursement status enum
+    enum Status {
+        Pending,
+        SecretaryApproved,
+        CommitteeApproved,
+        FinanceApproved,
+        DirectorApproved,
+        Distributed,
+        Cancelled,
+        Rejected,
+        PartiallyDistributed
+    }
+    
+    /// @notice Approval stage a request is waiting on
+    enum ApprovalStage {
+        Secretary,
+        Committee,
+        Finance,
+        CommitteeAdditional,
+        Director,
+        Complete
+    }
+    
+    /// @notice Lifecycle of a budget change
+    enum BudgetChangeStatus {
+        Proposed,
+        FinanceApproved,
+        Executed,
+        Cancelled
+    }
+    
+    /// @notice Reason codes for approver rejections
+    enum RejectionReason {
+        Other,
+        InsufficientDocumentation,
+        IneligibleExpense,
+        IncorrectAmount,
+        DuplicateRequest,
+        ExceedsPolicy
+    }
+
+    /// @notice Reimbursement request structure with multi-recipient support
+    struct ReimbursementRequest {
+        uint256 id;
+        address requester;
+        address[] recipients;      // Array of recipient addresses
+        uint256[] amounts;         // Array of amounts for each recipient
+        uint256 totalAmount;       // Total amount across all recipients
+        string description;
+        string documentHash;       // IPFS hash or document reference
+        Status status;
+        uint256 createdAt;
+        uint256 updatedAt;
+        uint256 paymentDeadline;   // Slippage protection: payment must execute before this time
+        ApprovalInfo approvalInfo;
+        address virtualPayer;      // Virtual payer address (for tracking purposes)
+    }
+    
+    struct ApprovalInfo {
+        address secretaryApprover;
+        address committeeApprover;
+        address financeApprover;
+        address[] committeeAdditionalApprovers; // Array to store multiple committee approvers
+        address directorApprover;
+    }
+    
+    struct ApprovalDelegation {
+        address delegate;
+        uint256 expiry;
+    }
+    
+    struct ClaimableCredit {
+        uint256 amount;
+        uint256 lastCreditedAt;    // Redirect timeout runs from the latest credit
+    }
+    
+    /// @notice Settlement state of a cash advance
+    struct AdvanceInfo {
+        bool isAdvance;
+        bool settled;
+        uint64 settlementDeadline;     // Receipts are due by this time once paid out
+        uint256 spentAmount;           // Total backed by receipts
+        uint256 returnedAmount;        // Unused portion returned to the project
+        string[] receiptDocuments;
+        uint256[] receiptAmounts;
+    }
+    
+    /// @notice A proposed or executed change of the project budget
+    struct BudgetChange {
+        uint256 oldBudget;             // Budget replaced on execution
+        uint256 newBudget;
+        string reason;                 // Empty for direct timelock updates
+        string documentHash;
+        address proposer;
+        address financeApprover;
+        address directorApprover;
+        uint64 proposedAt;
+        uint64 executedAt;
+        BudgetChangeStatus status;
+    }
+    
+    struct RejectionInfo {
+        address rejectedBy;
+        Status stage;              // Status the request was in when rejected
+        RejectionReason reasonCode;
+        uint256 rejectedAt;
+    }
+    
+    /// @notice Approval signed off-chain by an approver (or their delegate)
+    struct SignedApproval {
+        uint256 requestId;
+        ApprovalStage stage;
+        uint256 deadline;
+        bytes signature;
+    }
+    
+    /// @notice Fixed-size view of a request for list queries
+    struct RequestSummary {
+        uint256 id;
+        address requester;
+        uint256 totalAmount;
+        uint256 recipientCount;
+        Status status;
+        uint256 createdAt;
+        uint256 updatedAt;
+        address virtualPayer;
+    }
+    
+    /// @notice One step in a request's history
+    struct TimelineEntry {
+        Status status;             // Status after the step
+        address actor;
+        uint64 timestamp;
+        bytes32 noteHash;          // Hash of an attached note or document (0 if none)
+        address delegate;          // Delegate who acted for the actor (0 if the actor acted)
+    }
+    
+    /// @notice Per-request data added after the original layout; new fields are appended here
+    struct RequestExtension {
+        AmendmentLib.RequestVersion[] versions;   // Superseded versions, oldest first
+        TimelineEntry[] timeline;                 // Append-only status history
+        bool distributionQueued;                  // Approved but held back by the outflow limits
+        uint64 releaseAt;                         // Earliest payout time chosen by the requester (0 if none)
+        AdvanceInfo advance;                      // Settlement of cash advances
+        uint256 refundedAmount;                   // Overpayments returned by recipients
+        mapping(address => uint256) refundedBy;   // Returned amount per recipient
+        string queuedTrancheDocument;             // Document of a milestone tranche held back by the outflow limits
+        uint64 paidAt;                            // Time of the latest payout, whose fiscal period refunds go back to
+    }
+    
+    /// @notice Outflow caps per rolling window (0 means unlimited)
+    struct VelocityLimits {
+        uint128 dailyCap;
+        uint128 weeklyCap;
+    }
+
+    /// @notice Project information
+    string public projectId;
+    address public projectFactory;
+    IOMTHB public omthbToken;
+    uint256 public projectBudget;
+    uint256 public totalDistributed;
+    
+    /// @notice Request counter
+    uint256 internal _requestIdCounter;
+    
+    /// @notice Reimbursement requests mapping
+    mapping(uint256 => ReimbursementRequest) public requests;
+    
+    /// @notice Active request IDs
+    uint256[] public activeRequestIds;
+    
+    /// @notice Mapping to track active requests per user for cleanup
+    mapping(address => uint256[]) public activeRequestsPerUser;
+    
+    /// @notice Mapping to track index of request in activeRequestsPerUser array
+    mapping(uint256 => uint256) private requestIndexInUserArray;
+    
+    /// @notice Emergency closure counter
+    uint256 internal _closureIdCounter;
+    
+    /// @notice Emergency closure requests mapping
+    mapping(uint256 => EmergencyClosureLib.EmergencyClosureRequest) public closureRequests;
+    
+    /// @notice Active closure request ID (only one allowed at a time)
+    uint256 public activeClosureRequestId;
+    
+    /// @notice Virtual payer mapping (requestId => virtual payer address)
+    mapping(uint256 => address) public virtualPayers;
+    
+    /// @notice Commit-reveal mechanism for front-running protection
+    mapping(uint256 => mapping(address => bytes32)) public approvalCommitments;
+    mapping(uint256 => mapping(address => uint256)) public commitTimestamps;
+    uint256 public constant REVEAL_WINDOW = 30 minutes; // Minimum time before reveal
+    
+    /// @notice Commit-reveal for emergency closures
+    mapping(uint256 => mapping(address => bytes32)) public closureCommitments;
+    mapping(uint256 => mapping(address => uint256)) public closureCommitTimestamps;
+    
+    /// @notice Maximum duration of an approval delegation
+    uint256 public constant MAX_DELEGATION_DURATION = 30 days;
+    
+    /// @notice Gas DoS Protection Constants
+    uint256 public constant MAX_BATCH_SIZE = 100;
+    uint256 public constant MAX_ARRAY_LENGTH = 50;
+    uint256 public constant MAX_QUERY_SCAN = 1000;
+    
+    /// @notice Slippage protection constant - 7 days payment deadline after final approval
+    uint256 public constant PAYMENT_DEADLINE_DURATION = 7 days;
+    
+    /// @notice EIP-712 type of a signed approval; version is the request's amendment count
+    bytes32 public constant APPROVAL_TYPEHASH = keccak256(
+        "Approval(uint256 requestId,uint8 stage,uint256 version,uint256 deadline)"
+    );
+    
+    /// @notice EIP-712 type of a signed budget change approval
+    bytes32 public constant BUDGET_CHANGE_TYPEHASH = keccak256(
+        "BudgetChangeApproval(uint256 proposalId,uint8 stage,uint256 deadline)"
+    );
+    
+    /// @notice Furthest a requester can schedule the payout of a request
+    uint256 public constant MAX_RELEASE_DELAY = 365 days;
+    
+    /// @notice Time a recipient has to settle a cash advance after payout
+    uint256 public constant ADVANCE_SETTLEMENT_PERIOD = 30 days;
+    uint256 public constant MAX_OPEN_ADVANCES = 5;
+    
+    /// @notice Time an unclaimed credit must sit before finance can redirect it
+    uint256 public constant CLAIM_REDIRECT_TIMEOUT = 30 days;
+    
+    /// @notice Timelock constants for critical admin functions
+    uint256 public constant TIMELOCK_DURATION = 2 days;
+    uint256 public constant MIN_TIMELOCK_DURATION = 1 days;
+    
+    /// @notice Pending admin for two-step ownership transfer
+    address public pendingAdmin;
+    uint256 public pendingAdminTimestamp;
+    
+    /// @notice Current admin being replaced during transfer
+    address public adminBeingReplaced;
+    
+    /// @notice Timelock queue for critical operations
+    mapping(bytes32 => uint256) public timelockQueue;
+    
+    /// @notice Circuit breaker for emergency stops
+    bool public emergencyStop;
+    
+    /// @notice Timelock controller for admin functions
+    address public timelockController;
+    
+    /// @notice Current admin address for tracking admin transfers
+    address public currentAdmin;
+    
+    /// @notice Minimum and maximum reimbursement amounts
+    uint256 public constant MIN_REIMBURSEMENT_AMOUNT = 100 * 10**18; // 100 OMTHB
+    uint256 public constant MAX_REIMBURSEMENT_AMOUNT = 1000000 * 10**18; // 1M OMTHB
+    
+    /// @notice Required number of additional committee approvers
+    uint256 public constant REQUIRED_COMMITTEE_ADDITIONAL_APPROVERS = 3;
+    
+    /// @notice Required number of committee approvers for emergency closure
+    uint256 public constant REQUIRED_CLOSURE_COMMITTEE_APPROVERS = 3;
+    
+    /// @notice Role management commit-reveal mechanism
+    mapping(bytes32 => mapping(address => bytes32)) public roleCommitments;
+    mapping(bytes32 => mapping(address => uint256)) public roleCommitTimestamps;
+    
+    /// @notice Multi-sig requirement for critical functions
+    uint256 public constant CRITICAL_OPERATION_THRESHOLD = 2;
+    mapping(bytes32 => address[]) public criticalOperationApprovers;
+    
+    /// @notice Time window for critical operations (5 minutes)
+    uint256 public constant CRITICAL_OPERATION_TIME_WINDOW = 5 minutes;
+    
+    /// @notice Admin initialization flag
+    bool public adminInitialized;
+    
+    /// @notice Treasury tracking for deposits and funds locked by approved requests
+    uint256 public totalDeposited;
+    uint256 public totalLocked;
+    mapping(uint256 => uint256) public lockedAmounts;
+    mapping(address => uint256) public depositorBalances;
+    
+    /// @notice Rejection details for rejected requests
+    mapping(uint256 => RejectionInfo) public rejections;
+    
+    /// @notice Next module of the delegatecall chain (address(0) for the last module)
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _extension;
+
+    /// @notice Storage gap for upgrades
+    uint256[20] private __gap;  // Reduced by 9: virtualPayers mapping, currentAdmin, adminInitialized, adminBeingReplaced, treasury tracking (4), and rejections
+
+    /// @notice State of the features added after the original layout, kept outside the sequential slots
+    /// @custom:storage-location erc7201:omthb.storage.ProjectReimbursementFeatures
+    struct FeatureStorage {
+        // Amount-tiered approval policies (empty means the default five-step chain)
+        ApprovalPolicyLib.ApprovalPolicy[] approvalPolicies;
+
+        // Policy snapshot taken when each request was created
+        mapping(uint256 => ApprovalPolicyLib.ApprovalPolicy) requestPolicies;
+
+        // Directors approving after the first one, for tiers requiring several directors
+        mapping(uint256 => address[]) additionalDirectorApprovers;
+
+        // Time-bound approval delegations (role => delegator => delegation)
+        mapping(bytes32 => mapping(address => ApprovalDelegation)) approvalDelegations;
+
+        // Reverse lookup of delegations (role => delegate => delegator)
+        mapping(bytes32 => mapping(address => address)) delegators;
+
+        // Budget categories with their own caps (categoryId => category)
+        mapping(bytes32 => BudgetCategoryLib.BudgetCategory) budgetCategories;
+        bytes32[] budgetCategoryIds;
+
+        // Budget category of each recipient line (requestId => categories)
+        mapping(uint256 => bytes32[]) requestLineCategories;
+
+        // Fiscal periods with their own spending caps, in chronological order
+        FiscalPeriodLib.FiscalPeriod[] fiscalPeriods;
+
+        // Tranche schedules of milestone-based requests (requestId => plan)
+        mapping(uint256 => MilestoneLib.MilestonePlan) milestonePlans;
+
+        // Pull-payment mode: distributions credit recipients who then claim
+        bool claimMode;
+        uint256 totalClaimable;
+        mapping(address => ClaimableCredit) claimableCredits;
+
+        // Per-request extension data (requestId => extension)
+        mapping(uint256 => RequestExtension) requestExtensions;
+
+        // All request IDs created by each requester, including closed ones
+        mapping(address => uint256[]) requesterRequestIds;
+
+        // Accounts allowed to approve despite a conflict of interest (small teams)
+        mapping(address => bool) conflictExemptions;
+
+        // Distribution velocity limits and amount distributed per day (day index => amount)
+        VelocityLimits velocityLimits;
+        mapping(uint256 => uint256) dailyOutflow;
+
+        // Paid-out cash advances awaiting settlement (recipient => request IDs)
+        mapping(address => uint256[]) openAdvances;
+
+        // Every budget change proposal, direct update and transfer, oldest first
+        BudgetChange[] budgetChanges;
+        // New feature state is appended here
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("omthb.storage.ProjectReimbursementFeatures")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant FEATURE_STORAGE_LOCATION = 0x359ee0b9df768a1076883f0f7564cb8dd181017f14768be12e93111c81ee2a00;
+
+    /// @notice Events - Enhanced for multi-recipient support
+    event RequestCreated(
+        uint256 indexed requestId,
+        address indexed requester,
+        address[] recipients,
+        uint256[] amounts,
+        uint256 totalAmount,
+        string description,
+        address virtualPayer
+    );
+    
+    event RequestApproved(
+        uint256 indexed requestId,
+        Status indexed newStatus,
+        address indexed approver
+    );
+    
+    event RequestCancelled(uint256 indexed requestId, address indexed canceller);
+    event RequestRejected(
+        uint256 indexed requestId,
+        address indexed rejector,
+        Status indexed stage,
+        RejectionReason reasonCode,
+        string note
+    );
+    event FundsDistributed(uint256 indexed requestId, address[] recipients, uint256[] amounts, uint256 totalAmount, address virtualPayer);
+    event SingleDistribution(uint256 indexed requestId, address indexed recipient, uint256 amount);
+    event TotalDistributedUpdated(uint256 oldTotal, uint256 newTotal);
+    event BudgetUpdated(uint256 oldBudget, uint256 newBudget);
+    event BudgetChangeProposed(uint256 indexed proposalId, address indexed proposer, uint256 newBudget, string reason, string documentHash);
+    event BudgetChangeApproved(uint256 indexed proposalId, address indexed approver, ApprovalStage stage);
+    event BudgetChangeExecuted(uint256 indexed proposalId, uint256 oldBudget, uint256 newBudget);
+    event BudgetChangeCancelled(uint256 indexed proposalId, address indexed cancelledBy);
+    event BudgetTransferredOut(uint256 indexed transferId, address indexed destination, uint256 amount);
+    event BudgetTransferredIn(uint256 indexed transferId, address indexed source, uint256 amount);
+    event ApprovalCommitted(uint256 indexed requestId, address indexed approver, uint256 timestamp, uint256 chainId);
+    event ApprovalRevealed(uint256 indexed requestId, address indexed approver, Status newStatus);
+    // RoleGranted and RoleRevoked events are already defined in AccessControl
+    event AdminTransferInitiated(address indexed currentAdmin, address indexed pendingAdmin, uint256 timestamp);
+    event AdminTransferCompleted(address indexed previousAdmin, address indexed newAdmin);
+    event TimelockOperationQueued(bytes32 indexed operationId, address indexed target, uint256 executeTime);
+    event TimelockOperationExecuted(bytes32 indexed operationId, address indexed target);
+    event TimelockOperationCancelled(bytes32 indexed operationId);
+    event EmergencyPause(address indexed caller, uint256 timestamp);
+    event EmergencyUnpause(address indexed caller, uint256 timestamp);
+    event TimelockControllerUpdated(address indexed previousController, address indexed newController);
+    event RoleCommitted(bytes32 indexed role, address indexed account, address indexed committer, uint256 timestamp);
+    event RoleGrantedWithReveal(bytes32 indexed role, address indexed account, address indexed granter);
+    event CriticalOperationApproved(bytes32 indexed operationId, address indexed approver, uint256 approverCount);
+    event ClosureCommitted(uint256 indexed closureId, address indexed approver, uint256 timestamp);
+    event ClosureApprovalRevealed(uint256 indexed closureId, address indexed approver);
+    event OMTHBDeposited(address indexed depositor, uint256 amount, uint256 newBalance);
+    event FundsLocked(uint256 indexed requestId, uint256 amount, uint256 totalLocked);
+    event FundsUnlocked(uint256 indexed requestId, uint256 amount, uint256 totalLocked);
+    event ApprovalPoliciesUpdated(uint256 tierCount);
+    event ApprovalDelegated(bytes32 indexed role, address indexed delegator, address indexed delegate, uint256 expiry);
+    event ApprovalDelegationRevoked(bytes32 indexed role, address indexed delegator, address indexed delegate);
+    event ApprovedOnBehalf(uint256 indexed requestId, address indexed delegate, address indexed delegator, bytes32 role);
+    event BudgetCategoryUpdated(bytes32 indexed categoryId, uint256 oldCap, uint256 newCap);
+    event RequestCategoriesAssigned(uint256 indexed requestId, bytes32[] categories);
+    event FiscalPeriodAdded(uint256 indexed periodIndex, uint256 start, uint256 end, uint256 cap, bool rollover);
+    event FiscalPeriodCapUpdated(uint256 indexed periodIndex, uint256 oldCap, uint256 newCap);
+    event MilestonesConfigured(uint256 indexed requestId, uint16[] trancheBps);
+    event TrancheReleased(uint256 indexed requestId, uint256 indexed trancheIndex, uint256 amount, string documentHash);
+    event RequestAmended(uint256 indexed requestId, uint256 indexed version, bytes32 previousVersionHash, uint256 oldTotalAmount, uint256 newTotalAmount);
+    event ClaimModeUpdated(bool enabled);
+    event ConflictExemptionUpdated(address indexed account, bool exempt);
+    event BatchItemFailed(uint256 indexed requestId, bytes4 indexed selector, bytes reason);
+    event SignedApprovalSubmitted(uint256 indexed requestId, address indexed signer, address indexed submitter, Status status);
+    event ClaimCredited(uint256 indexed requestId, address indexed recipient, uint256 amount);
+    event Claimed(address indexed recipient, address indexed caller, uint256 amount);
+    event ClaimRedirected(address indexed recipient, address indexed newRecipient, address indexed redirectedBy, uint256 amount);
+    event VelocityLimitsUpdated(uint256 dailyCap, uint256 weeklyCap);
+    event DistributionQueued(uint256 indexed requestId, uint256 amount);
+    event ReleaseDateSet(uint256 indexed requestId, uint256 releaseAt);
+    event DistributionScheduled(uint256 indexed requestId, uint256 releaseAt);
+    event AdvanceOpened(uint256 indexed requestId, address indexed recipient, uint256 amount, uint256 settlementDeadline);
+    event AdvanceSettled(uint256 indexed requestId, address indexed recipient, uint256 spentAmount, uint256 returnedAmount);
+    event RefundRecorded(uint256 indexed requestId, address indexed recipient, uint256 amount, uint256 creditReturned, uint256 totalRefunded);
+    event QueuedDistributionReleased(uint256 indexed requestId, address indexed releasedBy, bool overrideApproved);
+
+    /// @notice Custom errors
+    error InvalidAmount();
+    error InvalidAddress();
+    error InvalidStatus();
+    error RequestNotFound();
+    error InsufficientBudget();
+    error AlreadyApproved();
+    error UnauthorizedApprover();
+    error TransferFailed();
+    error TooManyActiveRequests();
+    error InvalidCommitment();
+    error RevealTooEarly();
+    error PaymentDeadlineExpired();
+    error ArrayLengthExceeded();
+    error TimelockNotExpired();
+    error OperationNotQueued();
+    error PendingAdminOnly();
+    error TransferNotInitiated();
+    error EmergencyStopActive();
+    error AmountTooLow();
+    error AmountTooHigh();
+    error InvalidDescription();
+    error InvalidDocumentHash();
+    error ZeroAddress();
+    error ActiveClosureExists();
+    error NoActiveClosureRequest();
+    error InvalidClosureStatus();
+    error InsufficientCommitteeApprovers();
+    error DuplicateCommitteeApprover();
+    error InvalidReturnAddress();
+    error ClosureExecutionDeadlineExpired();
+    error InsufficientBalance();
+    error ContractNotPaused();
+    error RoleCommitmentExists();
+    error InvalidRoleCommitment();
+    error ArrayLengthMismatch();
+    error TooManyRecipients();
+    error EmptyRecipientList();
+    error InvalidTotalAmount();
+    error RequestNotAbandoned();
+    error InvalidVirtualPayer();
+    error AdminAlreadyInitialized();
+    error MultipleAdminsNotAllowed();
+    error AdminRoleCannotBeGrantedAfterInit();
+    error AdminTransferInProgress();
+    error InsufficientAvailableBalance();
+    error InvalidDelegation();
+    error CategoryRequired();
+    error NothingToClaim();
+    error ClaimRedirectTooEarly();
+    error ConflictOfInterest(address account);
+    error SignatureExpired();
+    error VelocityLimitExceeded();
+    error ReleaseNotDue();
+    error AdvanceOverdue(address recipient);
+    error BudgetBelowCategoryCaps();
+    error FunctionNotFound(bytes4 selector);
+
+    /// @notice Modifier to check if caller is factory
+    modifier onlyFactory() {
+        if (msg.sender != projectFactory) revert UnauthorizedApprover();
+        _;
+    }
+    
+    /// @notice Modifier to check emergency stop
+    modifier notEmergencyStopped() {
+        if (emergencyStop) revert EmergencyStopActive();
+        _;
+    }
+    
+    /// @notice Modifier for timelock-protected functions
+    /// @dev Also accepts the admin directly and the internal timelock queue (self-call)
+    modifier onlyTimelockOrAdmin() {
+        if (msg.sender != address(this) && msg.sender != timelockController && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
+            revert UnauthorizedApprover();
+        }
+        _;
+    }
+    
+    /// @notice Modifier for functions reachable only through a timelock
+    /// @dev Accepts the internal timelock queue (self-call) or the external timelock controller
+    modifier onlyTimelock() {
+        if (msg.sender != address(this) && msg.sender != timelockController) {
+            revert UnauthorizedApprover();
+        }
+        _;
+    }
+
+    /**
+     * @notice Set the next module of the delegatecall chain
+     * @param extension Module serving the functions this contract does not implement (address(0) for none)
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address extension) {
+        _extension = extension;
+    }
+
+    /**
+     * @notice Forward calls this contract does not implement to the next module
+     * @dev Modules run in the project's context, so they share its storage, balance and msg.sender
+     * @custom:oz-upgrades-unsafe-allow delegatecall
+     */
+    fallback() external {
+        address extension = _extension;
+        if (extension == address(0)) revert FunctionNotFound(msg.sig);
+
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), extension, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+    /**
+     * @notice Shared implementation of multi-recipient request creation
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts for each recipient
+     * @param description The description of the expense
+     * @param documentHash The document reference (IPFS hash)
+     * @param virtualPayer Optional virtual payer address (use address(0) if not needed)
+     * @return requestId The ID of the created request
+     */
+    function _createRequestMultiple(
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        string calldata description,
+        string calldata documentHash,
+        address virtualPayer
+    ) internal returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        // Validate inputs using library
+        ValidationLib.validateMultiRequestInputs(recipients, amounts, description, documentHash);
+        
+        // Calculate total amount using library
+        uint256 totalAmount = ValidationLib.calculateTotalAmount(amounts);
+        
+        // Validate budget using library
+        ValidationLib.validateBudget(totalAmount, totalDistributed + totalLocked, projectBudget);
+        $.fiscalPeriods.checkCurrent(totalAmount);
+        
+        uint256 requestId = _requestIdCounter++;
+        
+        // Create request
+        _createMultiReimbursementRequest(requestId, recipients, amounts, totalAmount, description, documentHash);
+        
+        // Validate virtual payer address
+        if (virtualPayer != address(0)) {
+            ValidationLib.validateVirtualPayer(virtualPayer, address(this), address(omthbToken), projectFactory);
+            
+            virtualPayers[requestId] = virtualPayer;
+            requests[requestId].virtualPayer = virtualPayer;
+        }
+        
+        // Track request using library
+        activeRequestIds.trackActiveRequest(activeRequestsPerUser, requestIndexInUserArray, requestId, msg.sender);
+        $.requesterRequestIds[msg.sender].push(requestId);
+        
+        // Check if cleanup needed
+        if (activeRequestsPerUser[msg.sender].length > MAX_ARRAY_LENGTH) {
+            _cleanupUserRequests(msg.sender);
+        }
+        
+        emit RequestCreated(requestId, msg.sender, recipients, amounts, totalAmount, description, virtualPayer);
+        _recordTimeline(requestId, Status.Pending, msg.sender, bytes32(0));
+        
+        return requestId;
+    }
+
+    /**
+     * @notice Create a request with a single recipient
+     * @param recipient The recipient of the reimbursement
+     * @param amount The amount to reimburse
+     * @param description The description of the expense
+     * @param documentHash The document reference (IPFS hash)
+     * @return requestId The ID of the created request
+     */
+    function _createSingleRequest(
+        address recipient,
+        uint256 amount,
+        string calldata description,
+        string calldata documentHash
+    ) internal returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        // Projects with budget categories must use createRequestWithCategories
+        if ($.budgetCategoryIds.length > 0) revert CategoryRequired();
+        
+        // Convert to array format for internal processing
+        address[] memory recipients = new address[](1);
+        recipients[0] = recipient;
+        
+        uint256[] memory amounts = new uint256[](1);
+        amounts[0] = amount;
+        
+        // Validate inputs using library
+        ValidationLib.validateMultiRequestInputs(recipients, amounts, description, documentHash);
+        
+        // Validate budget using library
+        ValidationLib.validateBudget(amount, totalDistributed + totalLocked, projectBudget);
+        $.fiscalPeriods.checkCurrent(amount);
+        
+        uint256 requestId = _requestIdCounter++;
+        
+        // Create request
+        _createMultiReimbursementRequest(requestId, recipients, amounts, amount, description, documentHash);
+        
+        // Track request using library
+        activeRequestIds.trackActiveRequest(activeRequestsPerUser, requestIndexInUserArray, requestId, msg.sender);
+        $.requesterRequestIds[msg.sender].push(requestId);
+        
+        // Check if cleanup needed
+        if (activeRequestsPerUser[msg.sender].length > MAX_ARRAY_LENGTH) {
+            _cleanupUserRequests(msg.sender);
+        }
+        
+        emit RequestCreated(requestId, msg.sender, recipients, amounts, amount, description, address(0));
+        _recordTimeline(requestId, Status.Pending, msg.sender, bytes32(0));
+        
+        return requestId;
+    }
+    
+    function _createMultiReimbursementRequest(
+        uint256 requestId,
+        address[] memory recipients,
+        uint256[] memory amounts,
+        uint256 totalAmount,
+        string calldata description,
+        string calldata documentHash
+    ) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        // First create the request with basic fields
+        ReimbursementRequest storage request = requests[requestId];
+        request.id = requestId;
+        request.requester = msg.sender;
+        request.recipients = recipients;
+        request.amounts = amounts;
+        request.totalAmount = totalAmount;
+        request.description = description;
+        request.documentHash = documentHash;
+        request.status = Status.Pending;
+        request.createdAt = block.timestamp;
+        request.updatedAt = block.timestamp;
+        request.paymentDeadline = 0;
+        
+        // Then set approval info fields
+        request.approvalInfo.secretaryApprover = address(0);
+        request.approvalInfo.committeeApprover = address(0);
+        request.approvalInfo.financeApprover = address(0);
+        request.approvalInfo.directorApprover = address(0);
+        // committeeAdditionalApprovers is already initialized as empty array
+        request.virtualPayer = address(0); // Initialize virtual payer
+        
+        // Snapshot the approval tier so later policy changes don't affect in-flight requests
+        if ($.approvalPolicies.length > 0) {
+            $.requestPolicies[requestId] = $.approvalPolicies.policyForAmount(totalAmount);
+        }
+    }
+
+    /**
+     * @notice Hash an approval message for the current version of a request
+     * @param requestId The request ID
+     * @param stage The approval stage
+     * @param deadline Signature deadline
+     * @return The typed data digest
+     */
+    function _hashApproval(uint256 requestId, ApprovalStage stage, uint256 deadline) internal view returns (bytes32) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return _hashTypedDataV4(keccak256(abi.encode(
+            APPROVAL_TYPEHASH,
+            requestId,
+            stage,
+            $.requestExtensions[requestId].versions.length,
+            deadline
+        )));
+    }
+    
+    /**
+     * @notice Record an approval for a stage and emit its events
+     * @param requestId The request ID
+     * @param stage The stage being approved (must be the request's current stage)
+     * @param approver The role holder the approval is recorded for
+     * @param account The account that approved (a delegate when it differs from approver)
+     * @return The request status after the approval
+     * @dev Callers run _completeApprovalIfFinal afterwards
+     */
+    function _recordApproval(
+        uint256 requestId,
+        ApprovalStage stage,
+        address approver,
+        address account
+    ) internal returns (Status) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (_currentStage(requestId) != stage) revert InvalidStatus();
+        
+        ReimbursementRequest storage request = requests[requestId];
+        ApprovalInfo storage info = request.approvalInfo;
+        
+        if (stage == ApprovalStage.Secretary) {
+            if (info.secretaryApprover != address(0)) revert AlreadyApproved();
+            info.secretaryApprover = approver;
+            request.status = Status.SecretaryApproved;
+        } else if (stage == ApprovalStage.Committee) {
+            if (info.committeeApprover != address(0)) revert AlreadyApproved();
+            info.committeeApprover = approver;
+            request.status = Status.CommitteeApproved;
+        } else if (stage == ApprovalStage.Finance) {
+            if (info.financeApprover != address(0)) revert AlreadyApproved();
+            info.financeApprover = approver;
+            request.status = Status.FinanceApproved;
+        } else if (stage == ApprovalStage.CommitteeAdditional) {
+            // Check if this committee member has already approved in additional level
+            for (uint256 i = 0; i < info.committeeAdditionalApprovers.length; i++) {
+                if (info.committeeAdditionalApprovers[i] == approver) revert AlreadyApproved();
+            }
+            info.committeeAdditionalApprovers.push(approver);
+        } else {
+            // Tiers may require several distinct directors
+            if (info.directorApprover == address(0)) {
+                info.directorApprover = approver;
+            } else {
+                if (info.directorApprover == approver) revert AlreadyApproved();
+                address[] storage additionalDirectors = $.additionalDirectorApprovers[requestId];
+                for (uint256 i = 0; i < additionalDirectors.length; i++) {
+                    if (additionalDirectors[i] == approver) revert AlreadyApproved();
+                }
+                additionalDirectors.push(approver);
+            }
+            request.status = Status.DirectorApproved;
+        }
+        request.updatedAt = block.timestamp;
+        
+        emit RequestApproved(requestId, request.status, approver);
+        _recordTimeline(requestId, request.status, approver, bytes32(0));
+        if (account != approver) {
+            TimelineEntry[] storage timeline = $.requestExtensions[requestId].timeline;
+            timeline[timeline.length - 1].delegate = account;
+        }
+        
+        return request.status;
+    }
+    
+    /**
+     * @notice Validate batch array lengths
+     * @param length Number of request IDs
+     * @param valuesLength Number of per-item values
+     */
+    function _validateBatch(uint256 length, uint256 valuesLength) internal pure {
+        if (length == 0 || length > MAX_BATCH_SIZE) revert ArrayLengthExceeded();
+        if (length != valuesLength) revert ArrayLengthMismatch();
+    }
+    
+    /**
+     * @notice Run one batch item as a self-delegatecall so it keeps msg.sender and its own guards
+     * @param requestId The request ID (for the failure event)
+     * @param data Encoded call to one of this contract's approval functions
+     * @return success Whether the item succeeded
+     */
+    function _tryBatchItem(uint256 requestId, bytes memory data) internal returns (bool success) {
+        bytes memory reason;
+        (success, reason) = address(this).delegatecall(data);
+        if (!success) {
+            emit BatchItemFailed(requestId, bytes4(data), reason);
+        }
+    }
+    
+    /**
+     * @notice Lock and distribute funds once the request's approval chain is complete
+     * @param requestId The request ID
+     */
+    function _completeApprovalIfFinal(uint256 requestId) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (_currentStage(requestId) != ApprovalStage.Complete) return;
+        
+        ReimbursementRequest storage request = requests[requestId];
+        uint256 releaseAt = $.requestExtensions[requestId].releaseAt;
+        
+        // The payment deadline runs from the scheduled release date when there is one
+        request.paymentDeadline = (releaseAt > block.timestamp ? releaseAt : block.timestamp) + PAYMENT_DEADLINE_DURATION;
+        
+        // Reserve the funds so later requests cannot consume them
+        _lockRequestFunds(requestId);
+        
+        // Milestone requests stay locked until finance releases each tranche
+        if ($.milestonePlans[requestId].isMilestone()) return;
+        
+        // Scheduled requests stay locked until anyone releases them on the date
+        if (releaseAt > block.timestamp) {
+            emit DistributionScheduled(requestId, releaseAt);
+            return;
+        }
+        
+        // Auto-distribute funds to all recipients
+        _distributeOrQueue(requestId);
+    }
+    
+    /**
+     * @notice Distribute an approved request, or queue it if it would exceed the outflow limits
+     * @param requestId The request ID
+     */
+    function _distributeOrQueue(uint256 requestId) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        uint256 totalAmount = requests[requestId].totalAmount;
+        
+        // Over the limits the funds stay locked until the window frees up or an override is approved
+        if (!_withinVelocityLimits(totalAmount)) {
+            $.requestExtensions[requestId].distributionQueued = true;
+            emit DistributionQueued(requestId, totalAmount);
+            return;
+        }
+        
+        _distributeMultipleFunds(requestId);
+    }
+    
+    /**
+     * @notice Get the approval policy that applies to a request
+     * @param requestId The request ID
+     * @return policy The snapshot policy, or the default chain for requests without one
+     */
+    function _requestPolicy(uint256 requestId) internal view returns (ApprovalPolicyLib.ApprovalPolicy memory policy) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        policy = $.requestPolicies[requestId];
+        if (ApprovalPolicyLib.isEmpty(policy)) {
+            policy = ApprovalPolicyLib.defaultPolicy();
+        }
+    }
+    
+    /**
+     * @notice Determine the next approval stage a request is waiting on
+     * @param requestId The request ID
+     * @return The pending stage, or Complete when all required approvals are in
+     */
+    function _currentStage(uint256 requestId) internal view returns (ApprovalStage) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ReimbursementRequest storage request = requests[requestId];
+        ApprovalPolicyLib.ApprovalPolicy memory policy = _requestPolicy(requestId);
+        ApprovalInfo storage info = request.approvalInfo;
+        
+        if (policy.requireSecretary && info.secretaryApprover == address(0)) return ApprovalStage.Secretary;
+        if (policy.requireCommittee && info.committeeApprover == address(0)) return ApprovalStage.Committee;
+        if (policy.requireFinance && info.financeApprover == address(0)) return ApprovalStage.Finance;
+        if (info.committeeAdditionalApprovers.length < policy.committeeAdditionalApprovers) {
+            return ApprovalStage.CommitteeAdditional;
+        }
+        
+        uint256 directorCount = info.directorApprover == address(0) ? 0 : 1 + $.additionalDirectorApprovers[requestId].length;
+        if (directorCount < policy.directorApprovers) return ApprovalStage.Director;
+        
+        return ApprovalStage.Complete;
+    }
+
+    /**
+     * @notice Internal function to verify and reveal approval
+     * @param requestId The request ID
+     * @param nonce The nonce used in commitment
+     */
+    function _verifyAndRevealApproval(uint256 requestId, uint256 nonce) internal {
+        // Verify commitment exists and reveal window has passed
+        bytes32 commitment = approvalCommitments[requestId][msg.sender];
+        if (commitment == bytes32(0)) revert InvalidCommitment();
+        if (block.timestamp < commitTimestamps[requestId][msg.sender] + REVEAL_WINDOW) {
+            revert RevealTooEarly();
+        }
+        
+        // Commitments made before the latest amendment were for different content
+        if (commitTimestamps[requestId][msg.sender] <= _lastAmendedAt(requestId)) revert InvalidCommitment();
+        
+        // Verify the reveal matches the commitment with chain ID
+        bytes32 revealHash = keccak256(abi.encodePacked(msg.sender, requestId, block.chainid, nonce));
+        if (revealHash != commitment) revert InvalidCommitment();
+        
+        ReimbursementRequest storage request = requests[requestId];
+        if (request.id != requestId || _isClosedOut(request.status)) revert RequestNotFound();
+        
+        // Clear the commitment after use
+        delete approvalCommitments[requestId][msg.sender];
+        delete commitTimestamps[requestId][msg.sender];
+    }
+    
+    /**
+     * @notice Check whether an account may act on the request's current approval stage
+     * @param request The reimbursement request
+     * @param account The account to check
+     * @return True if the account holds the role for the current stage
+     */
+    function _isCurrentStageApprover(ReimbursementRequest storage request, address account) internal view returns (bool) {
+        if (request.status == Status.Distributed || _isClosedOut(request.status)) return false;
+        
+        bytes32 role = _stageRole(_currentStage(request.id));
+        if (role == bytes32(0)) return false;
+        
+        return _effectiveApprover(role, account) != address(0);
+    }
+    
+    /**
+     * @notice Get the role that approves a stage
+     * @param stage The approval stage
+     * @return role The approval role, or bytes32(0) for the Complete stage
+     */
+    function _stageRole(ApprovalStage stage) internal pure returns (bytes32 role) {
+        if (stage == ApprovalStage.Secretary) role = SECRETARY_ROLE;
+        else if (stage == ApprovalStage.Committee || stage == ApprovalStage.CommitteeAdditional) role = COMMITTEE_ROLE;
+        else if (stage == ApprovalStage.Finance) role = FINANCE_ROLE;
+        else if (stage == ApprovalStage.Director) role = DIRECTOR_ROLE;
+    }
+    
+    /**
+     * @notice Resolve whose authority an account approves with
+     * @param role The approval role required
+     * @param account The acting account
+     * @return The account itself if it holds the role, its active delegator, or address(0)
+     */
+    function _effectiveApprover(bytes32 role, address account) internal view returns (address) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (hasRole(role, account)) return account;
+        
+        address delegator = $.delegators[role][account];
+        if (delegator == address(0)) return address(0);
+        
+        ApprovalDelegation storage delegation = $.approvalDelegations[role][delegator];
+        if (delegation.delegate != account || block.timestamp > delegation.expiry) return address(0);
+        if (!hasRole(role, delegator)) return address(0);
+        
+        return delegator;
+    }
+    
+    /**
+     * @notice Resolve the approver for an acting account, reverting if unauthorized or conflicted
+     * @param role The approval role required
+     * @param requestId The request being approved
+     * @param account The account approving (caller or signer)
+     * @return approver The role holder the approval is recorded for
+     */
+    function _resolveApprover(bytes32 role, uint256 requestId, address account) internal returns (address approver) {
+        approver = _effectiveApprover(role, account);
+        if (approver == address(0)) revert AccessControlUnauthorizedAccount(account, role);
+        
+        _checkConflictOfInterest(requestId, approver);
+        if (approver != account) {
+            _checkConflictOfInterest(requestId, account);
+            emit ApprovedOnBehalf(requestId, account, approver, role);
+        }
+    }
+    
+    /**
+     * @notice Revert if an account is the requester, a recipient, or approved another stage
+     * @param requestId The request being approved
+     * @param account The account to check
+     */
+    function _checkConflictOfInterest(uint256 requestId, address account) internal view {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if ($.conflictExemptions[account]) return;
+        
+        ReimbursementRequest storage request = requests[requestId];
+        if (account == request.requester) revert ConflictOfInterest(account);
+        for (uint256 i = 0; i < request.recipients.length; i++) {
+            if (request.recipients[i] == account) revert ConflictOfInterest(account);
+        }
+        
+        // Repeat approvals within the current stage are reported as AlreadyApproved
+        ApprovalStage stage = _currentStage(requestId);
+        ApprovalInfo storage info = request.approvalInfo;
+        if (
+            (stage != ApprovalStage.Secretary && info.secretaryApprover == account) ||
+            (stage != ApprovalStage.Committee && info.committeeApprover == account) ||
+            (stage != ApprovalStage.Finance && info.financeApprover == account) ||
+            (stage != ApprovalStage.Director && info.directorApprover == account)
+        ) revert ConflictOfInterest(account);
+        
+        if (stage != ApprovalStage.CommitteeAdditional) {
+            for (uint256 i = 0; i < info.committeeAdditionalApprovers.length; i++) {
+                if (info.committeeAdditionalApprovers[i] == account) revert ConflictOfInterest(account);
+            }
+        }
+        if (stage != ApprovalStage.Director) {
+            address[] storage additionalDirectors = $.additionalDirectorApprovers[requestId];
+            for (uint256 i = 0; i < additionalDirectors.length; i++) {
+                if (additionalDirectors[i] == account) revert ConflictOfInterest(account);
+            }
+        }
+    }
+    
+    /**
+     * @notice Check whether a status is cancelled or rejected
+     * @param status The status to check
+     * @return True if the request was closed without distribution
+     */
+    function _isClosedOut(Status status) internal pure returns (bool) {
+        return status == Status.Cancelled || status == Status.Rejected;
+    }
+    
+    /**
+     * @notice EIP-712 domain name, fixed so proxies need no extra initialization
+     * @return The domain name
+     */
+    function _EIP712Name() internal pure override returns (string memory) {
+        return "ProjectReimbursement";
+    }
+    
+    /**
+     * @notice EIP-712 domain version
+     * @return The domain version
+     */
+    function _EIP712Version() internal pure override returns (string memory) {
+        return "1";
+    }
+
+    /**
+     * @notice Get the time a request was last amended
+     * @param requestId The request ID
+     * @return Timestamp of the latest amendment, or 0 if never amended
+     */
+    function _lastAmendedAt(uint256 requestId) internal view returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        AmendmentLib.RequestVersion[] storage versions = $.requestExtensions[requestId].versions;
+        return versions.length == 0 ? 0 : versions[versions.length - 1].replacedAt;
+    }
+    
+    /**
+     * @notice Append a step to a request's timeline
+     * @param requestId The request ID
+     * @param status Status after the step
+     * @param actor Account responsible for the step
+     * @param noteHash Hash of an attached note or document (0 if none)
+     */
+    function _recordTimeline(uint256 requestId, Status status, address actor, bytes32 noteHash) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        $.requestExtensions[requestId].timeline.push(TimelineEntry({
+            status: status,
+            actor: actor,
+            timestamp: uint64(block.timestamp),
+            noteHash: noteHash,
+            delegate: address(0)
+        }));
+    }
+    
+    /**
+     * @notice Record and apply a budget change that needs no proposal approval
+     * @param newBudget The resulting budget
+     * @param reason Reason recorded in the budget history
+     */
+    function _recordBudgetUpdate(uint256 newBudget, string memory reason) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        BudgetChange storage change = $.budgetChanges.push();
+        change.newBudget = newBudget;
+        change.reason = reason;
+        change.proposer = msg.sender;
+        change.proposedAt = uint64(block.timestamp);
+        
+        _executeBudgetChange($.budgetChanges.length - 1);
+    }
+    
+    /**
+     * @notice Hash a budget change approval message
+     * @param proposalId The proposal ID
+     * @param stage The approval stage
+     * @param deadline Signature deadline
+     * @return The typed data digest
+     */
+    function _hashBudgetChangeApproval(
+        uint256 proposalId,
+        ApprovalStage stage,
+        uint256 deadline
+    ) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(BUDGET_CHANGE_TYPEHASH, proposalId, stage, deadline)));
+    }
+    
+    /**
+     * @notice Apply a budget change and mark it executed
+     * @param proposalId The budget change ID
+     */
+    function _executeBudgetChange(uint256 proposalId) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        BudgetChange storage change = $.budgetChanges[proposalId];
+        uint256 newBudget = change.newBudget;
+        
+        // Zero is only reachable by moving all unused budget to another project
+        if (newBudget < totalDistributed) revert InvalidAmount();
+        if (newBudget < _totalCategoryCaps()) revert BudgetBelowCategoryCaps();
+        if (newBudget > type(uint256).max / 2) revert InvalidAmount(); // Prevent manipulation
+        
+        uint256 oldBudget = projectBudget;
+        projectBudget = newBudget;
+        change.oldBudget = oldBudget;
+        change.executedAt = uint64(block.timestamp);
+        change.status = BudgetChangeStatus.Executed;
+        
+        emit BudgetUpdated(oldBudget, newBudget);
+        emit BudgetChangeExecuted(proposalId, oldBudget, newBudget);
+    }
+    
+    /**
+     * @notice Sum of all budget category caps
+     * @return total The combined cap of every category
+     */
+    function _totalCategoryCaps() internal view returns (uint256 total) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        for (uint256 i = 0; i < $.budgetCategoryIds.length; i++) {
+            total += $.budgetCategories[$.budgetCategoryIds[i]].cap;
+        }
+    }
+    
+    /**
+     * @notice Remove a delegator's delegation and its reverse lookup
+     * @param role The delegated approval role
+     * @param delegator The role holder who delegated
+     */
+    function _clearDelegation(bytes32 role, address delegator) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        address delegate = $.approvalDelegations[role][delegator].delegate;
+        if (delegate == address(0)) return;
+        
+        if ($.delegators[role][delegate] == delegator) {
+            delete $.delegators[role][delegate];
+        }
+        delete $.approvalDelegations[role][delegator];
+        
+        emit ApprovalDelegationRevoked(role, delegator, delegate);
+    }
+
+    /**
+     * @notice Pay out a recipient's claimable balance
+     * @param recipient The recipient to pay
+     * @dev Not gated by pause: credited funds belong to recipients, including after emergency closure
+     */
+    function _claim(address recipient) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        uint256 amount = $.claimableCredits[recipient].amount;
+        if (amount == 0) revert NothingToClaim();
+        
+        delete $.claimableCredits[recipient];
+        $.totalClaimable -= amount;
+        
+        emit Claimed(recipient, msg.sender, amount);
+        
+        bool success = omthbToken.transfer(recipient, amount);
+        if (!success) revert TransferFailed();
+    }
+    
+    /**
+     * @notice Sum the amounts distributed today and over the last 7 days
+     * @return daily Amount distributed in the current day
+     * @return weekly Amount distributed in the current and previous 6 days
+     */
+    function _outflow() internal view returns (uint256 daily, uint256 weekly) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        uint256 today = block.timestamp / 1 days;
+        daily = $.dailyOutflow[today];
+        for (uint256 i = 0; i < 7 && i <= today; i++) {
+            weekly += $.dailyOutflow[today - i];
+        }
+    }
+    
+    /**
+     * @notice Check whether a distribution fits within the daily and weekly caps
+     * @param amount The amount to distribute
+     * @return True if no cap would be exceeded
+     */
+    function _withinVelocityLimits(uint256 amount) internal view returns (bool) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        VelocityLimits memory limits = $.velocityLimits;
+        if (limits.dailyCap == 0 && limits.weeklyCap == 0) return true;
+        
+        (uint256 daily, uint256 weekly) = _outflow();
+        if (limits.dailyCap != 0 && daily + amount > limits.dailyCap) return false;
+        if (limits.weeklyCap != 0 && weekly + amount > limits.weeklyCap) return false;
+        return true;
+    }
+    
+    /**
+     * @notice Revert unless a request is waiting in the distribution queue
+     * @param requestId The request ID
+     */
+    function _checkQueuedDistribution(uint256 requestId) internal view {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (requests[requestId].id != requestId) revert RequestNotFound();
+        // Cancelling a queued request unlocks its funds
+        if (!$.requestExtensions[requestId].distributionQueued || lockedAmounts[requestId] == 0) revert InvalidStatus();
+    }
+    
+    /**
+     * @notice Get the amount a queued distribution pays out
+     * @param requestId The request ID
+     * @return The next tranche of a milestone request, or the full request amount
+     */
+    function _queuedAmount(uint256 requestId) internal view returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        MilestoneLib.MilestonePlan storage plan = $.milestonePlans[requestId];
+        if (!plan.isMilestone()) return requests[requestId].totalAmount;
+        
+        (, uint256 trancheTotal) = plan.nextTranche(requests[requestId].amounts);
+        return trancheTotal;
+    }
+    
+    /**
+     * @notice Take a request off the distribution queue and pay it
+     * @param requestId The request ID
+     * @param overrideApproved True when released above the limits by multi-sig
+     */
+    function _releaseQueuedDistribution(uint256 requestId, bool overrideApproved) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        RequestExtension storage extension = $.requestExtensions[requestId];
+        extension.distributionQueued = false;
+        emit QueuedDistributionReleased(requestId, msg.sender, overrideApproved);
+        
+        // A queued milestone tranche is released with the document it was submitted with
+        if ($.milestonePlans[requestId].isMilestone()) {
+            string memory documentHash = extension.queuedTrancheDocument;
+            delete extension.queuedTrancheDocument;
+            _releaseTranche(requestId, documentHash);
+            return;
+        }
+        
+        // The payment deadline runs from release, not from when the request was queued
+        requests[requestId].paymentDeadline = block.timestamp + PAYMENT_DEADLINE_DURATION;
+        _distributeMultipleFunds(requestId);
+    }
+    
+    /**
+     * @notice Pay out the next tranche of a milestone request
+     * @param requestId The request ID
+     * @param documentHash Document evidencing the completed milestone
+     */
+    function _releaseTranche(uint256 requestId, string memory documentHash) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ReimbursementRequest storage request = requests[requestId];
+        MilestoneLib.MilestonePlan storage plan = $.milestonePlans[requestId];
+        
+        (uint256[] memory lineAmounts, uint256 trancheTotal) = plan.nextTranche(request.amounts);
+        uint256 trancheIndex = plan.releasedTranches;
+        bool complete = plan.recordRelease(lineAmounts, documentHash);
+        
+        // Update state before external calls (CEI pattern)
+        request.status = complete ? Status.Distributed : Status.PartiallyDistributed;
+        request.updatedAt = block.timestamp;
+        _releaseLockedFunds(requestId, lineAmounts, true);
+        $.fiscalPeriods.recordSpend(trancheTotal);
+        $.requestExtensions[requestId].paidAt = uint64(block.timestamp);
+        $.dailyOutflow[block.timestamp / 1 days] += trancheTotal;
+        uint256 oldTotal = totalDistributed;
+        totalDistributed += trancheTotal;
+        emit TotalDistributedUpdated(oldTotal, totalDistributed);
+        
+        emit TrancheReleased(requestId, trancheIndex, trancheTotal, documentHash);
+        _recordTimeline(requestId, request.status, msg.sender, keccak256(bytes(documentHash)));
+        
+        _payRecipients(requestId, request.recipients, lineAmounts, trancheTotal);
+        
+        if (complete) {
+            _removeFromActiveRequests(requestId);
+        }
+    }
+    
+    /**
+     * @notice Check whether a recipient has an advance past its settlement deadline
+     * @param recipient The advance recipient
+     * @return True if any open advance is overdue
+     */
+    function _hasOverdueAdvance(address recipient) internal view returns (bool) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        uint256[] storage openIds = $.openAdvances[recipient];
+        for (uint256 i = 0; i < openIds.length; i++) {
+            if (block.timestamp > $.requestExtensions[openIds[i]].advance.settlementDeadline) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * @notice Remove a settled advance from the recipient's open list
+     * @param recipient The advance recipient
+     * @param requestId The settled request ID
+     */
+    function _closeAdvance(address recipient, uint256 requestId) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        uint256[] storage openIds = $.openAdvances[recipient];
+        for (uint256 i = 0; i < openIds.length; i++) {
+            if (openIds[i] == requestId) {
+                openIds[i] = openIds[openIds.length - 1];
+                openIds.pop();
+                return;
+            }
+        }
+    }
+    
+    /**
+     * @notice Pull a deposit from the caller and credit it to a depositor
+     * @param depositor The account credited with the deposit
+     * @param amount The amount of OMTHB to deposit
+     */
+    function _depositOMTHB(address depositor, uint256 amount) internal {
+        ValidationLib.validateAmountNotZero(amount);
+        
+        // Update state before external calls (CEI pattern)
+        totalDeposited += amount;
+        depositorBalances[depositor] += amount;
+        
+        uint256 balanceBefore = omthbToken.balanceOf(address(this));
+        bool success = omthbToken.transferFrom(msg.sender, address(this), amount);
+        if (!success) revert TransferFailed();
+        
+        // Verify the full amount arrived
+        uint256 newBalance = omthbToken.balanceOf(address(this));
+        if (newBalance - balanceBefore != amount) revert TransferFailed();
+        
+        emit OMTHBDeposited(depositor, amount, newBalance);
+    }
+
+    /**
+     * @notice Slice a page out of a stored ID list
+     * @param ids The stored ID list
+     * @param offset Number of IDs to skip
+     * @param limit Maximum number of IDs to return (at most MAX_BATCH_SIZE)
+     * @return page The requested page
+     * @return total Length of the full list
+     */
+    function _paginate(
+        uint256[] storage ids,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory page, uint256 total) {
+        if (limit == 0 || limit > MAX_BATCH_SIZE) revert ArrayLengthExceeded();
+        
+        total = ids.length;
+        if (offset >= total) return (new uint256[](0), total);
+        
+        uint256 count = total - offset < limit ? total - offset : limit;
+        page = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = ids[offset + i];
+        }
+    }
+
+    /**
+     * @notice Internal function to distribute funds to multiple recipients
+     * @param requestId The request ID
+     * @dev Follows Checks-Effects-Interactions pattern to prevent reentrancy
+     */
+    function _distributeMultipleFunds(uint256 requestId) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ReimbursementRequest storage request = requests[requestId];
+        
+        // Slippage protection: check payment deadline
+        if (request.paymentDeadline != 0 && block.timestamp > request.paymentDeadline) revert PaymentDeadlineExpired();
+        
+        // CRITICAL FIX: Cache values to prevent reentrancy
+        uint256 totalAmount = request.totalAmount;
+        address[] memory recipients = request.recipients;
+        uint256[] memory amounts = request.amounts;
+        
+        // An advance approved before the recipient fell behind still waits for settlement
+        AdvanceInfo storage advance = $.requestExtensions[requestId].advance;
+        if (advance.isAdvance && _hasOverdueAdvance(recipients[0])) revert AdvanceOverdue(recipients[0]);
+        
+        // CRITICAL FIX: Update state BEFORE external calls (CEI pattern)
+        request.status = Status.Distributed;
+        request.updatedAt = block.timestamp;
+        _unlockRequestFunds(requestId, true);
+        $.fiscalPeriods.recordSpend(totalAmount);
+        $.requestExtensions[requestId].paidAt = uint64(block.timestamp);
+        $.dailyOutflow[block.timestamp / 1 days] += totalAmount;
+        uint256 oldTotal = totalDistributed;
+        totalDistributed += totalAmount;
+        emit TotalDistributedUpdated(oldTotal, totalDistributed);
+        
+        // Emit event before external calls
+        emit FundsDistributed(requestId, recipients, amounts, totalAmount, request.virtualPayer);
+        _recordTimeline(requestId, Status.Distributed, msg.sender, bytes32(0));
+        
+        // Cash advances stay open until the recipient settles them with receipts
+        if (advance.isAdvance) {
+            advance.settlementDeadline = uint64(block.timestamp + ADVANCE_SETTLEMENT_PERIOD);
+            $.openAdvances[recipients[0]].push(requestId);
+            emit AdvanceOpened(requestId, recipients[0], totalAmount, advance.settlementDeadline);
+        }
+        
+        // CRITICAL FIX: External calls LAST with additional safety
+        _payRecipients(requestId, recipients, amounts, totalAmount);
+        
+        // Remove from active arrays after successful distribution
+        _removeFromActiveRequests(requestId);
+    }
+    
+    /**
+     * @notice Pay each recipient, crediting claimable balances when claim mode is on
+     * @param requestId The request ID (for events)
+     * @param recipients Recipient addresses
+     * @param amounts Amount for each recipient
+     * @param totalAmount Sum of amounts
+     */
+    function _payRecipients(
+        uint256 requestId,
+        address[] memory recipients,
+        uint256[] memory amounts,
+        uint256 totalAmount
+    ) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        // Check token balance before transfers
+        uint256 contractBalance = omthbToken.balanceOf(address(this));
+        if (contractBalance < totalAmount) revert InsufficientBalance();
+        
+        // In claim mode a blocked recipient cannot revert payment to the others
+        if ($.claimMode) {
+            for (uint256 i = 0; i < recipients.length; i++) {
+                ClaimableCredit storage credit = $.claimableCredits[recipients[i]];
+                credit.amount += amounts[i];
+                credit.lastCreditedAt = block.timestamp;
+                
+                emit ClaimCredited(requestId, recipients[i], amounts[i]);
+            }
+            $.totalClaimable += totalAmount;
+            return;
+        }
+        
+        // Distribute to each recipient
+        for (uint256 i = 0; i < recipients.length; i++) {
+            bool success = omthbToken.transfer(recipients[i], amounts[i]);
+            if (!success) revert TransferFailed();
+            
+            emit SingleDistribution(requestId, recipients[i], amounts[i]);
+        }
+        
+        // Verify total transfer was successful
+        uint256 newBalance = omthbToken.balanceOf(address(this));
+        if (contractBalance - newBalance != totalAmount) revert TransferFailed();
+    }
+    
+    /**
+     * @notice Internal function to cleanup user's completed/cancelled requests
+     * @param user The user address to cleanup requests for
+     */
+    function _cleanupUserRequests(address user) internal {
+        uint256[] storage userRequests = activeRequestsPerUser[user];
+        uint256 removed = 0;
+        uint256 length = userRequests.length;
+        
+        // Return early if array is empty
+        if (length == 0) return;
+        
+        // Iterate backwards to avoid index shifting issues
+        // Start from length - 1 and go down to 0
+        uint256 i = length;
+        while (i > 0) {
+            i--; // Decrement first to get valid index
+            uint256 requestId = userRequests[i];
+            ReimbursementRequest storage request = requests[requestId];
+            
+            // Remove if distributed, cancelled or rejected
+            if (request.status == Status.Distributed || _isClosedOut(request.status)) {
+                // Swap with last element and pop
+                uint256 lastIndex = userRequests.length - 1;
+                if (i != lastIndex) {
+                    userRequests[i] = userRequests[lastIndex];
+                    requestIndexInUserArray[userRequests[i]] = i;
+                }
+                userRequests.pop();
+                removed++;
+                
+                // Limit removals per transaction to prevent gas issues
+                if (removed >= 10) break;
+            }
+        }
+        
+        if (removed > 0) {
+            emit ArrayLib.ArrayCleanupPerformed(user, removed);
+        }
+    }
+    
+    /**
+     * @notice Remove request from active arrays
+     * @param requestId The request ID to remove
+     */
+    function _removeFromActiveRequests(uint256 requestId) internal {
+        ReimbursementRequest storage request = requests[requestId];
+        
+        // Remove from user's active requests
+        uint256[] storage userRequests = activeRequestsPerUser[request.requester];
+        uint256 index = requestIndexInUserArray[requestId];
+        
+        if (index < userRequests.length && userRequests[index] == requestId) {
+            ArrayLib.removeFromArray(userRequests, index, requestIndexInUserArray);
+            delete requestIndexInUserArray[requestId];
+        }
+        
+        // Remove from global active requests
+        activeRequestIds.removeFromActiveRequests(requestId);
+    }
+    
+    /**
+     * @notice Lock funds for a director-approved request
+     * @param requestId The request ID to lock funds for
+     */
+    function _lockRequestFunds(uint256 requestId) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        uint256 amount = requests[requestId].totalAmount;
+        
+        uint256 available = ViewLib.getAvailableBalance(omthbToken.balanceOf(address(this)), totalLocked + $.totalClaimable);
+        if (amount > available) revert InsufficientAvailableBalance();
+        
+        lockedAmounts[requestId] = amount;
+        totalLocked += amount;
+        $.budgetCategories.lock($.requestLineCategories[requestId], requests[requestId].amounts);
+        
+        emit FundsLocked(requestId, amount, totalLocked);
+    }
+    
+    /**
+     * @notice Release all funds still locked for a request (on distribution or cancellation)
+     * @param requestId The request ID to unlock funds for
+     * @param distributed True when the funds are being paid out
+     */
+    function _unlockRequestFunds(uint256 requestId, bool distributed) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (lockedAmounts[requestId] == 0) return;
+        
+        _releaseLockedFunds(
+            requestId,
+            $.milestonePlans[requestId].remainingAmounts(requests[requestId].amounts),
+            distributed
+        );
+    }
+    
+    /**
+     * @notice Release part of the funds locked for a request
+     * @param requestId The request ID to unlock funds for
+     * @param lineAmounts Amount to release for each recipient line
+     * @param distributed True when the funds are being paid out
+     */
+    function _releaseLockedFunds(uint256 requestId, uint256[] memory lineAmounts, bool distributed) internal {
+        FeatureStorage storage $ = _getFeatureStorage();
+        uint256 amount = ValidationLib.calculateTotalAmount(lineAmounts);
+        
+        lockedAmounts[requestId] -= amount;
+        totalLocked -= amount;
+        $.budgetCategories.unlock($.requestLineCategories[requestId], lineAmounts, distributed);
+        
+        emit FundsUnlocked(requestId, amount, totalLocked);
+    }
+    
+    /**
+     * @notice Override grantRole to use commit-reveal pattern
+     * @dev This function is deprecated in favor of grantRoleWithReveal
+     */
+    function grantRole(bytes32 role, address account) public pure override {
+        revert("Use grantRoleWithReveal or grantRoleDirect for initial setup");
+    }
+    
+    /**
+     * @notice Override revokeRole to use commit-reveal pattern
+     * @dev This function is deprecated in favor of revokeRoleWithReveal
+     */
+    function revokeRole(bytes32 role, address account) public pure override {
+        revert("Use revokeRoleWithReveal instead");
+    }
+
+    /**
+     * @notice Get the storage of the features kept outside the sequential layout
+     */
+    function _getFeatureStorage() internal pure returns (FeatureStorage storage $) {
+        assembly {
+            $.slot := FEATURE_STORAGE_LOCATION
+        }
+    }
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IProjectRegistry Interface
+ * @notice Registry callbacks a factory offers to the projects it created
+ */
+interface IProjectRegistry {
+    function syncProjectAdmin(string calldata projectId) external;
+}
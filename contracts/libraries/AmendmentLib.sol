@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title AmendmentLib
+ * @notice Library for versioned amendment history of reimbursement requests
+ * @dev Prior versions are kept as per-field hashes so approvers can see what changed
+ * without storing every superseded recipient list on-chain
+ */
+library AmendmentLib {
+    /// @notice Fingerprint of one version of a request
+    struct RequestVersion {
+        bytes32 recipientsHash;
+        bytes32 amountsHash;
+        bytes32 descriptionHash;
+        bytes32 documentHash;
+        uint256 totalAmount;
+        uint256 replacedAt;        // When the version was superseded (0 for the current version)
+    }
+
+    /// @notice Fields that differ between two versions
+    struct VersionChanges {
+        bool recipientsChanged;
+        bool amountsChanged;
+        bool descriptionChanged;
+        bool documentChanged;
+        uint256 oldTotalAmount;
+        uint256 newTotalAmount;
+    }
+
+    /**
+     * @notice Fingerprint the current content of a request
+     * @param recipients Recipient addresses
+     * @param amounts Amount for each recipient
+     * @param description The expense description
+     * @param documentHash The document reference
+     * @param totalAmount Sum of amounts
+     * @return version The version fingerprint
+     */
+    function snapshot(
+        address[] storage recipients,
+        uint256[] storage amounts,
+        string storage description,
+        string storage documentHash,
+        uint256 totalAmount
+    ) internal pure returns (RequestVersion memory version) {
+        version.recipientsHash = keccak256(abi.encodePacked(recipients));
+        version.amountsHash = keccak256(abi.encodePacked(amounts));
+        version.descriptionHash = keccak256(bytes(description));
+        version.documentHash = keccak256(bytes(documentHash));
+        version.totalAmount = totalAmount;
+    }
+
+    /**
+     * @notice Hash a whole version, used to reference it in events
+     * @param version The version fingerprint
+     * @return The version hash
+     */
+    function hashVersion(RequestVersion memory version) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            version.recipientsHash,
+            version.amountsHash,
+            version.descriptionHash,
+            version.documentHash,
+            version.totalAmount
+        ));
+    }
+
+    /**
+     * @notice Compare two versions field by field
+     * @param previous The older version
+     * @param current The newer version
+     * @return changes The fields that differ
+     */
+    function compare(
+        RequestVersion memory previous,
+        RequestVersion memory current
+    ) internal pure returns (VersionChanges memory changes) {
+        changes.recipientsChanged = previous.recipientsHash != current.recipientsHash;
+        changes.amountsChanged = previous.amountsHash != current.amountsHash;
+        changes.descriptionChanged = previous.descriptionHash != current.descriptionHash;
+        changes.documentChanged = previous.documentHash != current.documentHash;
+        changes.oldTotalAmount = previous.totalAmount;
+        changes.newTotalAmount = current.totalAmount;
+    }
+}
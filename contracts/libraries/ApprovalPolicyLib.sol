@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ApprovalPolicyLib
+ * @notice Library for amount-tiered approval chain configuration
+ * @dev Keeps tier validation and lookup out of the main contract
+ */
+library ApprovalPolicyLib {
+    // Custom errors
+    error InvalidApprovalPolicy();
+
+    // Constants
+    uint256 internal constant MAX_POLICY_TIERS = 10;
+    uint8 internal constant MAX_COMMITTEE_ADDITIONAL_APPROVERS = 5;
+    uint8 internal constant MAX_DIRECTOR_APPROVERS = 3;
+    uint256 internal constant MAX_REIMBURSEMENT_AMOUNT = 1000000 * 10**18; // 1M OMTHB
+
+    /// @notice Approval requirements for requests up to `maxAmount`
+    struct ApprovalPolicy {
+        uint256 maxAmount;                   // Inclusive upper bound of the tier
+        bool requireSecretary;
+        bool requireCommittee;
+        bool requireFinance;
+        uint8 committeeAdditionalApprovers;  // Extra committee approvals after finance
+        uint8 directorApprovers;             // Distinct director approvals required
+    }
+
+    /**
+     * @notice The full five-step chain used when no tiers are configured
+     * @return policy The default approval policy
+     */
+    function defaultPolicy() internal pure returns (ApprovalPolicy memory policy) {
+        policy = ApprovalPolicy({
+            maxAmount: type(uint256).max,
+            requireSecretary: true,
+            requireCommittee: true,
+            requireFinance: true,
+            committeeAdditionalApprovers: 3,
+            directorApprovers: 1
+        });
+    }
+
+    /**
+     * @notice Check whether a policy requires no approval at all (unset storage)
+     * @param policy The policy to check
+     * @return True if the policy has no approval steps
+     */
+    function isEmpty(ApprovalPolicy memory policy) internal pure returns (bool) {
+        return !policy.requireSecretary &&
+            !policy.requireCommittee &&
+            !policy.requireFinance &&
+            policy.committeeAdditionalApprovers == 0 &&
+            policy.directorApprovers == 0;
+    }
+
+    /**
+     * @notice Validate a full set of approval tiers
+     * @param policies Tiers ordered by strictly increasing maxAmount
+     */
+    function validatePolicies(ApprovalPolicy[] calldata policies) internal pure {
+        uint256 length = policies.length;
+        if (length == 0 || length > MAX_POLICY_TIERS) revert InvalidApprovalPolicy();
+
+        for (uint256 i = 0; i < length; i++) {
+            ApprovalPolicy calldata policy = policies[i];
+            if (isEmpty(policy)) revert InvalidApprovalPolicy();
+            if (policy.committeeAdditionalApprovers > MAX_COMMITTEE_ADDITIONAL_APPROVERS) revert InvalidApprovalPolicy();
+            if (policy.directorApprovers > MAX_DIRECTOR_APPROVERS) revert InvalidApprovalPolicy();
+            if (i > 0 && policy.maxAmount <= policies[i - 1].maxAmount) revert InvalidApprovalPolicy();
+        }
+
+        // Every valid request amount must fall into a tier
+        if (policies[length - 1].maxAmount < MAX_REIMBURSEMENT_AMOUNT) revert InvalidApprovalPolicy();
+    }
+
+    /**
+     * @notice Find the tier that applies to an amount
+     * @param policies Configured tiers (may be empty)
+     * @param amount The request total amount
+     * @return The matching policy, or the default chain if no tiers are configured
+     */
+    function policyForAmount(
+        ApprovalPolicy[] storage policies,
+        uint256 amount
+    ) internal view returns (ApprovalPolicy memory) {
+        uint256 length = policies.length;
+        for (uint256 i = 0; i < length; i++) {
+            if (amount <= policies[i].maxAmount) {
+                return policies[i];
+            }
+        }
+        return defaultPolicy();
+    }
+}
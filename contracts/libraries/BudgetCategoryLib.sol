@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title BudgetCategoryLib
+ * @notice Library for per-category budget caps (travel, equipment, per-diem, ...)
+ * @dev Categories mirror the project-level budget: amounts are locked on final
+ * approval and moved to distributed when paid out
+ */
+library BudgetCategoryLib {
+    // Custom errors
+    error UnknownCategory();
+    error CategoryBudgetExceeded();
+
+    // Constants
+    uint256 internal constant MAX_BUDGET_CATEGORIES = 20;
+
+    struct BudgetCategory {
+        uint256 cap;
+        uint256 locked;
+        uint256 distributed;
+        bool exists;
+    }
+
+    /**
+     * @notice Get the unspent, unreserved part of a category cap
+     * @param category The budget category
+     * @return The remaining amount available to new requests
+     */
+    function remaining(BudgetCategory storage category) internal view returns (uint256) {
+        uint256 used = category.locked + category.distributed;
+        return category.cap > used ? category.cap - used : 0;
+    }
+
+    /**
+     * @notice Validate that every line names a known category with enough remaining budget
+     * @param categories Category storage mapping
+     * @param lineCategories Category for each recipient line
+     * @param amounts Amount for each recipient line
+     */
+    function validateLines(
+        mapping(bytes32 => BudgetCategory) storage categories,
+        bytes32[] memory lineCategories,
+        uint256[] memory amounts
+    ) internal view {
+        for (uint256 i = 0; i < lineCategories.length; i++) {
+            BudgetCategory storage category = categories[lineCategories[i]];
+            if (!category.exists) revert UnknownCategory();
+
+            // Lines sharing a category are checked against the cap together
+            uint256 requested = 0;
+            for (uint256 j = 0; j < lineCategories.length; j++) {
+                if (lineCategories[j] == lineCategories[i]) requested += amounts[j];
+            }
+            if (requested > remaining(category)) revert CategoryBudgetExceeded();
+        }
+    }
+
+    /**
+     * @notice Reserve line amounts against their categories
+     * @param categories Category storage mapping
+     * @param lineCategories Category for each recipient line
+     * @param amounts Amount for each recipient line
+     */
+    function lock(
+        mapping(bytes32 => BudgetCategory) storage categories,
+        bytes32[] storage lineCategories,
+        uint256[] storage amounts
+    ) internal {
+        for (uint256 i = 0; i < lineCategories.length; i++) {
+            BudgetCategory storage category = categories[lineCategories[i]];
+            category.locked += amounts[i];
+            if (category.locked + category.distributed > category.cap) revert CategoryBudgetExceeded();
+        }
+    }
+
+    /**
+     * @notice Release reserved line amounts, optionally recording them as distributed
+     * @param categories Category storage mapping
+     * @param lineCategories Category for each recipient line
+     * @param amounts Amount for each recipient line
+     * @param distributed True when the amounts were paid out
+     */
+    function unlock(
+        mapping(bytes32 => BudgetCategory) storage categories,
+        bytes32[] storage lineCategories,
+        uint256[] memory amounts,
+        bool distributed
+    ) internal {
+        for (uint256 i = 0; i < lineCategories.length; i++) {
+            BudgetCategory storage category = categories[lineCategories[i]];
+            category.locked -= amounts[i];
+            if (distributed) {
+                category.distributed += amounts[i];
+            }
+        }
+    }
+}
@@ -179,19 +179,22 @@ library EmergencyClosureLib {
      * @notice Execute emergency closure
      * @param request The emergency closure request
      * @param omthbToken The OMTHB token contract
+     * @param reservedBalance Balance owed to recipients that must stay in the contract
      * @return currentBalance The balance that was transferred
      */
     function executeEmergencyClosure(
         EmergencyClosureRequest storage request,
-        IOMTHB omthbToken
+        IOMTHB omthbToken,
+        uint256 reservedBalance
     ) internal returns (uint256 currentBalance, bool shouldClearActiveRequest) {
         // Verify deadline hasn't expired
         if (request.executionDeadline != 0 && block.timestamp > request.executionDeadline) {
             revert ClosureExecutionDeadlineExpired();
         }
         
-        // Get current balance
+        // Get current balance, leaving reserved funds behind
         currentBalance = omthbToken.balanceOf(address(this));
+        currentBalance = currentBalance > reservedBalance ? currentBalance - reservedBalance : 0;
         
         // Cache values to prevent reentrancy
         address returnAddress = request.returnAddress;
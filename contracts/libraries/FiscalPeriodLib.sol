@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title FiscalPeriodLib
+ * @notice Library for fiscal period budget envelopes (annual or monthly caps)
+ * @dev Periods are stored in chronological order and never overlap. Spending is
+ * charged to the period in which funds are distributed; payouts that fall outside
+ * every period (between periods or after the last one) are not charged
+ */
+library FiscalPeriodLib {
+    // Custom errors
+    error InvalidFiscalPeriod();
+    error NoActiveFiscalPeriod();
+    error FiscalPeriodBudgetExceeded();
+
+    // Constants
+    uint256 internal constant MAX_FISCAL_PERIODS = 60;
+
+    struct FiscalPeriod {
+        uint64 start;         // Inclusive start timestamp
+        uint64 end;           // Exclusive end timestamp
+        bool rollover;        // Carry unused budget of the previous period into this one
+        uint256 cap;
+        uint256 distributed;
+    }
+
+    /**
+     * @notice Validate a new period before appending it
+     * @param periods Existing periods
+     * @param start Inclusive start timestamp
+     * @param end Exclusive end timestamp
+     */
+    function validateNew(FiscalPeriod[] storage periods, uint256 start, uint256 end) internal view {
+        if (periods.length >= MAX_FISCAL_PERIODS) revert InvalidFiscalPeriod();
+        if (start >= end || end > type(uint64).max) revert InvalidFiscalPeriod();
+        if (end <= block.timestamp) revert InvalidFiscalPeriod();
+        if (periods.length > 0 && start < periods[periods.length - 1].end) revert InvalidFiscalPeriod();
+    }
+
+    /**
+     * @notice Find the period containing a timestamp
+     * @param periods Configured periods
+     * @param timestamp The timestamp to look up
+     * @return found True if a period contains the timestamp
+     * @return index Index of the matching period
+     */
+    function findPeriod(
+        FiscalPeriod[] storage periods,
+        uint256 timestamp
+    ) internal view returns (bool found, uint256 index) {
+        for (uint256 i = periods.length; i > 0; i--) {
+            FiscalPeriod storage period = periods[i - 1];
+            if (timestamp >= period.end) break;
+            if (timestamp >= period.start) return (true, i - 1);
+        }
+        return (false, 0);
+    }
+
+    /**
+     * @notice Get the budget still available in a period, including rolled over budget
+     * @param periods Configured periods
+     * @param index Index of the period
+     * @return Cap plus carried-over budget minus amount distributed
+     */
+    function available(FiscalPeriod[] storage periods, uint256 index) internal view returns (uint256) {
+        // Walk back to the first period of the rollover chain, then forward accumulating carry
+        uint256 first = index;
+        while (first > 0 && periods[first].rollover) {
+            first--;
+        }
+
+        uint256 carry = 0;
+        for (uint256 i = first; i <= index; i++) {
+            FiscalPeriod storage period = periods[i];
+            uint256 total = period.cap + (i == first ? 0 : carry);
+            carry = total > period.distributed ? total - period.distributed : 0;
+        }
+        return carry;
+    }
+
+    /**
+     * @notice Revert unless the period active at the current time can absorb an amount
+     * @param periods Configured periods (enforcement is skipped when empty)
+     * @param amount The amount to check
+     * @return found True if periods are configured and one is active
+     * @return index Index of the active period
+     */
+    function checkCurrent(
+        FiscalPeriod[] storage periods,
+        uint256 amount
+    ) internal view returns (bool found, uint256 index) {
+        if (periods.length == 0) return (false, 0);
+
+        (found, index) = findPeriod(periods, block.timestamp);
+        if (!found) revert NoActiveFiscalPeriod();
+        if (amount > available(periods, index)) revert FiscalPeriodBudgetExceeded();
+    }
+
+    /**
+     * @notice Charge a distribution to the period active at the current time
+     * @param periods Configured periods (no-op when empty)
+     * @param amount The amount distributed
+     * @dev Requests were checked against an active period when created, so a payout
+     * made after that period lapsed still goes through
+     */
+    function recordSpend(FiscalPeriod[] storage periods, uint256 amount) internal {
+        (bool found, uint256 index) = findPeriod(periods, block.timestamp);
+        if (!found) return;
+        if (amount > available(periods, index)) revert FiscalPeriodBudgetExceeded();
+        periods[index].distributed += amount;
+    }
+
+    /**
+     * @notice Give back a returned amount to the period it was charged to
+     * @param periods Configured periods (no-op when empty)
+     * @param spentAt Time the funds were distributed
+     * @param amount The amount returned
+     */
+    function recordReturn(FiscalPeriod[] storage periods, uint256 spentAt, uint256 amount) internal {
+        (bool found, uint256 index) = findPeriod(periods, spentAt);
+        if (!found) return;
+        FiscalPeriod storage period = periods[index];
+        period.distributed -= amount < period.distributed ? amount : period.distributed;
+    }
+}
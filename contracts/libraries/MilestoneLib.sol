@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MilestoneLib
+ * @notice Library for releasing approved requests in tranches (e.g. 30/40/30)
+ * @dev Every tranche pays the same share of each recipient line; the last tranche
+ * pays whatever is left so rounding never strands funds
+ */
+library MilestoneLib {
+    // Custom errors
+    error InvalidMilestonePlan();
+
+    // Constants
+    uint256 internal constant MAX_TRANCHES = 10;
+    uint256 internal constant BASIS_POINTS = 10000;
+
+    struct MilestonePlan {
+        uint16[] trancheBps;              // Share of each tranche in basis points
+        uint256 releasedTranches;
+        uint256[] releasedPerRecipient;   // Released amount per recipient line
+        string[] trancheDocuments;        // Document hash attached to each released tranche
+    }
+
+    /**
+     * @notice Validate a tranche schedule
+     * @param trancheBps Share of each tranche in basis points, summing to 100%
+     */
+    function validateTranches(uint16[] calldata trancheBps) internal pure {
+        if (trancheBps.length < 2 || trancheBps.length > MAX_TRANCHES) revert InvalidMilestonePlan();
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < trancheBps.length; i++) {
+            if (trancheBps[i] == 0) revert InvalidMilestonePlan();
+            total += trancheBps[i];
+        }
+        if (total != BASIS_POINTS) revert InvalidMilestonePlan();
+    }
+
+    /**
+     * @notice Check whether a request is paid in tranches
+     * @param plan The milestone plan
+     * @return True if a tranche schedule is configured
+     */
+    function isMilestone(MilestonePlan storage plan) internal view returns (bool) {
+        return plan.trancheBps.length > 0;
+    }
+
+    /**
+     * @notice Compute the per-recipient amounts of the next tranche
+     * @param plan The milestone plan
+     * @param amounts Approved amount for each recipient line
+     * @return lineAmounts Amount for each recipient line in this tranche
+     * @return total Sum of the tranche line amounts
+     */
+    function nextTranche(
+        MilestonePlan storage plan,
+        uint256[] storage amounts
+    ) internal view returns (uint256[] memory lineAmounts, uint256 total) {
+        uint256 index = plan.releasedTranches;
+        if (index >= plan.trancheBps.length) revert InvalidMilestonePlan();
+
+        bool last = index == plan.trancheBps.length - 1;
+        lineAmounts = new uint256[](amounts.length);
+        for (uint256 i = 0; i < amounts.length; i++) {
+            lineAmounts[i] = last
+                ? amounts[i] - plan.releasedPerRecipient[i]
+                : (amounts[i] * plan.trancheBps[index]) / BASIS_POINTS;
+            total += lineAmounts[i];
+        }
+    }
+
+    /**
+     * @notice Record a released tranche
+     * @param plan The milestone plan
+     * @param lineAmounts Amount released to each recipient line
+     * @param documentHash Document backing the milestone
+     * @return complete True if this was the last tranche
+     */
+    function recordRelease(
+        MilestonePlan storage plan,
+        uint256[] memory lineAmounts,
+        string memory documentHash
+    ) internal returns (bool complete) {
+        for (uint256 i = 0; i < lineAmounts.length; i++) {
+            plan.releasedPerRecipient[i] += lineAmounts[i];
+        }
+        plan.trancheDocuments.push(documentHash);
+        plan.releasedTranches++;
+        return plan.releasedTranches == plan.trancheBps.length;
+    }
+
+    /**
+     * @notice Get the amount still to be released for each recipient line
+     * @param plan The milestone plan (may be unset)
+     * @param amounts Approved amount for each recipient line
+     * @return remaining Unreleased amount for each recipient line
+     */
+    function remainingAmounts(
+        MilestonePlan storage plan,
+        uint256[] storage amounts
+    ) internal view returns (uint256[] memory remaining) {
+        remaining = new uint256[](amounts.length);
+        bool milestone = isMilestone(plan);
+        for (uint256 i = 0; i < amounts.length; i++) {
+            remaining[i] = milestone ? amounts[i] - plan.releasedPerRecipient[i] : amounts[i];
+        }
+    }
+}
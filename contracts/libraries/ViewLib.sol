@@ -13,7 +13,9 @@ library ViewLib {
         FinanceApproved,
         DirectorApproved,
         Distributed,
-        Cancelled
+        Cancelled,
+        Rejected,
+        PartiallyDistributed
     }
     
     struct ReimbursementRequest {
@@ -75,8 +77,8 @@ library ViewLib {
         // Request must exist
         if (request.id == 0 && request.createdAt == 0) return false;
         
-        // Request must not be distributed or cancelled
-        if (request.status == Status.Distributed || request.status == Status.Cancelled) return false;
+        // Request must not be distributed, cancelled or rejected
+        if (request.status == Status.Distributed || request.status == Status.Cancelled || request.status == Status.Rejected) return false;
         
         // Check if 15 days have passed since last update
         uint256 abandonmentPeriod = 15 days;
@@ -95,4 +97,17 @@ library ViewLib {
         }
         return 0;
     }
+    
+    /**
+     * @notice Get balance not reserved by locked requests or unclaimed credits
+     * @param currentBalance The current token balance
+     * @param totalReserved The total amount locked by approved requests or owed to claimants
+     * @return The balance available for new approvals
+     */
+    function getAvailableBalance(uint256 currentBalance, uint256 totalReserved) internal pure returns (uint256) {
+        if (currentBalance > totalReserved) {
+            return currentBalance - totalReserved;
+        }
+        return 0;
+    }
 }
\ No newline at end of file
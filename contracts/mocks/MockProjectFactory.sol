@@ -2,19 +2,22 @@
 pragma solidity ^0.8.20;
 
 import "../ProjectReimbursementV3.sol";
+import "../modules/ProjectReimbursementAdminModule.sol";
 
 contract MockProjectFactory {
     address public omthbToken;
+    address public projectModules;
     
     event ProjectCreated(address indexed projectAddress, string projectId);
     
-    constructor(address _omthbToken) {
+    constructor(address _omthbToken, address _projectModules) {
         omthbToken = _omthbToken;
+        projectModules = _projectModules;
     }
     
     function createProject(string memory projectId, uint256 budget, address admin) external returns (address) {
         // Deploy new project using proxy pattern
-        ProjectReimbursementV3 implementation = new ProjectReimbursementV3();
+        ProjectReimbursementV3 implementation = new ProjectReimbursementV3(projectModules);
         
         // Simple proxy deployment for testing
         bytes memory data = abi.encodeWithSelector(
@@ -33,6 +36,6 @@ contract MockProjectFactory {
     }
     
     function grantProjectRole(address project, bytes32 role, address account) external {
-        ProjectReimbursementV3(project).grantRoleDirect(role, account);
+        ProjectReimbursementAdminModule(project).grantRoleDirect(role, account);
     }
 }
\ No newline at end of file
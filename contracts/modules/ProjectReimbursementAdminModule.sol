@@ -0,0 +1,550 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../base/ProjectReimbursementBase.sol";
+import "../interfaces/IProjectRegistry.sol";
+
+/**
+ * @title ProjectReimbursementAdminModule
+ * @notice Pause, emergency stop, admin transfer, timelock, role management and emergency closure functions of ProjectReimbursementOptimized
+ * @dev Reached by delegatecall from the project's fallback; holds no state of its own
+ */
+contract ProjectReimbursementAdminModule is ProjectReimbursementBase {
+    using EmergencyClosureLib for EmergencyClosureLib.EmergencyClosureRequest;
+    using EmergencyClosureLib for mapping(uint256 => EmergencyClosureLib.EmergencyClosureRequest);
+    using EmergencyClosureLib for EmergencyClosureLib.ClosureStatus;
+
+    /**
+     * @param extension Next module of the chain (address(0) for the last module)
+     */
+    constructor(address extension) ProjectReimbursementBase(extension) {}
+    
+    /**
+     * @notice Pause the contract (requires multi-sig)
+     * @dev The factory pauses in a single call when it executes a project closure, which
+     * its director and deputy quorum has already approved. An already paused project
+     * counts as closed, so a closure cannot be blocked by an earlier pause
+     */
+    function pause() external {
+        if (msg.sender == projectFactory) {
+            if (!paused()) {
+                _pause();
+                emit EmergencyPause(msg.sender, block.timestamp);
+            }
+            return;
+        }
+        _checkRole(DEFAULT_ADMIN_ROLE);
+        
+        // Use time window to allow admins to approve the same operation
+        uint256 timeWindow = block.timestamp - (block.timestamp % CRITICAL_OPERATION_TIME_WINDOW);
+        bytes32 operationId = keccak256(abi.encodePacked("pause", timeWindow));
+        
+        // Check if already approved by this admin
+        address[] storage approvers = criticalOperationApprovers[operationId];
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (approvers[i] == msg.sender) revert AlreadyApproved();
+        }
+        
+        // Add approval
+        approvers.push(msg.sender);
+        emit CriticalOperationApproved(operationId, msg.sender, approvers.length);
+        
+        // Execute if threshold reached
+        if (approvers.length >= CRITICAL_OPERATION_THRESHOLD) {
+            _pause();
+            emit EmergencyPause(msg.sender, block.timestamp);
+            
+            // Clean up
+            delete criticalOperationApprovers[operationId];
+        }
+    }
+    
+    /**
+     * @notice Unpause the contract (requires timelock)
+     */
+    function unpause() external onlyTimelockOrAdmin {
+        _unpause();
+        emit EmergencyUnpause(msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @notice Activate emergency stop (requires multi-sig)
+     */
+    function activateEmergencyStop() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        // Use time window to allow admins to approve the same operation
+        uint256 timeWindow = block.timestamp - (block.timestamp % CRITICAL_OPERATION_TIME_WINDOW);
+        bytes32 operationId = keccak256(abi.encodePacked("emergencyStop", timeWindow));
+        
+        // Check if already approved by this admin
+        address[] storage approvers = criticalOperationApprovers[operationId];
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (approvers[i] == msg.sender) revert AlreadyApproved();
+        }
+        
+        // Add approval
+        approvers.push(msg.sender);
+        emit CriticalOperationApproved(operationId, msg.sender, approvers.length);
+        
+        // Execute if threshold reached
+        if (approvers.length >= CRITICAL_OPERATION_THRESHOLD) {
+            emergencyStop = true;
+            _pause();
+            emit EmergencyPause(msg.sender, block.timestamp);
+            
+            // Clean up
+            delete criticalOperationApprovers[operationId];
+        }
+    }
+    
+    /**
+     * @notice Deactivate emergency stop (requires timelock)
+     */
+    function deactivateEmergencyStop() external onlyTimelockOrAdmin {
+        emergencyStop = false;
+        _unpause();
+        emit EmergencyUnpause(msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @notice Set timelock controller address
+     * @param _timelockController The timelock controller address
+     */
+    function setTimelockController(address _timelockController) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        ValidationLib.validateNotZero(_timelockController);
+        // Validate that the address is a contract, not an EOA
+        if (_timelockController.code.length == 0) revert InvalidAddress();
+        
+        // Additional validation - basic sanity check for contract size
+        if (_timelockController.code.length < 100) revert InvalidAddress();
+        
+        address previousController = timelockController;
+        timelockController = _timelockController;
+        
+        emit TimelockControllerUpdated(previousController, _timelockController);
+    }
+    
+    /**
+     * @notice Initiate admin transfer (Step 1 of two-step transfer)
+     * @param newAdmin The address of the new admin
+     */
+    function initiateAdminTransfer(address newAdmin) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        // Ensure only one admin exists
+        if (getAdminCount() != 1) {
+            revert MultipleAdminsNotAllowed();
+        }
+        
+        // Check if there's already a pending transfer
+        if (pendingAdmin != address(0)) {
+            revert AdminTransferInProgress();
+        }
+        
+        ValidationLib.validateNotZero(newAdmin);
+        
+        // Store the current admin that will be replaced
+        adminBeingReplaced = msg.sender;
+        pendingAdmin = newAdmin;
+        pendingAdminTimestamp = block.timestamp;
+        
+        emit AdminTransferInitiated(msg.sender, newAdmin, block.timestamp);
+    }
+    
+    /**
+     * @notice Complete admin transfer (Step 2 of two-step transfer)
+     * @dev Can only be called by pending admin after timelock
+     */
+    function acceptAdminTransfer() external {
+        if (msg.sender != pendingAdmin) revert PendingAdminOnly();
+        if (pendingAdminTimestamp == 0) revert TransferNotInitiated();
+        if (block.timestamp < pendingAdminTimestamp + TIMELOCK_DURATION) revert TimelockNotExpired();
+        
+        // Ensure the admin being replaced hasn't changed
+        if (!hasRole(DEFAULT_ADMIN_ROLE, adminBeingReplaced)) {
+            revert("Admin configuration changed during transfer");
+        }
+        
+        // Ensure still only one admin
+        if (getAdminCount() != 1) {
+            revert MultipleAdminsNotAllowed();
+        }
+        
+        // Transfer admin role atomically
+        _revokeRole(DEFAULT_ADMIN_ROLE, adminBeingReplaced);
+        _grantRole(DEFAULT_ADMIN_ROLE, pendingAdmin);
+        
+        currentAdmin = pendingAdmin;
+        
+        emit AdminTransferCompleted(adminBeingReplaced, pendingAdmin);
+        
+        // Reset pending admin and admin being replaced
+        pendingAdmin = address(0);
+        adminBeingReplaced = address(0);
+        pendingAdminTimestamp = 0;
+        
+        // Keep the factory's admin index current; a factory without one must not block the transfer
+        if (projectFactory.code.length > 0) {
+            try IProjectRegistry(projectFactory).syncProjectAdmin(projectId) {} catch {}
+        }
+    }
+    
+    /**
+     * @notice Queue a timelock operation
+     * @param target The target address for the operation
+     * @param data The encoded function call
+     * @return operationId The unique operation identifier
+     */
+    function queueTimelockOperation(address target, bytes calldata data) 
+        external 
+        onlyRole(DEFAULT_ADMIN_ROLE) 
+        returns (bytes32) 
+    {
+        // Input validation
+        ValidationLib.validateNotZero(target);
+        if (data.length == 0) revert InvalidDescription();
+        if (data.length > 10000) revert InvalidDescription(); // Prevent gas griefing
+        
+        bytes32 operationId = keccak256(abi.encode(target, data, block.timestamp));
+        uint256 executeTime = block.timestamp + TIMELOCK_DURATION;
+        
+        timelockQueue[operationId] = executeTime;
+        
+        emit TimelockOperationQueued(operationId, target, executeTime);
+        
+        return operationId;
+    }
+    
+    /**
+     * @notice Execute a queued timelock operation
+     * @param operationId The operation identifier
+     * @param target The target address
+     * @param data The encoded function call
+     */
+    function executeTimelockOperation(
+        bytes32 operationId,
+        address target,
+        bytes calldata data
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 executeTime = timelockQueue[operationId];
+        if (executeTime == 0) revert OperationNotQueued();
+        if (block.timestamp < executeTime) revert TimelockNotExpired();
+        
+        // Verify operation matches
+        bytes32 expectedId = keccak256(abi.encode(target, data, executeTime - TIMELOCK_DURATION));
+        if (expectedId != operationId) revert InvalidCommitment();
+        
+        // Execute operation
+        delete timelockQueue[operationId];
+        
+        (bool success, ) = target.call(data);
+        if (!success) revert TransferFailed();
+        
+        emit TimelockOperationExecuted(operationId, target);
+    }
+    
+    /**
+     * @notice Cancel a queued timelock operation
+     * @param operationId The operation identifier
+     */
+    function cancelTimelockOperation(bytes32 operationId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (timelockQueue[operationId] == 0) revert OperationNotQueued();
+        
+        delete timelockQueue[operationId];
+        
+        emit TimelockOperationCancelled(operationId);
+    }
+    
+    /**
+     * @notice Revoke role with commit-reveal pattern
+     * @param role The role to revoke
+     * @param account The account to revoke the role from
+     * @param nonce The nonce used in commitment
+     */
+    function revokeRoleWithReveal(bytes32 role, address account, uint256 nonce) external onlyRole(getRoleAdmin(role)) {
+        ValidationLib.validateNotZero(account);
+        
+        // Verify commitment
+        bytes32 commitment = roleCommitments[role][msg.sender];
+        if (commitment == bytes32(0)) revert InvalidRoleCommitment();
+        if (block.timestamp < roleCommitTimestamps[role][msg.sender] + REVEAL_WINDOW) {
+            revert RevealTooEarly();
+        }
+        
+        // Verify reveal matches commitment
+        bytes32 revealHash = keccak256(abi.encodePacked(role, account, msg.sender, block.chainid, nonce));
+        if (revealHash != commitment) revert InvalidRoleCommitment();
+        
+        // Clear commitment
+        delete roleCommitments[role][msg.sender];
+        delete roleCommitTimestamps[role][msg.sender];
+        
+        // Prevent removing the last admin
+        if (role == DEFAULT_ADMIN_ROLE && getAdminCount() == 1) {
+            revert("Cannot remove last admin");
+        }
+        
+        // Revoke role
+        _revokeRole(role, account);
+        
+        emit RoleRevoked(role, account, msg.sender);
+    }
+    
+    /**
+     * @notice Commit a role operation for commit-reveal pattern
+     * @param role The role to commit for
+     * @param commitment Hash of role, account, granter, and nonce
+     */
+    function commitRole(bytes32 role, bytes32 commitment) external {
+        if (!hasRole(getRoleAdmin(role), msg.sender)) revert UnauthorizedApprover();
+        if (roleCommitments[role][msg.sender] != bytes32(0)) revert RoleCommitmentExists();
+        
+        roleCommitments[role][msg.sender] = commitment;
+        roleCommitTimestamps[role][msg.sender] = block.timestamp;
+        
+        emit RoleCommitted(role, address(0), msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @notice Grant role with commit-reveal pattern
+     * @param role The role to grant
+     * @param account The account to grant the role to
+     * @param nonce The nonce used in commitment
+     */
+    function grantRoleWithReveal(bytes32 role, address account, uint256 nonce) external onlyRole(getRoleAdmin(role)) {
+        ValidationLib.validateNotZero(account);
+        
+        // Prevent admin role from being granted after initialization
+        if (role == DEFAULT_ADMIN_ROLE) {
+            revert AdminRoleCannotBeGrantedAfterInit();
+        }
+        
+        // Prevent granting roles during admin transfer
+        if (pendingAdmin != address(0)) {
+            revert AdminTransferInProgress();
+        }
+        
+        // Verify commitment
+        bytes32 commitment = roleCommitments[role][msg.sender];
+        if (commitment == bytes32(0)) revert InvalidRoleCommitment();
+        if (block.timestamp < roleCommitTimestamps[role][msg.sender] + REVEAL_WINDOW) {
+            revert RevealTooEarly();
+        }
+        
+        // Verify reveal matches commitment
+        bytes32 revealHash = keccak256(abi.encodePacked(role, account, msg.sender, block.chainid, nonce));
+        if (revealHash != commitment) revert InvalidRoleCommitment();
+        
+        // Clear commitment
+        delete roleCommitments[role][msg.sender];
+        delete roleCommitTimestamps[role][msg.sender];
+        
+        // Grant role
+        _grantRole(role, account);
+        
+        emit RoleGrantedWithReveal(role, account, msg.sender);
+    }
+    
+    /**
+     * @notice Direct role grant for initial setup only
+     * @dev Only callable by factory during initialization
+     * @param role The role to grant
+     * @param account The account to grant the role to
+     */
+    function grantRoleDirect(bytes32 role, address account) external {
+        // CRITICAL FIX: Allow factory to set initial roles ONLY
+        if (msg.sender != projectFactory) {
+            revert UnauthorizedApprover();
+        }
+        
+        // Prevent admin role from being granted more than once
+        if (role == DEFAULT_ADMIN_ROLE) {
+            if (adminInitialized) {
+                revert AdminAlreadyInitialized();
+            }
+            adminInitialized = true;
+        }
+        
+        ValidationLib.validateNotZero(account);
+        _grantRole(role, account);
+    }
+    
+    /**
+     * @notice Initiate an emergency closure request
+     * @param returnAddress The address where remaining tokens should be sent
+     * @param reason The reason for emergency closure
+     * @return closureId The ID of the created closure request
+     */
+    function initiateEmergencyClosure(
+        address returnAddress,
+        string calldata reason
+    ) external whenNotPaused notEmergencyStopped returns (uint256) {
+        // Only committee members or director can initiate
+        if (!hasRole(COMMITTEE_ROLE, msg.sender) && !hasRole(DIRECTOR_ROLE, msg.sender)) {
+            revert UnauthorizedApprover();
+        }
+        
+        // Validate inputs using library
+        EmergencyClosureLib.validateClosureInputs(returnAddress, reason);
+        
+        // Check if there's already an active closure request using library
+        if (EmergencyClosureLib.hasAnyActiveClosureRequest(closureRequests, _closureIdCounter)) {
+            revert ActiveClosureExists();
+        }
+        
+        uint256 closureId = _closureIdCounter++;
+        
+        // Create closure request step by step to avoid stack too deep
+        EmergencyClosureLib.EmergencyClosureRequest storage closureRequest = closureRequests[closureId];
+        closureRequest.id = closureId;
+        closureRequest.initiator = msg.sender;
+        closureRequest.returnAddress = returnAddress;
+        closureRequest.reason = reason;
+        closureRequest.status = EmergencyClosureLib.ClosureStatus.Initiated;
+        closureRequest.createdAt = block.timestamp;
+        closureRequest.updatedAt = block.timestamp;
+        closureRequest.executionDeadline = 0; // Set when fully approved
+        closureRequest.remainingBalance = 0; // Set when executed
+        
+        // Initialize approval info
+        closureRequest.closureApprovalInfo.directorApprover = address(0);
+        // committeeApprovers is already initialized as empty array
+        
+        activeClosureRequestId = closureId;
+        
+        emit EmergencyClosureLib.EmergencyClosureInitiated(closureId, msg.sender, returnAddress, reason);
+        
+        return closureId;
+    }
+    
+    /**
+     * @notice Commit an approval for emergency closure (Step 1 of commit-reveal)
+     * @param closureId The closure request ID
+     * @param commitment Hash of approver address, closureId, and nonce
+     */
+    function commitClosureApproval(uint256 closureId, bytes32 commitment) 
+        external 
+        whenNotPaused 
+        notEmergencyStopped 
+        nonReentrant 
+    {
+        EmergencyClosureLib.EmergencyClosureRequest storage request = closureRequests[closureId];
+        if (request.id != closureId || request.status == EmergencyClosureLib.ClosureStatus.None) {
+            revert NoActiveClosureRequest();
+        }
+        if (request.status == EmergencyClosureLib.ClosureStatus.Executed || request.status == EmergencyClosureLib.ClosureStatus.Cancelled) {
+            revert InvalidClosureStatus();
+        }
+        
+        // Verify approver has appropriate role
+        bool isCommittee = hasRole(COMMITTEE_ROLE, msg.sender);
+        bool isDirector = hasRole(DIRECTOR_ROLE, msg.sender);
+        
+        if (!isCommittee && !isDirector) revert UnauthorizedApprover();
+        
+        // If director, check that we have enough committee approvers
+        if (isDirector && request.closureApprovalInfo.committeeApprovers.length < REQUIRED_CLOSURE_COMMITTEE_APPROVERS) {
+            revert InsufficientCommitteeApprovers();
+        }
+        
+        closureCommitments[closureId][msg.sender] = commitment;
+        closureCommitTimestamps[closureId][msg.sender] = block.timestamp;
+        
+        emit ClosureCommitted(closureId, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @notice Approve emergency closure with reveal
+     * @param closureId The closure request ID
+     * @param nonce The nonce used in the commitment
+     */
+    function approveEmergencyClosure(uint256 closureId, uint256 nonce) 
+        external 
+        whenNotPaused 
+        notEmergencyStopped
+        nonReentrant
+    {
+        FeatureStorage storage $ = _getFeatureStorage();
+        // Verify commitment exists and reveal window has passed
+        bytes32 commitment = closureCommitments[closureId][msg.sender];
+        if (commitment == bytes32(0)) revert InvalidCommitment();
+        if (block.timestamp < closureCommitTimestamps[closureId][msg.sender] + REVEAL_WINDOW) {
+            revert RevealTooEarly();
+        }
+        
+        // Verify the reveal matches the commitment
+        bytes32 revealHash = keccak256(abi.encodePacked(msg.sender, closureId, block.chainid, nonce));
+        if (revealHash != commitment) revert InvalidCommitment();
+        
+        EmergencyClosureLib.EmergencyClosureRequest storage request = closureRequests[closureId];
+        if (request.id != closureId || request.status == EmergencyClosureLib.ClosureStatus.None) {
+            revert NoActiveClosureRequest();
+        }
+        if (request.status == EmergencyClosureLib.ClosureStatus.Executed || request.status == EmergencyClosureLib.ClosureStatus.Cancelled) {
+            revert InvalidClosureStatus();
+        }
+        
+        bool isCommittee = hasRole(COMMITTEE_ROLE, msg.sender);
+        bool isDirector = hasRole(DIRECTOR_ROLE, msg.sender);
+        
+        if (!isCommittee && !isDirector) revert UnauthorizedApprover();
+        
+        // Handle committee approval
+        if (isCommittee && request.closureApprovalInfo.committeeApprovers.length < REQUIRED_CLOSURE_COMMITTEE_APPROVERS) {
+            bool isFullyApproved = request.addCommitteeApprover(msg.sender);
+            
+            emit EmergencyClosureLib.EmergencyClosureApproved(closureId, msg.sender, request.closureApprovalInfo.committeeApprovers.length);
+        }
+        // Handle director approval
+        else if (isDirector && request.closureApprovalInfo.committeeApprovers.length >= REQUIRED_CLOSURE_COMMITTEE_APPROVERS) {
+            request.addDirectorApproval(msg.sender);
+            
+            emit EmergencyClosureLib.EmergencyClosureApproved(closureId, msg.sender, request.closureApprovalInfo.committeeApprovers.length);
+            
+            // Auto-execute the closure
+            (uint256 balance, bool shouldClear) = request.executeEmergencyClosure(omthbToken, $.totalClaimable);
+            if (shouldClear) {
+                activeClosureRequestId = 0;
+            }
+            
+            // Pause the contract permanently
+            if (!paused()) {
+                _pause();
+            }
+        } else {
+            revert InvalidClosureStatus();
+        }
+        
+        // Clear the commitment after use
+        delete closureCommitments[closureId][msg.sender];
+        delete closureCommitTimestamps[closureId][msg.sender];
+        
+        emit ClosureApprovalRevealed(closureId, msg.sender);
+    }
+    
+    /**
+     * @notice Cancel an emergency closure request
+     * @param closureId The closure request ID to cancel
+     */
+    function cancelEmergencyClosure(uint256 closureId) external whenNotPaused nonReentrant {
+        EmergencyClosureLib.EmergencyClosureRequest storage request = closureRequests[closureId];
+        if (request.id != closureId || request.status == EmergencyClosureLib.ClosureStatus.None) {
+            revert NoActiveClosureRequest();
+        }
+        
+        // Only initiator or admin can cancel
+        if (msg.sender != request.initiator && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
+            revert UnauthorizedApprover();
+        }
+        
+        // Cannot cancel if already executed
+        if (request.status == EmergencyClosureLib.ClosureStatus.Executed) revert InvalidClosureStatus();
+        
+        request.status = EmergencyClosureLib.ClosureStatus.Cancelled;
+        request.updatedAt = block.timestamp;
+        
+        // Clear active closure request if this was it
+        if (activeClosureRequestId == closureId) {
+            activeClosureRequestId = 0;
+        }
+        
+        emit EmergencyClosureLib.EmergencyClosureCancelled(closureId, msg.sender);
+    }
+}
@@ -0,0 +1,183 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../base/ProjectReimbursementBase.sol";
+
+/**
+ * @title ProjectReimbursementApprovalModule
+ * @notice Approval functions of ProjectReimbursementOptimized
+ * @dev Reached by delegatecall from the project's fallback; holds no state of its own
+ */
+contract ProjectReimbursementApprovalModule is ProjectReimbursementBase {
+    /**
+     * @param extension Next module of the chain (address(0) for the last module)
+     */
+    constructor(address extension) ProjectReimbursementBase(extension) {}
+    
+    /**
+     * @notice Commit an approval for a request (Step 1 of commit-reveal)
+     * @param requestId The request ID to commit approval for
+     * @param commitment Hash of approver address, requestId, and nonce
+     * @dev Prevents front-running by requiring commitment before approval
+     */
+    function commitApproval(uint256 requestId, bytes32 commitment) external whenNotPaused notEmergencyStopped nonReentrant {
+        ReimbursementRequest storage request = requests[requestId];
+        if (request.id != requestId || _isClosedOut(request.status)) revert RequestNotFound();
+        if (request.status == Status.Distributed) revert InvalidStatus();
+        
+        // Verify approver has appropriate role for current status
+        if (!_isCurrentStageApprover(request, msg.sender)) revert UnauthorizedApprover();
+        
+        approvalCommitments[requestId][msg.sender] = commitment;
+        commitTimestamps[requestId][msg.sender] = block.timestamp;
+        
+        emit ApprovalCommitted(requestId, msg.sender, block.timestamp, block.chainid);
+    }
+    
+    /**
+     * @notice Secretary approval with reveal (Level 1)
+     * @param requestId The request ID to approve
+     * @param nonce The nonce used in the commitment
+     * @dev Part of commit-reveal pattern to prevent front-running
+     */
+    function approveBySecretary(uint256 requestId, uint256 nonce) 
+        external 
+        whenNotPaused 
+        notEmergencyStopped
+        nonReentrant
+    {
+        address approver = _resolveApprover(SECRETARY_ROLE, requestId, msg.sender);
+        _verifyAndRevealApproval(requestId, nonce);
+        
+        Status status = _recordApproval(requestId, ApprovalStage.Secretary, approver, msg.sender);
+        emit ApprovalRevealed(requestId, msg.sender, status);
+        
+        _completeApprovalIfFinal(requestId);
+    }
+    
+    /**
+     * @notice Committee approval with reveal (Level 2)
+     * @param requestId The request ID to approve
+     * @param nonce The nonce used in the commitment
+     * @dev Part of commit-reveal pattern to prevent front-running
+     */
+    function approveByCommittee(uint256 requestId, uint256 nonce) 
+        external 
+        whenNotPaused 
+        notEmergencyStopped
+        nonReentrant
+    {
+        address approver = _resolveApprover(COMMITTEE_ROLE, requestId, msg.sender);
+        _verifyAndRevealApproval(requestId, nonce);
+        
+        Status status = _recordApproval(requestId, ApprovalStage.Committee, approver, msg.sender);
+        emit ApprovalRevealed(requestId, msg.sender, status);
+        
+        _completeApprovalIfFinal(requestId);
+    }
+    
+    /**
+     * @notice Finance approval with reveal (Level 3)
+     * @param requestId The request ID to approve
+     * @param nonce The nonce used in the commitment
+     * @dev Part of commit-reveal pattern to prevent front-running
+     */
+    function approveByFinance(uint256 requestId, uint256 nonce) 
+        external 
+        whenNotPaused 
+        notEmergencyStopped
+        nonReentrant
+    {
+        address approver = _resolveApprover(FINANCE_ROLE, requestId, msg.sender);
+        _verifyAndRevealApproval(requestId, nonce);
+        
+        Status status = _recordApproval(requestId, ApprovalStage.Finance, approver, msg.sender);
+        emit ApprovalRevealed(requestId, msg.sender, status);
+        
+        _completeApprovalIfFinal(requestId);
+    }
+    
+    /**
+     * @notice Additional Committee approval with reveal (Level 4)
+     * @param requestId The request ID to approve
+     * @param nonce The nonce used in the commitment
+     * @dev Part of commit-reveal pattern to prevent front-running
+     */
+    function approveByCommitteeAdditional(uint256 requestId, uint256 nonce) 
+        external 
+        whenNotPaused 
+        notEmergencyStopped
+        nonReentrant
+    {
+        address approver = _resolveApprover(COMMITTEE_ROLE, requestId, msg.sender);
+        _verifyAndRevealApproval(requestId, nonce);
+        
+        Status status = _recordApproval(requestId, ApprovalStage.CommitteeAdditional, approver, msg.sender);
+        emit ApprovalRevealed(requestId, msg.sender, status);
+        
+        _completeApprovalIfFinal(requestId);
+    }
+    
+    /**
+     * @notice Director approval with reveal and auto-distribution (Level 5)
+     * @param requestId The request ID to approve
+     * @param nonce The nonce used in the commitment
+     * @dev Part of commit-reveal pattern to prevent front-running. Tiers may require
+     * several distinct directors; distribution happens on the last one.
+     */
+    function approveByDirector(uint256 requestId, uint256 nonce) 
+        external 
+        whenNotPaused 
+        notEmergencyStopped
+        nonReentrant
+    {
+        address approver = _resolveApprover(DIRECTOR_ROLE, requestId, msg.sender);
+        _verifyAndRevealApproval(requestId, nonce);
+        
+        Status status = _recordApproval(requestId, ApprovalStage.Director, approver, msg.sender);
+        emit ApprovalRevealed(requestId, msg.sender, status);
+        
+        _completeApprovalIfFinal(requestId);
+    }
+    
+    /**
+     * @notice Submit one approval signed off-chain as EIP-712 typed data
+     * @param approval The signed approval
+     */
+    function submitSignedApproval(
+        SignedApproval calldata approval
+    ) external whenNotPaused notEmergencyStopped nonReentrant {
+        if (block.timestamp > approval.deadline) revert SignatureExpired();
+        
+        uint256 requestId = approval.requestId;
+        ReimbursementRequest storage request = requests[requestId];
+        if (request.id != requestId || _isClosedOut(request.status)) revert RequestNotFound();
+        
+        bytes32 role = _stageRole(approval.stage);
+        if (role == bytes32(0)) revert InvalidStatus();
+        
+        // The version ties the signature to the request content it was given for
+        address signer = ECDSA.recover(_hashApproval(requestId, approval.stage, approval.deadline), approval.signature);
+        address approver = _resolveApprover(role, requestId, signer);
+        
+        Status status = _recordApproval(requestId, approval.stage, approver, signer);
+        emit SignedApprovalSubmitted(requestId, signer, msg.sender, status);
+        
+        _completeApprovalIfFinal(requestId);
+    }
+    
+    /**
+     * @notice Get the EIP-712 digest an approver signs for a request stage
+     * @param requestId The request ID
+     * @param stage The approval stage being signed for
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @return The typed data digest
+     */
+    function getApprovalDigest(
+        uint256 requestId,
+        ApprovalStage stage,
+        uint256 deadline
+    ) external view returns (bytes32) {
+        return _hashApproval(requestId, stage, deadline);
+    }
+}
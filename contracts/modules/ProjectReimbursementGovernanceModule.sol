@@ -0,0 +1,315 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../base/ProjectReimbursementBase.sol";
+
+/**
+ * @title ProjectReimbursementGovernanceModule
+ * @notice Budget and configuration functions of ProjectReimbursementOptimized
+ * @dev Reached by delegatecall from the project's fallback; holds no state of its own
+ */
+contract ProjectReimbursementGovernanceModule is ProjectReimbursementBase {
+    using FiscalPeriodLib for FiscalPeriodLib.FiscalPeriod[];
+
+    /**
+     * @param extension Next module of the chain (address(0) for the last module)
+     */
+    constructor(address extension) ProjectReimbursementBase(extension) {}
+    
+    /**
+     * @notice Update project budget (requires timelock or admin)
+     * @param newBudget The new budget amount
+     * @dev Recorded in the budget history as a direct update; updateBudgetWithReason records a justification
+     */
+    function updateBudget(uint256 newBudget) external onlyTimelockOrAdmin nonReentrant {
+        ValidationLib.validateAmountNotZero(newBudget);
+        _recordBudgetUpdate(newBudget, "Direct budget update");
+    }
+    
+    /**
+     * @notice Update project budget with a justification (requires timelock or admin)
+     * @param newBudget The new budget amount
+     * @param reason Justification recorded in the budget history
+     * @dev proposeBudgetChange with finance and director approval is the authoritative path;
+     * direct updates are the governance fallback
+     */
+    function updateBudgetWithReason(uint256 newBudget, string calldata reason) external onlyTimelockOrAdmin nonReentrant {
+        ValidationLib.validateAmountNotZero(newBudget);
+        if (bytes(reason).length == 0 || bytes(reason).length > 1000) revert InvalidDescription();
+        _recordBudgetUpdate(newBudget, reason);
+    }
+    
+    /**
+     * @notice Send unused budget and its tokens to another project of the same factory
+     * @param transferId The factory's budget transfer ID
+     * @param destination The receiving project
+     * @param amount The budget amount to move
+     * @dev Called by the factory once the director and deputies have approved the transfer.
+     * All unused budget may leave, bringing the budget to zero
+     */
+    function transferBudgetOut(
+        uint256 transferId,
+        address destination,
+        uint256 amount
+    ) external onlyFactory whenNotPaused notEmergencyStopped nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ValidationLib.validateNotZero(destination);
+        ValidationLib.validateAmountNotZero(amount);
+        
+        // Only budget that is neither spent nor reserved can leave
+        uint256 committed = totalDistributed + totalLocked;
+        if (committed > projectBudget || amount > projectBudget - committed) revert InsufficientBudget();
+        uint256 available = ViewLib.getAvailableBalance(omthbToken.balanceOf(address(this)), totalLocked + $.totalClaimable);
+        if (amount > available) revert InsufficientAvailableBalance();
+        
+        // Deposits are tracked net of what was moved on; depositorBalances keep who paid in
+        totalDeposited = totalDeposited > amount ? totalDeposited - amount : 0;
+        
+        _recordBudgetUpdate(projectBudget - amount, "Budget transfer out");
+        emit BudgetTransferredOut(transferId, destination, amount);
+        
+        bool success = omthbToken.transfer(destination, amount);
+        if (!success) revert TransferFailed();
+    }
+    
+    /**
+     * @notice Take in budget moved from another project of the same factory
+     * @param transferId The factory's budget transfer ID
+     * @param source The sending project
+     * @param amount The budget amount received
+     * @dev Called by the factory after the source project has sent the tokens
+     */
+    function receiveBudgetTransfer(
+        uint256 transferId,
+        address source,
+        uint256 amount
+    ) external onlyFactory whenNotPaused notEmergencyStopped nonReentrant {
+        ValidationLib.validateAmountNotZero(amount);
+        
+        totalDeposited += amount;
+        depositorBalances[source] += amount;
+        
+        _recordBudgetUpdate(projectBudget + amount, "Budget transfer in");
+        emit BudgetTransferredIn(transferId, source, amount);
+    }
+    
+    /**
+     * @notice Propose a budget change for finance and director approval
+     * @param newBudget The proposed budget amount
+     * @param reason Justification for the change
+     * @param documentHash Supporting document reference (IPFS hash)
+     * @return proposalId The ID of the proposal
+     */
+    function proposeBudgetChange(
+        uint256 newBudget,
+        string calldata reason,
+        string calldata documentHash
+    ) external whenNotPaused notEmergencyStopped returns (uint256 proposalId) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (!hasRole(REQUESTER_ROLE, msg.sender) && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) revert UnauthorizedApprover();
+        if (newBudget == 0 || newBudget == projectBudget || newBudget > type(uint256).max / 2) revert InvalidAmount();
+        if (bytes(reason).length == 0 || bytes(reason).length > 1000) revert InvalidDescription();
+        if (bytes(documentHash).length == 0 || bytes(documentHash).length > 100) revert InvalidDocumentHash();
+        
+        proposalId = $.budgetChanges.length;
+        BudgetChange storage change = $.budgetChanges.push();
+        change.newBudget = newBudget;
+        change.reason = reason;
+        change.documentHash = documentHash;
+        change.proposer = msg.sender;
+        change.proposedAt = uint64(block.timestamp);
+        
+        emit BudgetChangeProposed(proposalId, msg.sender, newBudget, reason, documentHash);
+    }
+    
+    /**
+     * @notice Submit a signed finance or director approval of a budget change
+     * @param proposalId The proposal ID
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature EIP-712 signature of the approver for the proposal's current stage
+     * @dev Finance approves first; the director's approval executes the change
+     */
+    function approveBudgetChange(
+        uint256 proposalId,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused notEmergencyStopped nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (proposalId >= $.budgetChanges.length) revert RequestNotFound();
+        
+        BudgetChange storage change = $.budgetChanges[proposalId];
+        ApprovalStage stage;
+        if (change.status == BudgetChangeStatus.Proposed) {
+            stage = ApprovalStage.Finance;
+        } else if (change.status == BudgetChangeStatus.FinanceApproved) {
+            stage = ApprovalStage.Director;
+        } else {
+            revert InvalidStatus();
+        }
+        
+        address signer = ECDSA.recover(_hashBudgetChangeApproval(proposalId, stage, deadline), signature);
+        if (!hasRole(_stageRole(stage), signer)) revert UnauthorizedApprover();
+        if (!$.conflictExemptions[signer] && (signer == change.proposer || signer == change.financeApprover)) {
+            revert ConflictOfInterest(signer);
+        }
+        
+        emit BudgetChangeApproved(proposalId, signer, stage);
+        
+        if (stage == ApprovalStage.Finance) {
+            change.financeApprover = signer;
+            change.status = BudgetChangeStatus.FinanceApproved;
+        } else {
+            change.directorApprover = signer;
+            _executeBudgetChange(proposalId);
+        }
+    }
+    
+    /**
+     * @notice Withdraw a budget change that has not been executed
+     * @param proposalId The proposal ID
+     */
+    function cancelBudgetChange(uint256 proposalId) external {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (proposalId >= $.budgetChanges.length) revert RequestNotFound();
+        
+        BudgetChange storage change = $.budgetChanges[proposalId];
+        if (msg.sender != change.proposer && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) revert UnauthorizedApprover();
+        if (change.status != BudgetChangeStatus.Proposed && change.status != BudgetChangeStatus.FinanceApproved) {
+            revert InvalidStatus();
+        }
+        
+        change.status = BudgetChangeStatus.Cancelled;
+        emit BudgetChangeCancelled(proposalId, msg.sender);
+    }
+    
+    /**
+     * @notice Create or update a budget category cap (requires timelock)
+     * @param categoryId The category identifier (e.g. keccak256("TRAVEL"))
+     * @param cap The maximum amount distributable from this category
+     * @dev The sum of all category caps may not exceed the project budget
+     */
+    function setBudgetCategory(bytes32 categoryId, uint256 cap) external onlyTimelockOrAdmin nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (categoryId == bytes32(0)) revert InvalidDescription();
+        
+        BudgetCategoryLib.BudgetCategory storage category = $.budgetCategories[categoryId];
+        if (!category.exists) {
+            if ($.budgetCategoryIds.length >= BudgetCategoryLib.MAX_BUDGET_CATEGORIES) revert ArrayLengthExceeded();
+            category.exists = true;
+            $.budgetCategoryIds.push(categoryId);
+        }
+        
+        // Cap cannot drop below what is already spent or reserved
+        if (cap < category.locked + category.distributed) revert InvalidAmount();
+        
+        uint256 oldCap = category.cap;
+        category.cap = cap;
+        
+        if (_totalCategoryCaps() > projectBudget) revert InsufficientBudget();
+        
+        emit BudgetCategoryUpdated(categoryId, oldCap, cap);
+    }
+    
+    /**
+     * @notice Append a fiscal period with its own spending cap (requires timelock)
+     * @param start Inclusive start timestamp, not before the end of the previous period
+     * @param end Exclusive end timestamp, must be in the future
+     * @param cap Maximum amount distributable within the period
+     * @param rollover Whether unused budget of the previous period carries into this one
+     * @dev Once any period exists, requests can only be created and paid inside a period
+     */
+    function addFiscalPeriod(
+        uint256 start,
+        uint256 end,
+        uint256 cap,
+        bool rollover
+    ) external onlyTimelockOrAdmin nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        $.fiscalPeriods.validateNew(start, end);
+        if (cap > projectBudget) revert InsufficientBudget();
+        
+        $.fiscalPeriods.push(FiscalPeriodLib.FiscalPeriod({
+            start: uint64(start),
+            end: uint64(end),
+            rollover: rollover,
+            cap: cap,
+            distributed: 0
+        }));
+        
+        emit FiscalPeriodAdded($.fiscalPeriods.length - 1, start, end, cap, rollover);
+    }
+    
+    /**
+     * @notice Change the cap of a fiscal period that has not ended yet (requires timelock)
+     * @param periodIndex Index of the period
+     * @param cap New cap, not below the amount already distributed in the period
+     */
+    function updateFiscalPeriodCap(uint256 periodIndex, uint256 cap) external onlyTimelockOrAdmin nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (periodIndex >= $.fiscalPeriods.length) revert FiscalPeriodLib.InvalidFiscalPeriod();
+        
+        FiscalPeriodLib.FiscalPeriod storage period = $.fiscalPeriods[periodIndex];
+        if (block.timestamp >= period.end) revert FiscalPeriodLib.InvalidFiscalPeriod();
+        if (cap < period.distributed) revert InvalidAmount();
+        if (cap > projectBudget) revert InsufficientBudget();
+        
+        uint256 oldCap = period.cap;
+        period.cap = cap;
+        
+        emit FiscalPeriodCapUpdated(periodIndex, oldCap, cap);
+    }
+    
+    /**
+     * @notice Replace the amount-tiered approval policies
+     * @param policies Tiers ordered by increasing maxAmount; the last must cover MAX_REIMBURSEMENT_AMOUNT
+     * @dev Only callable through the timelock queue. Requests already created keep their snapshot.
+     */
+    function setApprovalPolicies(ApprovalPolicyLib.ApprovalPolicy[] calldata policies) external onlyTimelock {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ApprovalPolicyLib.validatePolicies(policies);
+        
+        delete $.approvalPolicies;
+        for (uint256 i = 0; i < policies.length; i++) {
+            $.approvalPolicies.push(policies[i]);
+        }
+        
+        emit ApprovalPoliciesUpdated(policies.length);
+    }
+    
+    /**
+     * @notice Allow or disallow an account to approve despite a conflict of interest
+     * @param account The account to exempt
+     * @param exempt True to skip conflict-of-interest checks for the account
+     */
+    function setConflictExemption(address account, bool exempt) external onlyTimelockOrAdmin {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ValidationLib.validateNotZero(account);
+        $.conflictExemptions[account] = exempt;
+        emit ConflictExemptionUpdated(account, exempt);
+    }
+    
+    /**
+     * @notice Switch between direct transfers and pull-payment claims (requires timelock)
+     * @param enabled True to credit recipients instead of transferring to them
+     */
+    function setClaimMode(bool enabled) external onlyTimelockOrAdmin {
+        FeatureStorage storage $ = _getFeatureStorage();
+        $.claimMode = enabled;
+        emit ClaimModeUpdated(enabled);
+    }
+    
+    /**
+     * @notice Set the daily and rolling weekly distribution caps (requires timelock)
+     * @param dailyCap Maximum amount distributed per calendar day (0 for unlimited)
+     * @param weeklyCap Maximum amount distributed over the last 7 days (0 for unlimited)
+     */
+    function setVelocityLimits(uint256 dailyCap, uint256 weeklyCap) external onlyTimelock {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (dailyCap > type(uint128).max || weeklyCap > type(uint128).max) revert InvalidAmount();
+        if (dailyCap != 0 && weeklyCap != 0 && dailyCap > weeklyCap) revert InvalidAmount();
+        
+        $.velocityLimits = VelocityLimits(uint128(dailyCap), uint128(weeklyCap));
+        emit VelocityLimitsUpdated(dailyCap, weeklyCap);
+    }
+}
@@ -0,0 +1,346 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../base/ProjectReimbursementBase.sol";
+
+/**
+ * @title ProjectReimbursementPayoutModule
+ * @notice Distribution and payout functions of ProjectReimbursementOptimized
+ * @dev Reached by delegatecall from the project's fallback; holds no state of its own
+ */
+contract ProjectReimbursementPayoutModule is ProjectReimbursementBase {
+    using FiscalPeriodLib for FiscalPeriodLib.FiscalPeriod[];
+    using MilestoneLib for MilestoneLib.MilestonePlan;
+
+    /**
+     * @param extension Next module of the chain (address(0) for the last module)
+     */
+    constructor(address extension) ProjectReimbursementBase(extension) {}
+    
+    /**
+     * @notice Pay an approved request out in tranches instead of all at once
+     * @param requestId The request ID
+     * @param trancheBps Share of each tranche in basis points (e.g. [3000, 4000, 3000])
+     * @dev Only the requester can set the schedule, before any approval is given
+     */
+    function setRequestMilestones(
+        uint256 requestId,
+        uint16[] calldata trancheBps
+    ) external whenNotPaused notEmergencyStopped {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ReimbursementRequest storage request = requests[requestId];
+        if (request.id != requestId) revert RequestNotFound();
+        if (msg.sender != request.requester) revert UnauthorizedApprover();
+        if (request.status != Status.Pending) revert InvalidStatus();
+        if ($.requestExtensions[requestId].advance.isAdvance) revert InvalidStatus();
+        
+        MilestoneLib.validateTranches(trancheBps);
+        
+        MilestoneLib.MilestonePlan storage plan = $.milestonePlans[requestId];
+        plan.trancheBps = trancheBps;
+        plan.releasedPerRecipient = new uint256[](request.recipients.length);
+        request.updatedAt = block.timestamp;
+        
+        emit MilestonesConfigured(requestId, trancheBps);
+    }
+    
+    /**
+     * @notice Schedule the payout of a request for a later date
+     * @param requestId The request ID
+     * @param releaseAt Earliest payout time (0 to pay on final approval)
+     * @dev Only the requester can set the date, before any approval is given
+     */
+    function setRequestReleaseDate(
+        uint256 requestId,
+        uint256 releaseAt
+    ) external whenNotPaused notEmergencyStopped {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ReimbursementRequest storage request = requests[requestId];
+        if (request.id != requestId) revert RequestNotFound();
+        if (msg.sender != request.requester) revert UnauthorizedApprover();
+        if (request.status != Status.Pending) revert InvalidStatus();
+        if (releaseAt != 0 && (releaseAt <= block.timestamp || releaseAt > block.timestamp + MAX_RELEASE_DELAY)) {
+            revert InvalidAmount();
+        }
+        
+        $.requestExtensions[requestId].releaseAt = uint64(releaseAt);
+        request.updatedAt = block.timestamp;
+        
+        emit ReleaseDateSet(requestId, releaseAt);
+    }
+    
+    /**
+     * @notice Pay out a fully approved request once its scheduled date has arrived
+     * @param requestId The request ID
+     * @dev Callable by anyone (keeper or recipient); expires PAYMENT_DEADLINE_DURATION after the date
+     */
+    function releaseScheduledDistribution(uint256 requestId) external whenNotPaused notEmergencyStopped nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (requests[requestId].id != requestId) revert RequestNotFound();
+        
+        RequestExtension storage extension = $.requestExtensions[requestId];
+        if (
+            extension.releaseAt == 0 ||
+            extension.distributionQueued ||
+            lockedAmounts[requestId] == 0 ||
+            $.milestonePlans[requestId].isMilestone()
+        ) revert InvalidStatus();
+        if (block.timestamp < extension.releaseAt) revert ReleaseNotDue();
+        
+        _distributeOrQueue(requestId);
+    }
+    
+    /**
+     * @notice Release the next tranche of an approved milestone request
+     * @param requestId The request ID
+     * @param documentHash Document evidencing the completed milestone
+     * @dev A tranche over the outflow limits is queued like any other distribution
+     */
+    function releaseTranche(
+        uint256 requestId,
+        string calldata documentHash
+    ) external onlyRole(FINANCE_ROLE) whenNotPaused notEmergencyStopped nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ReimbursementRequest storage request = requests[requestId];
+        if (request.id != requestId) revert RequestNotFound();
+        if (bytes(documentHash).length == 0 || bytes(documentHash).length > 100) revert InvalidDocumentHash();
+        
+        // Funds stay locked from final approval until the last tranche
+        RequestExtension storage extension = $.requestExtensions[requestId];
+        if (!$.milestonePlans[requestId].isMilestone() || lockedAmounts[requestId] == 0) revert InvalidStatus();
+        if (extension.distributionQueued) revert InvalidStatus();
+        if (block.timestamp < extension.releaseAt) revert ReleaseNotDue();
+        
+        // Over the limits the tranche waits for the window to free up or an override, with its document
+        uint256 trancheTotal = _queuedAmount(requestId);
+        if (!_withinVelocityLimits(trancheTotal)) {
+            extension.distributionQueued = true;
+            extension.queuedTrancheDocument = documentHash;
+            emit DistributionQueued(requestId, trancheTotal);
+            return;
+        }
+        
+        _releaseTranche(requestId, documentHash);
+    }
+    
+    /**
+     * @notice Withdraw the caller's claimable balance
+     */
+    function claim() external nonReentrant {
+        _claim(msg.sender);
+    }
+    
+    /**
+     * @notice Withdraw a recipient's claimable balance to the recipient
+     * @param recipient The recipient to pay
+     * @dev Lets relayers and forwarders claim gaslessly; funds only ever go to the recipient
+     */
+    function claimFor(address recipient) external nonReentrant {
+        _claim(recipient);
+    }
+    
+    /**
+     * @notice Send an unclaimed balance to another address once the claim has timed out
+     * @param recipient The recipient whose credit is stuck (e.g. blacklisted)
+     * @param newRecipient The address that receives the funds instead
+     */
+    function redirectClaim(
+        address recipient,
+        address newRecipient
+    ) external onlyRole(FINANCE_ROLE) whenNotPaused nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ValidationLib.validateNotZero(newRecipient);
+        if (newRecipient == recipient) revert InvalidAddress();
+        
+        ClaimableCredit storage credit = $.claimableCredits[recipient];
+        uint256 amount = credit.amount;
+        if (amount == 0) revert NothingToClaim();
+        if (block.timestamp < credit.lastCreditedAt + CLAIM_REDIRECT_TIMEOUT) revert ClaimRedirectTooEarly();
+        
+        delete $.claimableCredits[recipient];
+        $.totalClaimable -= amount;
+        
+        emit ClaimRedirected(recipient, newRecipient, msg.sender, amount);
+        
+        bool success = omthbToken.transfer(newRecipient, amount);
+        if (!success) revert TransferFailed();
+    }
+    
+    /**
+     * @notice Distribute a request that was queued by the outflow limits once the window has room
+     * @param requestId The request ID
+     */
+    function releaseQueuedDistribution(uint256 requestId) external whenNotPaused notEmergencyStopped nonReentrant {
+        _checkQueuedDistribution(requestId);
+        if (!_withinVelocityLimits(_queuedAmount(requestId))) revert VelocityLimitExceeded();
+        
+        _releaseQueuedDistribution(requestId, false);
+    }
+    
+    /**
+     * @notice Approve distributing a queued request above the outflow limits (requires multi-sig)
+     * @param requestId The request ID
+     * @dev Admins approve within the same time window; the request is paid once the threshold is reached
+     */
+    function approveVelocityOverride(
+        uint256 requestId
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) whenNotPaused notEmergencyStopped nonReentrant {
+        _checkQueuedDistribution(requestId);
+        
+        // Use time window so approvals of an override expire
+        uint256 timeWindow = block.timestamp - (block.timestamp % CRITICAL_OPERATION_TIME_WINDOW);
+        bytes32 operationId = keccak256(abi.encodePacked("velocityOverride", requestId, timeWindow));
+        
+        // Check if already approved by this admin
+        address[] storage approvers = criticalOperationApprovers[operationId];
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (approvers[i] == msg.sender) revert AlreadyApproved();
+        }
+        
+        // Add approval
+        approvers.push(msg.sender);
+        emit CriticalOperationApproved(operationId, msg.sender, approvers.length);
+        
+        // Execute if threshold reached
+        if (approvers.length >= CRITICAL_OPERATION_THRESHOLD) {
+            // Clean up
+            delete criticalOperationApprovers[operationId];
+            
+            _releaseQueuedDistribution(requestId, true);
+        }
+    }
+    
+    /**
+     * @notice Settle a paid-out cash advance with receipts, returning any unused portion
+     * @param requestId The advance request ID
+     * @param receiptDocuments Document hash of each receipt
+     * @param receiptAmounts Amount of each receipt
+     * @dev Callable by the recipient or requester; the unused amount is pulled from the caller,
+     * who must have approved this contract for it
+     */
+    function settleAdvance(
+        uint256 requestId,
+        string[] calldata receiptDocuments,
+        uint256[] calldata receiptAmounts
+    ) external whenNotPaused notEmergencyStopped nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ReimbursementRequest storage request = requests[requestId];
+        if (request.id != requestId) revert RequestNotFound();
+        
+        AdvanceInfo storage advance = $.requestExtensions[requestId].advance;
+        if (!advance.isAdvance || advance.settled || request.status != Status.Distributed) revert InvalidStatus();
+        
+        address recipient = request.recipients[0];
+        if (msg.sender != recipient && msg.sender != request.requester) revert UnauthorizedApprover();
+        
+        if (receiptDocuments.length != receiptAmounts.length) revert ArrayLengthMismatch();
+        if (receiptDocuments.length > MAX_ARRAY_LENGTH) revert ArrayLengthExceeded();
+        
+        uint256 spent = 0;
+        for (uint256 i = 0; i < receiptDocuments.length; i++) {
+            uint256 docLength = bytes(receiptDocuments[i]).length;
+            if (docLength == 0 || docLength > 100) revert InvalidDocumentHash();
+            ValidationLib.validateAmountNotZero(receiptAmounts[i]);
+            spent += receiptAmounts[i];
+        }
+        if (spent > request.totalAmount) revert InvalidAmount();
+        uint256 unused = request.totalAmount - spent;
+        
+        // Update state before external calls (CEI pattern)
+        advance.settled = true;
+        advance.spentAmount = spent;
+        advance.returnedAmount = unused;
+        advance.receiptDocuments = receiptDocuments;
+        advance.receiptAmounts = receiptAmounts;
+        _closeAdvance(recipient, requestId);
+        
+        // Returned funds go back into the project budget and the fiscal period of the payout
+        if (unused > 0) {
+            $.fiscalPeriods.recordReturn($.requestExtensions[requestId].paidAt, unused);
+            uint256 oldTotal = totalDistributed;
+            totalDistributed -= unused;
+            emit TotalDistributedUpdated(oldTotal, totalDistributed);
+        }
+        
+        emit AdvanceSettled(requestId, recipient, spent, unused);
+        _recordTimeline(requestId, Status.Distributed, msg.sender, keccak256(abi.encode(receiptDocuments, receiptAmounts)));
+        
+        if (unused > 0) {
+            uint256 balanceBefore = omthbToken.balanceOf(address(this));
+            bool success = omthbToken.transferFrom(msg.sender, address(this), unused);
+            if (!success) revert TransferFailed();
+            if (omthbToken.balanceOf(address(this)) - balanceBefore != unused) revert TransferFailed();
+        }
+    }
+    
+    /**
+     * @notice Return an overpayment received for a request and restore the project budget
+     * @param requestId The paid-out request ID
+     * @param amount The amount returned
+     * @dev Only the recipient can refund. The amount goes back to the fiscal period of the
+     * request's latest payout. An unclaimed claim-mode credit is given up first;
+     * the rest is pulled from the caller, who must have approved this contract for it.
+     * Cash advances use settleAdvance instead
+     */
+    function recordRefund(
+        uint256 requestId,
+        uint256 amount
+    ) external whenNotPaused notEmergencyStopped nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ReimbursementRequest storage request = requests[requestId];
+        if (request.id != requestId) revert RequestNotFound();
+        if (request.status != Status.Distributed && request.status != Status.PartiallyDistributed) revert InvalidStatus();
+        ValidationLib.validateAmountNotZero(amount);
+        address recipient = msg.sender;
+        
+        RequestExtension storage extension = $.requestExtensions[requestId];
+        if (extension.advance.isAdvance) revert InvalidStatus();
+        
+        // Only what was actually paid to this recipient can come back
+        uint256 line = type(uint256).max;
+        for (uint256 i = 0; i < request.recipients.length; i++) {
+            if (request.recipients[i] == recipient) {
+                line = i;
+                break;
+            }
+        }
+        if (line == type(uint256).max) revert UnauthorizedApprover();
+        
+        MilestoneLib.MilestonePlan storage plan = $.milestonePlans[requestId];
+        uint256 paid = plan.isMilestone() ? plan.releasedPerRecipient[line] : request.amounts[line];
+        if (extension.refundedBy[recipient] + amount > paid) revert InvalidAmount();
+        
+        // Update state before external calls (CEI pattern)
+        extension.refundedBy[recipient] += amount;
+        extension.refundedAmount += amount;
+        
+        bytes32[] storage lineCategories = $.requestLineCategories[requestId];
+        if (lineCategories.length > 0) {
+            $.budgetCategories[lineCategories[line]].distributed -= amount;
+        }
+        $.fiscalPeriods.recordReturn(extension.paidAt, amount);
+        
+        uint256 oldTotal = totalDistributed;
+        totalDistributed -= amount;
+        emit TotalDistributedUpdated(oldTotal, totalDistributed);
+        
+        // Credit not yet claimed never left the contract
+        ClaimableCredit storage credit = $.claimableCredits[recipient];
+        uint256 creditReturned = amount < credit.amount ? amount : credit.amount;
+        if (creditReturned > 0) {
+            credit.amount -= creditReturned;
+            $.totalClaimable -= creditReturned;
+        }
+        
+        emit RefundRecorded(requestId, recipient, amount, creditReturned, extension.refundedAmount);
+        _recordTimeline(requestId, request.status, recipient, keccak256(abi.encodePacked(recipient, amount)));
+        
+        uint256 pulled = amount - creditReturned;
+        if (pulled == 0) return;
+        
+        uint256 balanceBefore = omthbToken.balanceOf(address(this));
+        bool success = omthbToken.transferFrom(recipient, address(this), pulled);
+        if (!success) revert TransferFailed();
+        if (omthbToken.balanceOf(address(this)) - balanceBefore != pulled) revert TransferFailed();
+    }
+}
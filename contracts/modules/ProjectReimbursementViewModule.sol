@@ -0,0 +1,739 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../base/ProjectReimbursementBase.sol";
+
+/**
+ * @title ProjectReimbursementViewModule
+ * @notice Read-only queries of ProjectReimbursementOptimized
+ * @dev Reached by delegatecall from the project's fallback; holds no state of its own
+ */
+contract ProjectReimbursementViewModule is ProjectReimbursementBase {
+    using EmergencyClosureLib for EmergencyClosureLib.EmergencyClosureRequest;
+    using EmergencyClosureLib for mapping(uint256 => EmergencyClosureLib.EmergencyClosureRequest);
+    using BudgetCategoryLib for BudgetCategoryLib.BudgetCategory;
+    using BudgetCategoryLib for mapping(bytes32 => BudgetCategoryLib.BudgetCategory);
+    using FiscalPeriodLib for FiscalPeriodLib.FiscalPeriod[];
+    using MilestoneLib for MilestoneLib.MilestonePlan;
+    using EmergencyClosureLib for EmergencyClosureLib.ClosureStatus;
+
+    /**
+     * @param extension Next module of the chain (address(0) for the last module)
+     */
+    constructor(address extension) ProjectReimbursementBase(extension) {}
+    
+    /**
+     * @notice Get the EIP-712 digest an approver signs for a budget change
+     * @param proposalId The proposal ID
+     * @param stage ApprovalStage.Finance or ApprovalStage.Director
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @return The typed data digest
+     */
+    function getBudgetChangeDigest(
+        uint256 proposalId,
+        ApprovalStage stage,
+        uint256 deadline
+    ) external view returns (bytes32) {
+        return _hashBudgetChangeApproval(proposalId, stage, deadline);
+    }
+    
+    /**
+     * @notice Get the number of budget changes, including proposals, timelocked updates and transfers
+     * @return The number of entries in the budget change history
+     */
+    function getBudgetChangeCount() external view returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.budgetChanges.length;
+    }
+    
+    /**
+     * @notice Get one entry of the budget change history
+     * @param proposalId The proposal ID
+     * @return The budget change
+     */
+    function getBudgetChange(uint256 proposalId) external view returns (BudgetChange memory) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (proposalId >= $.budgetChanges.length) revert RequestNotFound();
+        return $.budgetChanges[proposalId];
+    }
+    
+    /**
+     * @notice Get the amount distributed today and over the last 7 days
+     * @return daily Amount distributed in the current day
+     * @return weekly Amount distributed in the current and previous 6 days
+     */
+    function getOutflow() external view returns (uint256 daily, uint256 weekly) {
+        return _outflow();
+    }
+    
+    /**
+     * @notice Check whether an approved request is waiting for room in the outflow limits
+     * @param requestId The request ID
+     * @return True if the request is queued
+     */
+    function isDistributionQueued(uint256 requestId) external view returns (bool) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.requestExtensions[requestId].distributionQueued && lockedAmounts[requestId] > 0;
+    }
+    
+    /**
+     * @notice Get the overpayments returned for a request
+     * @param requestId The request ID
+     * @param recipient A recipient to report on (zero address to skip)
+     * @return totalRefunded Total returned across all recipients
+     * @return recipientRefunded Amount returned by the given recipient
+     * @return partiallyRefunded True if any amount has been returned
+     */
+    function getRefundInfo(uint256 requestId, address recipient) external view returns (
+        uint256 totalRefunded,
+        uint256 recipientRefunded,
+        bool partiallyRefunded
+    ) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        RequestExtension storage extension = $.requestExtensions[requestId];
+        totalRefunded = extension.refundedAmount;
+        recipientRefunded = extension.refundedBy[recipient];
+        partiallyRefunded = totalRefunded > 0;
+    }
+    
+    /**
+     * @notice Get a recipient's unsettled cash advances
+     * @param recipient The advance recipient
+     * @return outstanding Total paid out and not yet settled
+     * @return overdue True if any advance is past its settlement deadline
+     */
+    function getOutstandingAdvances(address recipient) external view returns (uint256 outstanding, bool overdue) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        uint256[] storage openIds = $.openAdvances[recipient];
+        for (uint256 i = 0; i < openIds.length; i++) {
+            outstanding += requests[openIds[i]].totalAmount;
+        }
+        overdue = _hasOverdueAdvance(recipient);
+    }
+    
+    /**
+     * @notice Get the settlement state of a cash advance
+     * @param requestId The request ID
+     * @return The advance info (isAdvance is false for ordinary requests)
+     */
+    function getAdvance(uint256 requestId) external view returns (AdvanceInfo memory) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.requestExtensions[requestId].advance;
+    }
+    
+    /**
+     * @notice Get active requests
+     * @return Array of active request IDs
+     */
+    function getActiveRequests() external view returns (uint256[] memory) {
+        return activeRequestIds;
+    }
+    
+    /**
+     * @notice Get a page of active request IDs
+     * @param offset Number of active requests to skip
+     * @param limit Maximum number of IDs to return (at most MAX_BATCH_SIZE)
+     * @return ids The requested page of active request IDs
+     * @return total Total number of active requests
+     */
+    function getActiveRequestsPaginated(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return _paginate(activeRequestIds, offset, limit);
+    }
+    
+    /**
+     * @notice Get the total number of requests ever created
+     * @return The request count (request IDs run from 0 to count - 1)
+     */
+    function getRequestCount() external view returns (uint256) {
+        return _requestIdCounter;
+    }
+    
+    /**
+     * @notice Get a summary of a request without its dynamic arrays
+     * @param requestId The request ID
+     * @return The request summary
+     */
+    function getRequestSummary(uint256 requestId) public view returns (RequestSummary memory) {
+        ReimbursementRequest storage request = requests[requestId];
+        return RequestSummary({
+            id: request.id,
+            requester: request.requester,
+            totalAmount: request.totalAmount,
+            recipientCount: request.recipients.length,
+            status: request.status,
+            createdAt: request.createdAt,
+            updatedAt: request.updatedAt,
+            virtualPayer: request.virtualPayer
+        });
+    }
+    
+    /**
+     * @notice Get summaries of requests in a status, scanning request IDs from a cursor
+     * @param status The status to filter by
+     * @param offset Request ID to start scanning from (0 for the first page)
+     * @param limit Maximum number of summaries to return (at most MAX_BATCH_SIZE)
+     * @return summaries Matching requests in ID order
+     * @return nextOffset Cursor for the next page; equals getRequestCount() when the scan is complete
+     * @dev Each call scans at most MAX_QUERY_SCAN IDs so gas stays bounded; a page may be
+     * shorter than `limit` before the scan is complete
+     */
+    function getRequestsByStatus(
+        Status status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (RequestSummary[] memory summaries, uint256 nextOffset) {
+        if (limit == 0 || limit > MAX_BATCH_SIZE) revert ArrayLengthExceeded();
+        
+        uint256 end = _requestIdCounter;
+        if (offset >= end) return (new RequestSummary[](0), end);
+        if (end - offset > MAX_QUERY_SCAN) end = offset + MAX_QUERY_SCAN;
+        
+        uint256[] memory matches = new uint256[](limit);
+        uint256 count = 0;
+        uint256 requestId = offset;
+        for (; requestId < end && count < limit; requestId++) {
+            if (requests[requestId].status == status) {
+                matches[count++] = requestId;
+            }
+        }
+        
+        summaries = new RequestSummary[](count);
+        for (uint256 i = 0; i < count; i++) {
+            summaries[i] = getRequestSummary(matches[i]);
+        }
+        return (summaries, requestId);
+    }
+    
+    /**
+     * @notice Get summaries of all requests created by a requester, oldest first
+     * @param requester The requester address
+     * @param offset Number of the requester's requests to skip
+     * @param limit Maximum number of summaries to return (at most MAX_BATCH_SIZE)
+     * @return summaries The requested page of request summaries
+     * @return total Total number of requests created by the requester
+     */
+    function getRequestsByRequester(
+        address requester,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (RequestSummary[] memory summaries, uint256 total) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        uint256[] memory ids;
+        (ids, total) = _paginate($.requesterRequestIds[requester], offset, limit);
+        
+        summaries = new RequestSummary[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            summaries[i] = getRequestSummary(ids[i]);
+        }
+    }
+    
+    /**
+     * @notice Get request details
+     * @param requestId The request ID
+     * @return The reimbursement request details
+     */
+    function getRequest(uint256 requestId) external view returns (ReimbursementRequest memory) {
+        return requests[requestId];
+    }
+    
+    /**
+     * @notice Get request recipients
+     * @param requestId The request ID
+     * @return Array of recipient addresses
+     */
+    function getRequestRecipients(uint256 requestId) external view returns (address[] memory) {
+        return requests[requestId].recipients;
+    }
+    
+    /**
+     * @notice Get request amounts
+     * @param requestId The request ID
+     * @return Array of amounts for each recipient
+     */
+    function getRequestAmounts(uint256 requestId) external view returns (uint256[] memory) {
+        return requests[requestId].amounts;
+    }
+    
+    /**
+     * @notice Get active requests for a specific user
+     * @param user The user address
+     * @return Array of active request IDs for the user
+     */
+    function getUserActiveRequests(address user) external view returns (uint256[] memory) {
+        return activeRequestsPerUser[user];
+    }
+    
+    /**
+     * @notice Get committee additional approvers for a request
+     * @param requestId The request ID
+     * @return Array of committee additional approver addresses
+     */
+    function getCommitteeAdditionalApprovers(uint256 requestId) external view returns (address[] memory) {
+        return requests[requestId].approvalInfo.committeeAdditionalApprovers;
+    }
+    
+    /**
+     * @notice Check if request has enough committee additional approvers
+     * @param requestId The request ID
+     * @return True if request has enough approvers for director approval
+     */
+    function hasEnoughCommitteeApprovers(uint256 requestId) external view returns (bool) {
+        return requests[requestId].approvalInfo.committeeAdditionalApprovers.length >= _requestPolicy(requestId).committeeAdditionalApprovers;
+    }
+    
+    /**
+     * @notice Get total approval count for a request
+     * @param requestId The request ID
+     * @return count Total number of approvals
+     */
+    function getApprovalCount(uint256 requestId) external view returns (uint256 count) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        // Convert to ViewLib.ReimbursementRequest for library usage
+        ReimbursementRequest storage request = requests[requestId];
+        
+        if (request.approvalInfo.secretaryApprover != address(0)) count++;
+        if (request.approvalInfo.committeeApprover != address(0)) count++;
+        if (request.approvalInfo.financeApprover != address(0)) count++;
+        count += request.approvalInfo.committeeAdditionalApprovers.length;
+        if (request.approvalInfo.directorApprover != address(0)) count++;
+        count += $.additionalDirectorApprovers[requestId].length;
+        
+        return count;
+    }
+    
+    /**
+     * @notice Get the role holder an account can currently approve for
+     * @param role The approval role
+     * @param account The acting account
+     * @return The account itself, its active delegator, or address(0) if unauthorized
+     */
+    function getEffectiveApprover(bytes32 role, address account) external view returns (address) {
+        return _effectiveApprover(role, account);
+    }
+    
+    /**
+     * @notice Get the configured approval tiers
+     * @return Array of approval policies (empty means the default five-step chain)
+     */
+    function getApprovalPolicies() external view returns (ApprovalPolicyLib.ApprovalPolicy[] memory) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.approvalPolicies;
+    }
+    
+    /**
+     * @notice Get the approval policy applied to a request
+     * @param requestId The request ID
+     * @return The policy snapshot taken at request creation
+     */
+    function getRequestApprovalPolicy(uint256 requestId) external view returns (ApprovalPolicyLib.ApprovalPolicy memory) {
+        return _requestPolicy(requestId);
+    }
+    
+    /**
+     * @notice Get the approval stage a request is waiting on
+     * @param requestId The request ID
+     * @return The pending approval stage
+     */
+    function getCurrentApprovalStage(uint256 requestId) external view returns (ApprovalStage) {
+        return _currentStage(requestId);
+    }
+    
+    /**
+     * @notice Get directors who approved after the first director
+     * @param requestId The request ID
+     * @return Array of additional director addresses
+     */
+    function getAdditionalDirectorApprovers(uint256 requestId) external view returns (address[] memory) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.additionalDirectorApprovers[requestId];
+    }
+    
+    /**
+     * @notice Get virtual payer for a request
+     * @param requestId The request ID
+     * @return Virtual payer address (address(0) if not set)
+     */
+    function getVirtualPayer(uint256 requestId) external view returns (address) {
+        return requests[requestId].virtualPayer;
+    }
+    
+    /**
+     * @notice Get rejection details for a request
+     * @param requestId The request ID
+     * @return Rejection info (empty if the request was not rejected)
+     */
+    function getRejection(uint256 requestId) external view returns (RejectionInfo memory) {
+        return rejections[requestId];
+    }
+    
+    /**
+     * @notice Get the status timeline of a request
+     * @param requestId The request ID
+     * @return Every recorded step, oldest first
+     */
+    function getRequestTimeline(uint256 requestId) external view returns (TimelineEntry[] memory) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.requestExtensions[requestId].timeline;
+    }
+    
+    /**
+     * @notice Get the number of versions of a request (1 if never amended)
+     * @param requestId The request ID
+     * @return The number of versions including the current one
+     */
+    function getRequestVersionCount(uint256 requestId) external view returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.requestExtensions[requestId].versions.length + 1;
+    }
+    
+    /**
+     * @notice Get the fingerprint of one version of a request
+     * @param requestId The request ID
+     * @param version Version number, 0 being the original
+     * @return The version fingerprint (replacedAt is 0 for the current version)
+     */
+    function getRequestVersion(
+        uint256 requestId,
+        uint256 version
+    ) public view returns (AmendmentLib.RequestVersion memory) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        AmendmentLib.RequestVersion[] storage versions = $.requestExtensions[requestId].versions;
+        if (version > versions.length) revert InvalidAmount();
+        if (version < versions.length) return versions[version];
+        
+        ReimbursementRequest storage request = requests[requestId];
+        return AmendmentLib.snapshot(
+            request.recipients,
+            request.amounts,
+            request.description,
+            request.documentHash,
+            request.totalAmount
+        );
+    }
+    
+    /**
+     * @notice Get what an amendment changed compared to the version before it
+     * @param requestId The request ID
+     * @param version Version number produced by the amendment (at least 1)
+     * @return The fields that differ between version - 1 and version
+     */
+    function getAmendmentChanges(
+        uint256 requestId,
+        uint256 version
+    ) external view returns (AmendmentLib.VersionChanges memory) {
+        if (version == 0) revert InvalidAmount();
+        return AmendmentLib.compare(getRequestVersion(requestId, version - 1), getRequestVersion(requestId, version));
+    }
+    
+    /**
+     * @notice Get emergency closure request details
+     * @param closureId The closure request ID
+     * @return The emergency closure request details
+     */
+    function getClosureRequest(uint256 closureId) external view returns (EmergencyClosureLib.EmergencyClosureRequest memory) {
+        return closureRequests[closureId];
+    }
+    
+    /**
+     * @notice Get committee approvers for a closure request
+     * @param closureId The closure request ID
+     * @return Array of committee approver addresses
+     */
+    function getClosureCommitteeApprovers(uint256 closureId) external view returns (address[] memory) {
+        return closureRequests[closureId].closureApprovalInfo.committeeApprovers;
+    }
+    
+    /**
+     * @notice Check if closure request has enough committee approvers
+     * @param closureId The closure request ID
+     * @return True if request has enough approvers for director approval
+     */
+    function hasEnoughClosureCommitteeApprovers(uint256 closureId) external view returns (bool) {
+        return closureRequests[closureId].closureApprovalInfo.committeeApprovers.length >= REQUIRED_CLOSURE_COMMITTEE_APPROVERS;
+    }
+    
+    /**
+     * @notice Get closure approval count
+     * @param closureId The closure request ID  
+     * @return committeeCount Number of committee approvers
+     * @return hasDirectorApproval Whether director has approved
+     */
+    function getClosureApprovalStatus(uint256 closureId) external view returns (uint256 committeeCount, bool hasDirectorApproval) {
+        return closureRequests[closureId].getClosureApprovalStatus();
+    }
+    
+    /**
+     * @notice Check if the project is closed
+     * @return True if an emergency closure has been executed
+     */
+    function isProjectClosed() external view returns (bool) {
+        return EmergencyClosureLib.isProjectClosed(activeClosureRequestId, closureRequests, _closureIdCounter);
+    }
+    
+    /**
+     * @notice Get remaining budget (budget minus distributed)
+     * @return The remaining budget available for distribution
+     */
+    function getRemainingBudget() external view returns (uint256) {
+        return ViewLib.getRemainingBudget(projectBudget, totalDistributed);
+    }
+    
+    /**
+     * @notice Get remaining budget of a category (cap minus locked and distributed)
+     * @param categoryId The category identifier
+     * @return The remaining category budget available to new requests
+     */
+    function getCategoryRemainingBudget(bytes32 categoryId) external view returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.budgetCategories[categoryId].remaining();
+    }
+    
+    /**
+     * @notice Get the scheduled payout date of a request
+     * @param requestId The request ID
+     * @return Earliest payout time (0 if paid on final approval)
+     */
+    function getReleaseDate(uint256 requestId) external view returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.requestExtensions[requestId].releaseAt;
+    }
+    
+    /**
+     * @notice Get the tranche schedule and release progress of a request
+     * @param requestId The request ID
+     * @return trancheBps Share of each tranche in basis points (empty if not milestone-based)
+     * @return releasedTranches Number of tranches released so far
+     * @return releasedPerRecipient Released amount per recipient line
+     * @return remainingPerRecipient Amount still to be released per recipient line
+     */
+    function getMilestonePlan(uint256 requestId) external view returns (
+        uint16[] memory trancheBps,
+        uint256 releasedTranches,
+        uint256[] memory releasedPerRecipient,
+        uint256[] memory remainingPerRecipient
+    ) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        MilestoneLib.MilestonePlan storage plan = $.milestonePlans[requestId];
+        return (
+            plan.trancheBps,
+            plan.releasedTranches,
+            plan.releasedPerRecipient,
+            plan.isMilestone() ? plan.remainingAmounts(requests[requestId].amounts) : new uint256[](0)
+        );
+    }
+    
+    /**
+     * @notice Get the document hashes attached to released tranches
+     * @param requestId The request ID
+     * @return Document hash of each released tranche, in release order
+     */
+    function getTrancheDocuments(uint256 requestId) external view returns (string[] memory) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.milestonePlans[requestId].trancheDocuments;
+    }
+    
+    /**
+     * @notice Get the number of configured fiscal periods
+     * @return The number of periods
+     */
+    function getFiscalPeriodCount() external view returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.fiscalPeriods.length;
+    }
+    
+    /**
+     * @notice Get a fiscal period with its spend and remaining budget
+     * @param periodIndex Index of the period
+     * @return period The period definition and amount distributed in it
+     * @return available Cap plus rolled over budget minus amount distributed
+     */
+    function getFiscalPeriod(uint256 periodIndex) external view returns (
+        FiscalPeriodLib.FiscalPeriod memory period,
+        uint256 available
+    ) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (periodIndex >= $.fiscalPeriods.length) revert FiscalPeriodLib.InvalidFiscalPeriod();
+        return ($.fiscalPeriods[periodIndex], $.fiscalPeriods.available(periodIndex));
+    }
+    
+    /**
+     * @notice Get the fiscal period active at the current time
+     * @return found True if a period is active
+     * @return periodIndex Index of the active period
+     */
+    function getCurrentFiscalPeriod() external view returns (bool found, uint256 periodIndex) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.fiscalPeriods.findPeriod(block.timestamp);
+    }
+    
+    /**
+     * @notice Get all configured budget category IDs
+     * @return Array of category identifiers
+     */
+    function getBudgetCategoryIds() external view returns (bytes32[] memory) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.budgetCategoryIds;
+    }
+    
+    /**
+     * @notice Get the budget category of each recipient line of a request
+     * @param requestId The request ID
+     * @return Array of category identifiers (empty for uncategorized requests)
+     */
+    function getRequestLineCategories(uint256 requestId) external view returns (bytes32[] memory) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.requestLineCategories[requestId];
+    }
+    
+    /**
+     * @notice Get the approval delegation granted by an account for a role
+     * @param role The delegated role
+     * @param delegator The account that delegated
+     * @return delegate The delegate (address(0) if none)
+     * @return expiry When the delegation expires
+     */
+    function approvalDelegations(bytes32 role, address delegator) external view returns (address delegate, uint256 expiry) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ApprovalDelegation storage delegation = $.approvalDelegations[role][delegator];
+        return (delegation.delegate, delegation.expiry);
+    }
+    
+    /**
+     * @notice Get a budget category
+     * @param categoryId The category identifier
+     * @return cap Spending cap of the category
+     * @return locked Amount reserved by approved requests
+     * @return distributed Amount paid out
+     * @return exists Whether the category was configured
+     */
+    function budgetCategories(bytes32 categoryId) external view returns (
+        uint256 cap,
+        uint256 locked,
+        uint256 distributed,
+        bool exists
+    ) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        BudgetCategoryLib.BudgetCategory storage category = $.budgetCategories[categoryId];
+        return (category.cap, category.locked, category.distributed, category.exists);
+    }
+    
+    /**
+     * @notice Get a configured budget category ID by index
+     * @param index Position in the category list
+     * @return The category identifier
+     */
+    function budgetCategoryIds(uint256 index) external view returns (bytes32) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.budgetCategoryIds[index];
+    }
+    
+    /**
+     * @notice Check whether distributions credit recipients instead of paying them
+     * @return True if claim mode is enabled
+     */
+    function claimMode() external view returns (bool) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.claimMode;
+    }
+    
+    /**
+     * @notice Get the total credited to recipients but not yet claimed
+     * @return The unclaimed total
+     */
+    function totalClaimable() external view returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.totalClaimable;
+    }
+    
+    /**
+     * @notice Get the unclaimed credit of a recipient
+     * @param recipient The recipient address
+     * @return amount Unclaimed amount
+     * @return lastCreditedAt Time of the latest credit
+     */
+    function claimableCredits(address recipient) external view returns (uint256 amount, uint256 lastCreditedAt) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ClaimableCredit storage credit = $.claimableCredits[recipient];
+        return (credit.amount, credit.lastCreditedAt);
+    }
+    
+    /**
+     * @notice Check whether an account may approve despite a conflict of interest
+     * @param account The account to check
+     * @return True if the account is exempt
+     */
+    function conflictExemptions(address account) external view returns (bool) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.conflictExemptions[account];
+    }
+    
+    /**
+     * @notice Get the distribution velocity limits
+     * @return dailyCap Maximum outflow per day (0 means unlimited)
+     * @return weeklyCap Maximum outflow per 7 days (0 means unlimited)
+     */
+    function velocityLimits() external view returns (uint128 dailyCap, uint128 weeklyCap) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return ($.velocityLimits.dailyCap, $.velocityLimits.weeklyCap);
+    }
+    
+    /**
+     * @notice Get the amount distributed on a day
+     * @param day Day index (timestamp / 1 days)
+     * @return The amount distributed that day
+     */
+    function dailyOutflow(uint256 day) external view returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return $.dailyOutflow[day];
+    }
+    
+    /**
+     * @notice Get current contract balance of OMTHB tokens
+     * @return The current OMTHB token balance
+     */
+    function getContractBalance() external view returns (uint256) {
+        return omthbToken.balanceOf(address(this));
+    }
+    
+    /**
+     * @notice Get balance not reserved by approved requests or unclaimed credits
+     * @return The OMTHB balance available for new approvals
+     */
+    function getAvailableBalance() external view returns (uint256) {
+        FeatureStorage storage $ = _getFeatureStorage();
+        return ViewLib.getAvailableBalance(omthbToken.balanceOf(address(this)), totalLocked + $.totalClaimable);
+    }
+    
+    /**
+     * @notice Get total amount locked by approved but undistributed requests
+     * @return The currently locked OMTHB amount
+     */
+    function getLockedAmount() external view returns (uint256) {
+        return totalLocked;
+    }
+    
+    /**
+     * @notice Check if a request is abandoned (15+ days since last update without distribution)
+     * @param requestId The request ID to check
+     * @return True if the request is abandoned
+     */
+    function isRequestAbandoned(uint256 requestId) external view returns (bool) {
+        ReimbursementRequest storage request = requests[requestId];
+        
+        // Request must exist
+        if (request.id != requestId) return false;
+        
+        // Request must not be distributed, cancelled or rejected
+        if (request.status == Status.Distributed || _isClosedOut(request.status)) return false;
+        
+        // Approved requests waiting for payout are not abandoned
+        if (lockedAmounts[requestId] > 0) return false;
+        
+        // Check if 15 days have passed since last update
+        uint256 abandonmentPeriod = 15 days;
+        return block.timestamp >= request.updatedAt + abandonmentPeriod;
+    }
+}
@@ -0,0 +1,223 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../base/ProjectReimbursementBase.sol";
+import "./ProjectReimbursementApprovalModule.sol";
+
+/**
+ * @title ProjectReimbursementWorkflowModule
+ * @notice Request workflow functions of ProjectReimbursementOptimized
+ * @dev Reached by delegatecall from the project's fallback; holds no state of its own
+ */
+contract ProjectReimbursementWorkflowModule is ProjectReimbursementBase {
+    using ApprovalPolicyLib for ApprovalPolicyLib.ApprovalPolicy[];
+    using BudgetCategoryLib for BudgetCategoryLib.BudgetCategory;
+    using BudgetCategoryLib for mapping(bytes32 => BudgetCategoryLib.BudgetCategory);
+    using FiscalPeriodLib for FiscalPeriodLib.FiscalPeriod[];
+    using MilestoneLib for MilestoneLib.MilestonePlan;
+
+    /**
+     * @param extension Next module of the chain (address(0) for the last module)
+     */
+    constructor(address extension) ProjectReimbursementBase(extension) {}
+    
+    /**
+     * @notice Submit approvals signed off-chain as EIP-712 typed data
+     * @param approvals The signed approvals, applied in order
+     * @return results Whether each approval went through
+     * @dev Anyone (e.g. a relayer) may submit. Signatures replace commit-reveal: they
+     * cannot be forged or replayed against another request, stage, version, chain or
+     * contract. A failing item emits BatchItemFailed and does not revert the others.
+     */
+    function submitSignedApprovals(
+        SignedApproval[] calldata approvals
+    ) external whenNotPaused notEmergencyStopped returns (bool[] memory results) {
+        _validateBatch(approvals.length, approvals.length);
+        
+        results = new bool[](approvals.length);
+        for (uint256 i = 0; i < approvals.length; i++) {
+            results[i] = _tryBatchItem(
+                approvals[i].requestId,
+                abi.encodeCall(ProjectReimbursementApprovalModule.submitSignedApproval, (approvals[i]))
+            );
+        }
+    }
+    
+    /**
+     * @notice Commit approvals for several requests in one transaction
+     * @param requestIds The request IDs to commit for
+     * @param commitments One commitment per request, built as for commitApproval
+     * @return results Whether each commitment was recorded
+     * @dev A failing item emits BatchItemFailed and does not revert the others
+     */
+    function commitApprovals(
+        uint256[] calldata requestIds,
+        bytes32[] calldata commitments
+    ) external whenNotPaused notEmergencyStopped returns (bool[] memory results) {
+        _validateBatch(requestIds.length, commitments.length);
+        
+        results = new bool[](requestIds.length);
+        for (uint256 i = 0; i < requestIds.length; i++) {
+            results[i] = _tryBatchItem(
+                requestIds[i],
+                abi.encodeCall(ProjectReimbursementApprovalModule.commitApproval, (requestIds[i], commitments[i]))
+            );
+        }
+    }
+    
+    /**
+     * @notice Reveal approvals for several requests under one role
+     * @param role The approval role to act under (secretary, committee, finance or director)
+     * @param requestIds The request IDs to approve
+     * @param nonces The nonce used in each request's commitment
+     * @return results Whether each approval went through
+     * @dev Committee approvals go to the committee or additional-committee stage as the
+     * request requires. A failing item emits BatchItemFailed and does not revert the others.
+     */
+    function approveBatch(
+        bytes32 role,
+        uint256[] calldata requestIds,
+        uint256[] calldata nonces
+    ) external whenNotPaused notEmergencyStopped returns (bool[] memory results) {
+        _validateBatch(requestIds.length, nonces.length);
+        if (role != SECRETARY_ROLE && role != COMMITTEE_ROLE && role != FINANCE_ROLE && role != DIRECTOR_ROLE) {
+            revert UnauthorizedApprover();
+        }
+        
+        results = new bool[](requestIds.length);
+        for (uint256 i = 0; i < requestIds.length; i++) {
+            uint256 requestId = requestIds[i];
+            bytes4 selector;
+            if (role == SECRETARY_ROLE) selector = ProjectReimbursementApprovalModule.approveBySecretary.selector;
+            else if (role == FINANCE_ROLE) selector = ProjectReimbursementApprovalModule.approveByFinance.selector;
+            else if (role == DIRECTOR_ROLE) selector = ProjectReimbursementApprovalModule.approveByDirector.selector;
+            else if (_currentStage(requestId) == ApprovalStage.CommitteeAdditional) selector = ProjectReimbursementApprovalModule.approveByCommitteeAdditional.selector;
+            else selector = ProjectReimbursementApprovalModule.approveByCommittee.selector;
+            
+            results[i] = _tryBatchItem(requestId, abi.encodeWithSelector(selector, requestId, nonces[i]));
+        }
+    }
+    
+    /**
+     * @notice Amend a request that has not progressed past secretary approval
+     * @param requestId The request ID
+     * @param recipients New array of recipient addresses
+     * @param amounts New array of amounts for each recipient
+     * @param description New description of the expense
+     * @param documentHash New document reference (IPFS hash)
+     * @dev A secretary approval is reset; any later approval, including additional committee
+     * approvals recorded while a tier skips committee or finance, locks the request.
+     * Categorized requests keep one category per line, so their number of recipients cannot change.
+     */
+    function amendRequest(
+        uint256 requestId,
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        string calldata description,
+        string calldata documentHash
+    ) external whenNotPaused notEmergencyStopped nonReentrant {
+        FeatureStorage storage $ = _getFeatureStorage();
+        ReimbursementRequest storage request = requests[requestId];
+        if (request.id != requestId || _isClosedOut(request.status)) revert RequestNotFound();
+        if (msg.sender != request.requester) revert UnauthorizedApprover();
+        if (request.status != Status.Pending && request.status != Status.SecretaryApproved) revert InvalidStatus();
+        if (request.approvalInfo.committeeAdditionalApprovers.length > 0) revert InvalidStatus();
+        
+        ValidationLib.validateMultiRequestInputs(recipients, amounts, description, documentHash);
+        uint256 totalAmount = ValidationLib.calculateTotalAmount(amounts);
+        ValidationLib.validateBudget(totalAmount, totalDistributed + totalLocked, projectBudget);
+        $.fiscalPeriods.checkCurrent(totalAmount);
+        
+        bytes32[] storage lineCategories = $.requestLineCategories[requestId];
+        if (lineCategories.length > 0) {
+            if (recipients.length != lineCategories.length) revert ArrayLengthMismatch();
+            $.budgetCategories.validateLines(lineCategories, amounts);
+        }
+        
+        // An advance stays with a single recipient who has nothing overdue
+        if ($.requestExtensions[requestId].advance.isAdvance) {
+            if (recipients.length != 1) revert ArrayLengthMismatch();
+            if (_hasOverdueAdvance(recipients[0])) revert AdvanceOverdue(recipients[0]);
+        }
+        
+        // Keep a fingerprint of the version being replaced
+        AmendmentLib.RequestVersion memory previous = AmendmentLib.snapshot(
+            request.recipients,
+            request.amounts,
+            request.description,
+            request.documentHash,
+            request.totalAmount
+        );
+        previous.replacedAt = block.timestamp;
+        AmendmentLib.RequestVersion[] storage versions = $.requestExtensions[requestId].versions;
+        versions.push(previous);
+        
+        request.recipients = recipients;
+        request.amounts = amounts;
+        request.totalAmount = totalAmount;
+        request.description = description;
+        request.documentHash = documentHash;
+        request.updatedAt = block.timestamp;
+        
+        // Approval given to the previous version does not carry over
+        if (request.status == Status.SecretaryApproved) {
+            request.status = Status.Pending;
+            request.approvalInfo.secretaryApprover = address(0);
+        }
+        
+        // The new amount may fall into a different approval tier
+        if ($.approvalPolicies.length > 0) {
+            $.requestPolicies[requestId] = $.approvalPolicies.policyForAmount(totalAmount);
+        }
+        
+        MilestoneLib.MilestonePlan storage plan = $.milestonePlans[requestId];
+        if (plan.isMilestone()) {
+            plan.releasedPerRecipient = new uint256[](recipients.length);
+        }
+        
+        bytes32 previousVersionHash = AmendmentLib.hashVersion(previous);
+        emit RequestAmended(requestId, versions.length, previousVersionHash, previous.totalAmount, totalAmount);
+        _recordTimeline(requestId, request.status, msg.sender, previousVersionHash);
+    }
+    
+    /**
+     * @notice Temporarily delegate the caller's approval stage to another account
+     * @param role The approval role to delegate
+     * @param delegate The account that may approve on the caller's behalf
+     * @param expiry Timestamp after which the delegation stops working
+     * @dev Replaces any existing delegation of the caller for this role
+     */
+    function delegateApproval(bytes32 role, address delegate, uint256 expiry) external whenNotPaused notEmergencyStopped {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if (role != SECRETARY_ROLE && role != COMMITTEE_ROLE && role != FINANCE_ROLE && role != DIRECTOR_ROLE) {
+            revert InvalidDelegation();
+        }
+        if (!hasRole(role, msg.sender)) revert UnauthorizedApprover();
+        ValidationLib.validateNotZero(delegate);
+        if (delegate == msg.sender || hasRole(role, delegate)) revert InvalidDelegation();
+        if (expiry <= block.timestamp || expiry > block.timestamp + MAX_DELEGATION_DURATION) revert InvalidDelegation();
+        
+        // A delegate can only act for one role holder at a time
+        address currentDelegator = $.delegators[role][delegate];
+        if (currentDelegator != address(0) && currentDelegator != msg.sender && _effectiveApprover(role, delegate) != address(0)) {
+            revert InvalidDelegation();
+        }
+        
+        _clearDelegation(role, msg.sender);
+        
+        $.approvalDelegations[role][msg.sender] = ApprovalDelegation({delegate: delegate, expiry: expiry});
+        $.delegators[role][delegate] = msg.sender;
+        
+        emit ApprovalDelegated(role, msg.sender, delegate, expiry);
+    }
+    
+    /**
+     * @notice Revoke the caller's delegation before it expires
+     * @param role The delegated approval role
+     */
+    function revokeApprovalDelegation(bytes32 role) external {
+        FeatureStorage storage $ = _getFeatureStorage();
+        if ($.approvalDelegations[role][msg.sender].delegate == address(0)) revert InvalidDelegation();
+        _clearDelegation(role, msg.sender);
+    }
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/proxy/beacon/BeaconProxy.sol";
+import "@openzeppelin/contracts/proxy/beacon/IBeacon.sol";
 import "@openzeppelin/contracts/proxy/beacon/UpgradeableBeacon.sol";
 import "../base/AdminProtectedAccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
@@ -11,9 +12,11 @@ import "../interfaces/IOMTHB.sol";
 /**
  * @title BeaconProjectFactoryOptimized
  * @notice Optimized beacon factory with reduced bytecode size
- * @dev Uses beacon proxy pattern with minimal features
+ * @dev Uses beacon proxy pattern with minimal features.
+ * Projects point at the factory as their beacon; the factory resolves each project
+ * to one of its UpgradeableBeacons, so projects can move between versions individually
  */
-contract BeaconProjectFactoryOptimized is AdminProtectedAccessControl, ReentrancyGuard, Pausable {
+contract BeaconProjectFactoryOptimized is AdminProtectedAccessControl, ReentrancyGuard, Pausable, IBeacon {
     // Roles
     bytes32 constant CREATOR_ROLE = keccak256("PROJECT_CREATOR_ROLE");
     bytes32 constant DEPUTY_ROLE = keccak256("DEPUTY_ROLE");
@@ -24,12 +27,15 @@ contract BeaconProjectFactoryOptimized is AdminProtectedAccessControl, Reentranc
     uint256 constant MAX_DEPUTIES = 10;
     uint256 constant CLOSURE_SIGS_REQUIRED = 3;
     uint256 constant CLOSURE_TIMEOUT = 7 days;
+    uint256 constant MAX_PAGE_SIZE = 100;
+    uint256 constant MAX_MIGRATION_BATCH = 100;
     
     // Project info
     struct Project {
         address contractAddr;
         uint256 createdAt;
         bool isActive;
+        address admin;
     }
     
     // Closure request
@@ -39,22 +45,35 @@ contract BeaconProjectFactoryOptimized is AdminProtectedAccessControl, Reentranc
         mapping(address => bool) hasSigned;
     }
     
-    // Immutable state
+    // Immutable state (initial beacon, beacons[0])
     UpgradeableBeacon public immutable beacon;
     IOMTHB public immutable omthbToken;
     
     // Storage
     mapping(string => Project) public projects;
     mapping(string => Closure) public closures;
+    string[] public projectIds;
+    mapping(address => string[]) private adminProjects;
     address[] public deputies;
     mapping(address => bool) public isDeputy;
     
+    // Beacon versions
+    UpgradeableBeacon[] public beacons;
+    uint256 public defaultBeaconId;
+    mapping(uint256 => uint256) public beaconProjectCount;
+    mapping(address => uint256) private projectBeacon; // beaconId + 1
+    mapping(address => uint256) private previousBeacon; // beaconId + 1, 0 = none
+    
     // Events
     event ProjectCreated(string indexed id, address indexed contractAddr);
+    event ProjectAdminUpdated(string indexed id, address previousAdmin, address newAdmin);
     event ClosureInitiated(string indexed id);
     event ClosureSigned(string indexed id, address signer);
     event ProjectClosed(string indexed id);
-    event BeaconUpgraded(address newImpl);
+    event BeaconDeployed(uint256 indexed beaconId, address beacon, address implementation);
+    event BeaconUpgraded(uint256 indexed beaconId, address newImpl);
+    event DefaultBeaconUpdated(uint256 indexed beaconId);
+    event ProjectMigrated(string indexed id, uint256 fromBeacon, uint256 toBeacon);
     
     // Errors
     error E01(); // ProjectExists
@@ -74,6 +93,7 @@ contract BeaconProjectFactoryOptimized is AdminProtectedAccessControl, Reentranc
         require(_implementation != address(0) && _omthbToken != address(0) && _admin != address(0), "E03");
         
         beacon = new UpgradeableBeacon(_implementation, address(this));
+        beacons.push(beacon);
         omthbToken = IOMTHB(_omthbToken);
         
         _initializeAdmin(_admin);
@@ -93,9 +113,9 @@ contract BeaconProjectFactoryOptimized is AdminProtectedAccessControl, Reentranc
         if (projects[projectId].contractAddr != address(0)) revert E01();
         if (projectAdmin == address(0)) revert E03();
         
-        // Deploy beacon proxy
+        // Deploy beacon proxy resolved through this factory
         BeaconProxy proxy = new BeaconProxy(
-            address(beacon),
+            address(this),
             abi.encodeWithSignature(
                 "initialize(string,address,uint256,address)",
                 projectId,
@@ -111,20 +131,115 @@ contract BeaconProjectFactoryOptimized is AdminProtectedAccessControl, Reentranc
         projects[projectId] = Project({
             contractAddr: projectContract,
             createdAt: block.timestamp,
-            isActive: true
+            isActive: true,
+            admin: projectAdmin
         });
+        projectIds.push(projectId);
+        adminProjects[projectAdmin].push(projectId);
+        projectBeacon[projectContract] = defaultBeaconId + 1;
+        beaconProjectCount[defaultBeaconId]++;
         
         emit ProjectCreated(projectId, projectContract);
         return projectContract;
     }
     
     /**
-     * @notice Upgrade beacon
+     * @notice Resolve the implementation for the calling project
+     * @dev Called by each BeaconProxy; unknown callers (including a proxy still in its
+     * constructor) resolve to the default beacon
+     */
+    function implementation() external view returns (address) {
+        uint256 slot = projectBeacon[msg.sender];
+        return beacons[slot == 0 ? defaultBeaconId : slot - 1].implementation();
+    }
+    
+    /**
+     * @notice Upgrade the default beacon
+     * @dev Only projects on the default beacon follow; canaries keep their own beacon
      */
     function upgradeBeacon(address newImpl) external onlyRole(DEFAULT_ADMIN_ROLE) {
         if (newImpl == address(0)) revert E03();
-        beacon.upgradeTo(newImpl);
-        emit BeaconUpgraded(newImpl);
+        beacons[defaultBeaconId].upgradeTo(newImpl);
+        emit BeaconUpgraded(defaultBeaconId, newImpl);
+    }
+    
+    /**
+     * @notice Deploy a new beacon, e.g. for a canary rollout
+     */
+    function deployBeacon(address impl) external onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256 beaconId) {
+        if (impl == address(0)) revert E03();
+        
+        UpgradeableBeacon newBeacon = new UpgradeableBeacon(impl, address(this));
+        beaconId = beacons.length;
+        beacons.push(newBeacon);
+        
+        emit BeaconDeployed(beaconId, address(newBeacon), impl);
+    }
+    
+    /**
+     * @notice Set the beacon used by newly created projects
+     */
+    function setDefaultBeacon(uint256 beaconId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (beaconId >= beacons.length) revert E08();
+        defaultBeaconId = beaconId;
+        emit DefaultBeaconUpdated(beaconId);
+    }
+    
+    /**
+     * @notice Move projects to a beacon
+     * @dev The beacon they leave is kept for rollbackProjects
+     */
+    function migrateProjects(
+        string[] calldata ids,
+        uint256 beaconId
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (beaconId >= beacons.length) revert E08();
+        if (ids.length == 0 || ids.length > MAX_MIGRATION_BATCH) revert E08();
+        
+        for (uint256 i = 0; i < ids.length;) {
+            _migrateProject(ids[i], beaconId);
+            unchecked { ++i; }
+        }
+    }
+    
+    /**
+     * @notice Move projects back to the beacon they ran before their last migration
+     */
+    function rollbackProjects(string[] calldata ids) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (ids.length == 0 || ids.length > MAX_MIGRATION_BATCH) revert E08();
+        
+        for (uint256 i = 0; i < ids.length;) {
+            address projectContract = projects[ids[i]].contractAddr;
+            if (projectContract == address(0)) revert E02();
+            
+            uint256 previous = previousBeacon[projectContract];
+            if (previous == 0) revert E08();
+            _migrateProject(ids[i], previous - 1);
+            
+            unchecked { ++i; }
+        }
+    }
+    
+    /**
+     * @notice Get the beacon and implementation a project runs
+     */
+    function getProjectVersion(
+        string calldata projectId
+    ) external view returns (uint256 beaconId, address impl, uint256 previousBeaconId, bool canRollback) {
+        address projectContract = projects[projectId].contractAddr;
+        if (projectContract == address(0)) revert E02();
+        
+        beaconId = projectBeacon[projectContract] - 1;
+        impl = beacons[beaconId].implementation();
+        canRollback = previousBeacon[projectContract] != 0;
+        if (canRollback) previousBeaconId = previousBeacon[projectContract] - 1;
+    }
+    
+    /**
+     * @notice Get beacon count
+     */
+    function getBeaconCount() external view returns (uint256) {
+        return beacons.length;
     }
     
     /**
@@ -197,6 +312,83 @@ contract BeaconProjectFactoryOptimized is AdminProtectedAccessControl, Reentranc
         }
     }
     
+    /**
+     * @notice Get project count
+     */
+    function getProjectCount() external view returns (uint256) {
+        return projectIds.length;
+    }
+    
+    /**
+     * @notice List projects in creation order
+     * @dev Scans `limit` entries from `offset`; with `activeOnly` a page may hold fewer.
+     * `next` is the offset of the following page and equals getProjectCount() at the end
+     */
+    function getProjectsPage(
+        uint256 offset,
+        uint256 limit,
+        bool activeOnly
+    ) external view returns (string[] memory ids, Project[] memory items, uint256 next) {
+        if (limit == 0 || limit > MAX_PAGE_SIZE) revert E08();
+        
+        uint256 total = projectIds.length;
+        next = offset + limit < total ? offset + limit : total;
+        if (offset >= next) return (new string[](0), new Project[](0), total);
+        
+        uint256 count;
+        ids = new string[](next - offset);
+        items = new Project[](next - offset);
+        for (uint256 i = offset; i < next; i++) {
+            Project storage project = projects[projectIds[i]];
+            if (activeOnly && !project.isActive) continue;
+            ids[count] = projectIds[i];
+            items[count] = project;
+            count++;
+        }
+        
+        // Trim unused slots
+        assembly {
+            mstore(ids, count)
+            mstore(items, count)
+        }
+    }
+    
+    /**
+     * @notice Get IDs of projects administered by an address
+     */
+    function getProjectsByAdmin(address projectAdmin) external view returns (string[] memory) {
+        return adminProjects[projectAdmin];
+    }
+    
+    /**
+     * @notice Move a project to its current admin in the admin index
+     * @dev Anyone may call; the admin is read from the project. Projects call this when an admin transfer completes
+     */
+    function syncProjectAdmin(string calldata projectId) external {
+        Project storage project = projects[projectId];
+        if (project.contractAddr == address(0)) revert E02();
+        
+        (bool success, bytes memory result) = project.contractAddr.staticcall(abi.encodeWithSignature("currentAdmin()"));
+        if (!success) revert E02();
+        address newAdmin = abi.decode(result, (address));
+        address previousAdmin = project.admin;
+        if (newAdmin == previousAdmin || newAdmin == address(0)) return;
+        
+        string[] storage previousIds = adminProjects[previousAdmin];
+        bytes32 idHash = keccak256(bytes(projectId));
+        for (uint256 i = 0; i < previousIds.length; i++) {
+            if (keccak256(bytes(previousIds[i])) == idHash) {
+                previousIds[i] = previousIds[previousIds.length - 1];
+                previousIds.pop();
+                break;
+            }
+        }
+        adminProjects[newAdmin].push(projectId);
+        project.admin = newAdmin;
+        
+        emit ProjectAdminUpdated(projectId, previousAdmin, newAdmin);
+    }
+    
     /**
      * @notice Pause/unpause
      */
@@ -205,6 +397,24 @@ contract BeaconProjectFactoryOptimized is AdminProtectedAccessControl, Reentranc
         else _unpause();
     }
     
+    /**
+     * @notice Point a project at a beacon
+     */
+    function _migrateProject(string calldata projectId, uint256 beaconId) private {
+        address projectContract = projects[projectId].contractAddr;
+        if (projectContract == address(0)) revert E02();
+        
+        uint256 current = projectBeacon[projectContract] - 1;
+        if (current == beaconId) revert E08();
+        
+        previousBeacon[projectContract] = current + 1;
+        projectBeacon[projectContract] = beaconId + 1;
+        beaconProjectCount[current]--;
+        beaconProjectCount[beaconId]++;
+        
+        emit ProjectMigrated(projectId, current, beaconId);
+    }
+    
     /**
      * @notice Check signatures
      */
@@ -23,21 +23,55 @@ contract ProjectFactoryOptimized is AdminProtectedAccessControl, ReentrancyGuard
     
     // Constants
     uint256 constant MAX_DEPUTIES = 10;
-    uint256 constant CLOSURE_SIGS_REQUIRED = 3;
+    uint256 constant DEFAULT_CLOSURE_QUORUM = 2;
     uint256 constant CLOSURE_TIMEOUT = 7 days;
+    uint256 constant MAX_PAGE_SIZE = 100;
+    uint256 constant MAX_ROSTER_SIZE = 20;
+    uint256 constant TRANSFER_DEPUTY_SIGS_REQUIRED = 2;
+    uint256 constant TRANSFER_TIMEOUT = 7 days;
     
     // Project info
     struct Project {
         address contractAddr;
         uint256 createdAt;
         bool isActive;
+        address admin;
     }
     
+    // Initial setup of a project
+    struct ProjectConfig {
+        address[] secretaries;
+        address[] committee;
+        address[] finance;
+        address[] directors;
+        address[] requesters;
+        uint256 budget;
+        uint256 funding;        // OMTHB pulled from the caller and deposited
+    }
+    
+    // Closure lifecycle (Expired is reported for pending closures past CLOSURE_TIMEOUT)
+    enum ClosureStatus { None, Pending, Executed, Cancelled, Expired }
+    
     // Closure request
     struct Closure {
         uint256 timestamp;
         address initiator;
         uint256 signCount;
+        ClosureStatus status;
+        address[] signers;
+        mapping(address => bool) hasSigned;
+    }
+    
+    // Budget transfer between two projects
+    struct BudgetTransfer {
+        string fromId;
+        string toId;
+        uint256 amount;
+        uint256 timestamp;
+        address initiator;
+        bool executed;
+        bool cancelled;
+        address[] signers;
         mapping(address => bool) hasSigned;
     }
     
@@ -48,15 +82,27 @@ contract ProjectFactoryOptimized is AdminProtectedAccessControl, ReentrancyGuard
     // Storage
     mapping(string => Project) public projects;
     mapping(string => Closure) public closures;
+    string[] public projectIds;
+    mapping(address => string[]) private adminProjects;
     address[] public deputies;
     mapping(address => bool) public isDeputy;
+    mapping(uint256 => BudgetTransfer) public budgetTransfers;
+    uint256 public budgetTransferCount;
+    uint256 public closureDeputyQuorum;
     
     // Events
     event ProjectCreated(string indexed id, address indexed contractAddr, address creator);
+    event ProjectAdminUpdated(string indexed id, address previousAdmin, address newAdmin);
     event ClosureInitiated(string indexed id, address initiator);
     event ClosureSigned(string indexed id, address signer);
+    event ClosureCancelled(string indexed id, address cancelledBy);
+    event ClosureQuorumUpdated(uint256 quorum);
     event ProjectClosed(string indexed id);
     event DeputyUpdated(address deputy, bool added);
+    event BudgetTransferInitiated(uint256 indexed transferId, string fromId, string toId, uint256 amount, address initiator);
+    event BudgetTransferSigned(uint256 indexed transferId, address signer);
+    event BudgetTransferCancelled(uint256 indexed transferId, address cancelledBy);
+    event BudgetTransferExecuted(uint256 indexed transferId, address indexed fromProject, address indexed toProject, uint256 amount);
     
     // Errors
     error E01(); // ProjectExists
@@ -67,6 +113,7 @@ contract ProjectFactoryOptimized is AdminProtectedAccessControl, ReentrancyGuard
     error E06(); // UnauthorizedSigner
     error E07(); // Timeout
     error E08(); // InvalidInput
+    error E09(); // ClosurePending
     
     constructor(
         address _implementation,
@@ -81,6 +128,8 @@ contract ProjectFactoryOptimized is AdminProtectedAccessControl, ReentrancyGuard
         _initializeAdmin(_admin);
         _grantRole(DIRECTOR_ROLE, _admin);
         _grantRole(PAUSER_ROLE, _admin);
+        
+        closureDeputyQuorum = DEFAULT_CLOSURE_QUORUM;
     }
     
     
@@ -91,86 +140,259 @@ contract ProjectFactoryOptimized is AdminProtectedAccessControl, ReentrancyGuard
         string calldata projectId,
         address projectAdmin
     ) external onlyRole(CREATOR_ROLE) nonReentrant whenNotPaused returns (address) {
+        return _deployProject(projectId, projectAdmin, 0);
+    }
+    
+    /**
+     * @notice Create project with roles, budget and funding in one transaction
+     * @dev Reverts entirely if any role grant or the funding fails. The funding is pulled
+     * through the caller's allowance, as OMTHB does not implement EIP-2612 permit
+     */
+    function createProjectWithConfig(
+        string calldata projectId,
+        address projectAdmin,
+        ProjectConfig calldata config
+    ) external onlyRole(CREATOR_ROLE) nonReentrant whenNotPaused returns (address clone) {
+        if (config.budget > type(uint256).max / 2) revert E08();
+        clone = _deployProject(projectId, projectAdmin, config.budget);
+        
+        _grantProjectRoles(clone, keccak256("SECRETARY_ROLE"), config.secretaries);
+        _grantProjectRoles(clone, keccak256("COMMITTEE_ROLE"), config.committee);
+        _grantProjectRoles(clone, keccak256("FINANCE_ROLE"), config.finance);
+        _grantProjectRoles(clone, keccak256("DIRECTOR_ROLE"), config.directors);
+        _grantProjectRoles(clone, keccak256("REQUESTER_ROLE"), config.requesters);
+        
+        if (config.funding > 0) {
+            require(omthbToken.transferFrom(msg.sender, address(this), config.funding), "Funding failed");
+            require(omthbToken.approve(clone, config.funding), "Funding failed");
+            
+            // The project records the creator, not the factory, as depositor
+            (bool success, bytes memory result) = clone.call(
+                abi.encodeWithSignature("depositOMTHBFor(address,uint256)", msg.sender, config.funding)
+            );
+            if (!success) _revertWith(result, "Funding failed");
+        }
+    }
+    
+    /**
+     * @notice Deploy, initialize and register a project clone
+     */
+    function _deployProject(
+        string calldata projectId,
+        address projectAdmin,
+        uint256 budget
+    ) private returns (address clone) {
         if (bytes(projectId).length == 0 || bytes(projectId).length > 100) revert E08();
         if (projects[projectId].contractAddr != address(0)) revert E01();
         if (projectAdmin == address(0)) revert E03();
         
-        // Deploy clone
-        address clone = implementation.clone();
+        // Deploy clone at the address predictProjectAddress reports
+        clone = implementation.cloneDeterministic(_projectSalt(projectId));
         
-        // Initialize with 0 budget
+        // Initialize with the requested budget
         (bool success,) = clone.call(
             abi.encodeWithSignature(
                 "initialize(string,address,uint256,address)",
                 projectId,
                 address(omthbToken),
-                0,
+                budget,
                 projectAdmin
             )
         );
         require(success, "Init failed");
         
         // Grant initial role
-        (success,) = clone.call(
-            abi.encodeWithSignature(
-                "grantRoleDirect(bytes32,address)",
-                keccak256("REQUESTER_ROLE"),
-                projectAdmin
-            )
-        );
+        _grantProjectRole(clone, keccak256("REQUESTER_ROLE"), projectAdmin);
         
         // Store project
         projects[projectId] = Project({
             contractAddr: clone,
             createdAt: block.timestamp,
-            isActive: true
+            isActive: true,
+            admin: projectAdmin
         });
+        projectIds.push(projectId);
+        adminProjects[projectAdmin].push(projectId);
         
         emit ProjectCreated(projectId, clone, msg.sender);
-        return clone;
+    }
+    
+    /**
+     * @notice CREATE2 salt of a project, unique because project IDs are unique
+     */
+    function _projectSalt(string memory projectId) private pure returns (bytes32) {
+        return keccak256(bytes(projectId));
+    }
+    
+    /**
+     * @notice Grant a project role to each account of a roster
+     */
+    function _grantProjectRoles(address clone, bytes32 role, address[] calldata accounts) private {
+        if (accounts.length > MAX_ROSTER_SIZE) revert E08();
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _grantProjectRole(clone, role, accounts[i]);
+        }
+    }
+    
+    /**
+     * @notice Grant a project role
+     */
+    function _grantProjectRole(address clone, bytes32 role, address account) private {
+        (bool success,) = clone.call(
+            abi.encodeWithSignature("grantRoleDirect(bytes32,address)", role, account)
+        );
+        require(success, "Role grant failed");
     }
     
     /**
      * @notice Initiate closure
+     * @dev A cancelled or expired closure can be initiated again with a fresh set of signatures
      */
     function initiateClosure(string calldata projectId) external {
-        Project storage project = projects[projectId];
-        if (project.contractAddr == address(0)) revert E02();
-        if (!project.isActive) revert E05();
-        if (!isDeputy[msg.sender] && !hasRole(DIRECTOR_ROLE, msg.sender)) revert E06();
+        _requireActive(projectId);
         
         Closure storage closure = closures[projectId];
+        if (_closureStatus(closure) == ClosureStatus.Pending) revert E09();
+        
+        // Clear signatures of the previous round
+        for (uint256 i = 0; i < closure.signers.length; i++) {
+            closure.hasSigned[closure.signers[i]] = false;
+        }
+        delete closure.signers;
+        
         closure.timestamp = block.timestamp;
         closure.initiator = msg.sender;
-        closure.signCount = 1;
-        closure.hasSigned[msg.sender] = true;
+        closure.signCount = 0;
+        closure.status = ClosureStatus.Pending;
         
         emit ClosureInitiated(projectId, msg.sender);
+        _signClosure(projectId, closure);
     }
     
     /**
      * @notice Sign closure
      */
     function signClosure(string calldata projectId) external {
-        Project storage project = projects[projectId];
-        if (project.contractAddr == address(0)) revert E02();
-        if (!project.isActive) revert E05();
-        if (!isDeputy[msg.sender] && !hasRole(DIRECTOR_ROLE, msg.sender)) revert E06();
+        _requireActive(projectId);
         
         Closure storage closure = closures[projectId];
-        if (closure.timestamp == 0) revert E02();
-        if (closure.hasSigned[msg.sender]) revert E04();
-        if (block.timestamp > closure.timestamp + CLOSURE_TIMEOUT) revert E07();
+        ClosureStatus status = _closureStatus(closure);
+        if (status == ClosureStatus.Expired) revert E07();
+        if (status != ClosureStatus.Pending) revert E02();
         
-        closure.hasSigned[msg.sender] = true;
-        closure.signCount++;
+        _signClosure(projectId, closure);
+    }
+    
+    /**
+     * @notice Cancel a pending closure
+     */
+    function cancelClosure(string calldata projectId) external {
+        Closure storage closure = closures[projectId];
+        if (closure.status != ClosureStatus.Pending) revert E02();
+        if (
+            msg.sender != closure.initiator &&
+            !hasRole(DIRECTOR_ROLE, msg.sender) &&
+            !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)
+        ) revert E06();
         
-        emit ClosureSigned(projectId, msg.sender);
+        closure.status = ClosureStatus.Cancelled;
+        emit ClosureCancelled(projectId, msg.sender);
+    }
+    
+    /**
+     * @notice Set number of deputy signatures required next to the director's
+     * @dev Cannot exceed the number of current deputies, or no closure could ever execute
+     */
+    function setClosureQuorum(uint256 quorum) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (quorum == 0 || quorum > deputies.length) revert E08();
+        closureDeputyQuorum = quorum;
+        emit ClosureQuorumUpdated(quorum);
+    }
+    
+    /**
+     * @notice Get closure status and signers
+     */
+    function getClosureStatus(string calldata projectId) external view returns (
+        ClosureStatus status,
+        address initiator,
+        uint256 expiresAt,
+        bool directorSigned,
+        uint256 deputySignatures,
+        address[] memory signers
+    ) {
+        Closure storage closure = closures[projectId];
+        status = _closureStatus(closure);
+        initiator = closure.initiator;
+        expiresAt = closure.timestamp == 0 ? 0 : closure.timestamp + CLOSURE_TIMEOUT;
+        (directorSigned, deputySignatures) = _countSignatures(closure.signers);
+        signers = closure.signers;
+    }
+    
+    /**
+     * @notice Initiate moving unused budget from one project to another
+     */
+    function initiateBudgetTransfer(
+        string calldata fromId,
+        string calldata toId,
+        uint256 amount
+    ) external whenNotPaused returns (uint256 transferId) {
+        if (amount == 0 || keccak256(bytes(fromId)) == keccak256(bytes(toId))) revert E08();
+        _requireActive(fromId);
+        _requireActive(toId);
         
-        // Check if ready to execute
-        if (_hasEnoughSignatures(projectId)) {
-            _executeClosure(projectId);
-        }
+        transferId = budgetTransferCount++;
+        BudgetTransfer storage transfer = budgetTransfers[transferId];
+        transfer.fromId = fromId;
+        transfer.toId = toId;
+        transfer.amount = amount;
+        transfer.timestamp = block.timestamp;
+        transfer.initiator = msg.sender;
+        
+        emit BudgetTransferInitiated(transferId, fromId, toId, amount, msg.sender);
+        _signBudgetTransfer(transferId);
+    }
+    
+    /**
+     * @notice Sign budget transfer
+     */
+    function signBudgetTransfer(uint256 transferId) external whenNotPaused {
+        BudgetTransfer storage transfer = budgetTransfers[transferId];
+        if (transfer.timestamp == 0) revert E02();
+        if (transfer.executed) revert E05();
+        if (transfer.cancelled) revert E02();
+        if (block.timestamp > transfer.timestamp + TRANSFER_TIMEOUT) revert E07();
+        
+        _signBudgetTransfer(transferId);
+    }
+    
+    /**
+     * @notice Cancel a pending budget transfer
+     */
+    function cancelBudgetTransfer(uint256 transferId) external {
+        BudgetTransfer storage transfer = budgetTransfers[transferId];
+        if (transfer.timestamp == 0 || transfer.cancelled) revert E02();
+        if (transfer.executed) revert E05();
+        if (
+            msg.sender != transfer.initiator &&
+            !hasRole(DIRECTOR_ROLE, msg.sender) &&
+            !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)
+        ) revert E06();
+        
+        transfer.cancelled = true;
+        emit BudgetTransferCancelled(transferId, msg.sender);
+    }
+    
+    /**
+     * @notice Get budget transfer signatures that still count
+     */
+    function getBudgetTransferSignatures(uint256 transferId) external view returns (
+        bool directorSigned,
+        uint256 deputySignatures,
+        address[] memory signers
+    ) {
+        BudgetTransfer storage transfer = budgetTransfers[transferId];
+        (directorSigned, deputySignatures) = _countSignatures(transfer.signers);
+        signers = transfer.signers;
     }
     
     /**
@@ -196,11 +418,98 @@ contract ProjectFactoryOptimized is AdminProtectedAccessControl, ReentrancyGuard
                     break;
                 }
             }
+            // Lower the closure quorum first; otherwise no closure could reach it
+            if (deputies.length < closureDeputyQuorum) revert E08();
         }
         
         emit DeputyUpdated(deputy, add);
     }
     
+    /**
+     * @notice Predict the address a project will be deployed at
+     * @dev Lets the back office whitelist and pre-fund a project before it is created
+     */
+    function predictProjectAddress(string calldata projectId) external view returns (address) {
+        return implementation.predictDeterministicAddress(_projectSalt(projectId));
+    }
+    
+    /**
+     * @notice Get project count
+     */
+    function getProjectCount() external view returns (uint256) {
+        return projectIds.length;
+    }
+    
+    /**
+     * @notice List projects in creation order
+     * @dev Scans `limit` entries from `offset`; with `activeOnly` a page may hold fewer.
+     * `next` is the offset of the following page and equals getProjectCount() at the end
+     */
+    function getProjectsPage(
+        uint256 offset,
+        uint256 limit,
+        bool activeOnly
+    ) external view returns (string[] memory ids, Project[] memory items, uint256 next) {
+        if (limit == 0 || limit > MAX_PAGE_SIZE) revert E08();
+        
+        uint256 total = projectIds.length;
+        next = offset + limit < total ? offset + limit : total;
+        if (offset >= next) return (new string[](0), new Project[](0), total);
+        
+        uint256 count;
+        ids = new string[](next - offset);
+        items = new Project[](next - offset);
+        for (uint256 i = offset; i < next; i++) {
+            Project storage project = projects[projectIds[i]];
+            if (activeOnly && !project.isActive) continue;
+            ids[count] = projectIds[i];
+            items[count] = project;
+            count++;
+        }
+        
+        // Trim unused slots
+        assembly {
+            mstore(ids, count)
+            mstore(items, count)
+        }
+    }
+    
+    /**
+     * @notice Get IDs of projects administered by an address
+     */
+    function getProjectsByAdmin(address projectAdmin) external view returns (string[] memory) {
+        return adminProjects[projectAdmin];
+    }
+    
+    /**
+     * @notice Move a project to its current admin in the admin index
+     * @dev Anyone may call; the admin is read from the project. Projects call this when an admin transfer completes
+     */
+    function syncProjectAdmin(string calldata projectId) external {
+        Project storage project = projects[projectId];
+        if (project.contractAddr == address(0)) revert E02();
+        
+        (bool success, bytes memory result) = project.contractAddr.staticcall(abi.encodeWithSignature("currentAdmin()"));
+        if (!success) revert E02();
+        address newAdmin = abi.decode(result, (address));
+        address previousAdmin = project.admin;
+        if (newAdmin == previousAdmin || newAdmin == address(0)) return;
+        
+        string[] storage previousIds = adminProjects[previousAdmin];
+        bytes32 idHash = keccak256(bytes(projectId));
+        for (uint256 i = 0; i < previousIds.length; i++) {
+            if (keccak256(bytes(previousIds[i])) == idHash) {
+                previousIds[i] = previousIds[previousIds.length - 1];
+                previousIds.pop();
+                break;
+            }
+        }
+        adminProjects[newAdmin].push(projectId);
+        project.admin = newAdmin;
+        
+        emit ProjectAdminUpdated(projectId, previousAdmin, newAdmin);
+    }
+    
     /**
      * @notice Pause/unpause
      */
@@ -210,31 +519,121 @@ contract ProjectFactoryOptimized is AdminProtectedAccessControl, ReentrancyGuard
     }
     
     /**
-     * @notice Check signatures
+     * @notice Record a director or deputy signature and execute once the quorum is met
      */
-    function _hasEnoughSignatures(string memory projectId) private view returns (bool) {
-        Closure storage closure = closures[projectId];
-        uint256 deputyCount;
-        bool hasDirector;
+    function _signClosure(string calldata projectId, Closure storage closure) private {
+        if (closure.hasSigned[msg.sender]) revert E04();
         
-        for (uint256 i = 0; i < deputies.length; i++) {
-            if (closure.hasSigned[deputies[i]]) deputyCount++;
+        if (!hasRole(DIRECTOR_ROLE, msg.sender) && !isDeputy[msg.sender]) revert E06();
+        closure.hasSigned[msg.sender] = true;
+        closure.signers.push(msg.sender);
+        closure.signCount++;
+        
+        emit ClosureSigned(projectId, msg.sender);
+        
+        // Check if ready to execute
+        (bool directorSigned, uint256 deputySignatures) = _countSignatures(closure.signers);
+        if (directorSigned && deputySignatures >= closureDeputyQuorum) {
+            _executeClosure(projectId);
         }
+    }
+    
+    /**
+     * @notice Count signers that still hold their role
+     * @dev Roles are checked when counting, so signatures of revoked directors or deputies drop out
+     */
+    function _countSignatures(address[] storage signers) private view returns (bool directorSigned, uint256 deputySignatures) {
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (hasRole(DIRECTOR_ROLE, signers[i])) {
+                directorSigned = true;
+            } else if (isDeputy[signers[i]]) {
+                deputySignatures++;
+            }
+        }
+    }
+    
+    /**
+     * @notice Get closure status, reporting pending closures past the timeout as expired
+     */
+    function _closureStatus(Closure storage closure) private view returns (ClosureStatus) {
+        if (closure.status == ClosureStatus.Pending && block.timestamp > closure.timestamp + CLOSURE_TIMEOUT) {
+            return ClosureStatus.Expired;
+        }
+        return closure.status;
+    }
+    
+    /**
+     * @notice Record a director or deputy signature and execute once the quorum is met
+     */
+    function _signBudgetTransfer(uint256 transferId) private nonReentrant {
+        BudgetTransfer storage transfer = budgetTransfers[transferId];
+        if (transfer.hasSigned[msg.sender]) revert E04();
+        if (!hasRole(DIRECTOR_ROLE, msg.sender) && !isDeputy[msg.sender]) revert E06();
+        transfer.hasSigned[msg.sender] = true;
+        transfer.signers.push(msg.sender);
         
-        // Check director separately
-        if (hasRole(DIRECTOR_ROLE, msg.sender)) {
-            hasDirector = true;
+        emit BudgetTransferSigned(transferId, msg.sender);
+        
+        // Signers are re-validated like closures, so revoked directors or deputies no longer count
+        (bool directorSigned, uint256 deputySignatures) = _countSignatures(transfer.signers);
+        if (directorSigned && deputySignatures >= TRANSFER_DEPUTY_SIGS_REQUIRED) {
+            _executeBudgetTransfer(transferId);
         }
+    }
+    
+    /**
+     * @notice Execute budget transfer
+     */
+    function _executeBudgetTransfer(uint256 transferId) private {
+        BudgetTransfer storage transfer = budgetTransfers[transferId];
+        address fromProject = _requireActive(transfer.fromId);
+        address toProject = _requireActive(transfer.toId);
+        uint256 amount = transfer.amount;
+        transfer.executed = true;
         
-        return deputyCount >= 2 && hasDirector;
+        // Source gives up budget and tokens, then destination books them
+        (bool success, bytes memory result) = fromProject.call(
+            abi.encodeWithSignature("transferBudgetOut(uint256,address,uint256)", transferId, toProject, amount)
+        );
+        if (!success) _revertWith(result, "Transfer out failed");
+        
+        (success, result) = toProject.call(
+            abi.encodeWithSignature("receiveBudgetTransfer(uint256,address,uint256)", transferId, fromProject, amount)
+        );
+        if (!success) _revertWith(result, "Transfer in failed");
+        
+        emit BudgetTransferExecuted(transferId, fromProject, toProject, amount);
+    }
+    
+    /**
+     * @notice Revert with a project's own error, or a fallback reason if it gave none
+     */
+    function _revertWith(bytes memory result, string memory reason) private pure {
+        if (result.length == 0) revert(reason);
+        assembly {
+            revert(add(result, 32), mload(result))
+        }
+    }
+    
+    /**
+     * @notice Get an active project's address
+     */
+    function _requireActive(string memory projectId) private view returns (address) {
+        Project storage project = projects[projectId];
+        if (project.contractAddr == address(0)) revert E02();
+        if (!project.isActive) revert E05();
+        return project.contractAddr;
     }
     
     /**
      * @notice Execute closure
+     * @dev Projects let their factory pause them in one call, bypassing their own admin
+     * multi-sig; the director and deputy quorum stands in for it. Already paused projects close too
      */
     function _executeClosure(string memory projectId) private {
         Project storage project = projects[projectId];
         project.isActive = false;
+        closures[projectId].status = ClosureStatus.Executed;
         
         // Pause project with gas limit
         address projectContract = project.contractAddr;
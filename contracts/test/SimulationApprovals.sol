@@ -10,6 +10,11 @@ import "./SimulationBase.sol";
  */
 contract SimulationApprovals is SimulationBase {
     
+    /**
+     * @param extension First module of the chain (the admin module)
+     */
+    constructor(address extension) SimulationBase(extension) {}
+    
     /**
      * @notice Direct approval for simulation (bypasses commit-reveal)
      * @param requestId The request ID to approve
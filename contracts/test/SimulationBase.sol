@@ -10,6 +10,11 @@ import "../ProjectReimbursementV3.sol";
  */
 abstract contract SimulationBase is ProjectReimbursementV3 {
     
+    /**
+     * @param extension First module of the chain (the admin module)
+     */
+    constructor(address extension) ProjectReimbursementV3(extension) {}
+    
     /**
      * @notice Direct role grant for simulation purposes
      * @dev Bypasses the commit-reveal mechanism
@@ -14,6 +14,11 @@ contract SimulationEmergency is SimulationBase {
     event EmergencyClosureApproved(uint256 indexed closureId, address indexed approver, uint256 totalApprovers);
     event EmergencyClosureExecuted(uint256 indexed closureId, address indexed returnAddress, uint256 amount);
     
+    /**
+     * @param extension First module of the chain (the admin module)
+     */
+    constructor(address extension) SimulationBase(extension) {}
+    
     /**
      * @notice Direct emergency closure approval for simulation
      * @param closureId The closure ID
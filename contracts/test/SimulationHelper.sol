@@ -11,6 +11,11 @@ import "./SimulationApprovals.sol";
  */
 contract SimulationHelper is SimulationApprovals {
     
+    /**
+     * @param extension First module of the chain (the admin module)
+     */
+    constructor(address extension) SimulationApprovals(extension) {}
+    
     /**
      * @notice Quick setup function for simulations
      * @dev Sets up common roles for testing
@@ -1,6 +1,7 @@
 const { ethers, upgrades } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { deployProjectModules, getProjectReimbursementAt } = require("./lib/projectReimbursement");
 require("dotenv").config({ path: ".env.test" });
 
 /**
@@ -136,8 +137,12 @@ async function main() {
     
     // 5. Deploy ProjectReimbursement Implementation
     console.log("\n5️⃣ Deploying ProjectReimbursementOptimized Implementation...");
+    contracts.projectReimbursementModules = await deployProjectModules(deployer, (name, address) => {
+      console.log(`   ✅ ${name}: ${address}`);
+      contracts[name] = address;
+    });
     const ProjectReimbursement = await ethers.getContractFactory("ProjectReimbursementOptimized", deployer);
-    const projectImpl = await ProjectReimbursement.deploy();
+    const projectImpl = await ProjectReimbursement.deploy(contracts.projectReimbursementModules);
     await projectImpl.waitForDeployment();
     contracts.projectReimbursementImpl = await projectImpl.getAddress();
     console.log(`   ✅ Implementation: ${contracts.projectReimbursementImpl}`);
@@ -228,7 +233,7 @@ async function main() {
     console.log("   ✅ Project whitelisted for gasless transactions");
     
     // Setup project roles
-    const project = await ethers.getContractAt("ProjectReimbursementOptimized", projectAddress, adminSigner);
+    const project = await getProjectReimbursementAt(projectAddress, adminSigner);
     const SECRETARY_ROLE = await project.SECRETARY_ROLE();
     const COMMITTEE_ROLE = await project.COMMITTEE_ROLE();
     const FINANCE_ROLE = await project.FINANCE_ROLE();
@@ -1,6 +1,7 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { getProjectReimbursementAt } = require("./lib/projectReimbursement");
 require("dotenv").config({ path: ".env.test" });
 
 /**
@@ -137,7 +138,7 @@ async function main() {
     
     // 7. Setup project roles
     console.log("\n7️⃣ Setting up project roles...");
-    const project = await ethers.getContractAt("ProjectReimbursementV3", projectAddress, deployer);
+    const project = await getProjectReimbursementAt(projectAddress, deployer, "ProjectReimbursementV3");
     
     const SECRETARY_ROLE = await project.SECRETARY_ROLE();
     const COMMITTEE_ROLE = await project.COMMITTEE_ROLE();
@@ -1,6 +1,7 @@
 const { ethers, upgrades } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { deployProjectModules } = require("./lib/projectReimbursement");
 
 async function main() {
   console.log("🚀 Starting Minimal Deployment...\n");
@@ -48,8 +49,12 @@ async function main() {
 
     // 3. Deploy ProjectReimbursementOptimized (smaller version)
     console.log("\n3️⃣ Deploying ProjectReimbursementOptimized...");
+    const projectModules = await deployProjectModules(deployer, (name, address) => {
+      console.log(`✅ ${name} deployed to:`, address);
+      deployments[name] = { address };
+    });
     const ProjectReimbursementOptimized = await ethers.getContractFactory("ProjectReimbursementOptimized");
-    const reimbursement = await ProjectReimbursementOptimized.deploy();
+    const reimbursement = await ProjectReimbursementOptimized.deploy(projectModules);
     await reimbursement.waitForDeployment();
     const reimbursementAddress = await reimbursement.getAddress();
     
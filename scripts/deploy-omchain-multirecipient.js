@@ -2,6 +2,7 @@ const hre = require("hardhat");
 const { ethers, upgrades } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { deployProjectModules } = require("./lib/projectReimbursement");
 
 // Deployment configuration
 const DEPLOYMENT_CONFIG = {
@@ -164,8 +165,12 @@ async function main() {
     
     // 4. Deploy ProjectReimbursement Implementation
     console.log("\n4️⃣ Deploying ProjectReimbursement Implementation...");
+    addresses.projectReimbursementModules = await deployProjectModules(deployer, (name, address) => {
+      console.log(`✅ ${name} deployed to: ${address}`);
+      addresses[name] = address;
+    });
     const ProjectReimbursement = await ethers.getContractFactory("ProjectReimbursementOptimized");
-    const projectImplementation = await ProjectReimbursement.deploy();
+    const projectImplementation = await ProjectReimbursement.deploy(addresses.projectReimbursementModules);
     await projectImplementation.waitForDeployment();
     addresses.projectReimbursementImplementation = await projectImplementation.getAddress();
     console.log(`✅ ProjectReimbursement Implementation deployed to: ${addresses.projectReimbursementImplementation}`);
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { deployProjectModules } = require("./lib/projectReimbursement");
 
 async function main() {
   console.log("Deploying optimized contracts...");
@@ -27,7 +28,7 @@ async function main() {
       RoleManagementLib: roleManagementLib.address
     }
   });
-  const implementation = await ProjectReimbursementOptimized.deploy();
+  const implementation = await ProjectReimbursementOptimized.deploy(await deployProjectModules(deployer));
   await implementation.deployed();
   console.log("ProjectReimbursementOptimized implementation deployed to:", implementation.address);
 
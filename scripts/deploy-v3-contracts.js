@@ -1,6 +1,7 @@
 const { ethers, upgrades } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { deployProjectModules } = require("./lib/projectReimbursement");
 
 async function main() {
   console.log("🚀 Starting V3 Contracts Deployment...\n");
@@ -54,14 +55,19 @@ async function main() {
     // 2. Deploy ProjectReimbursementV3
     console.log("\n2️⃣ Deploying ProjectReimbursementV3...");
     
+    const projectModules = await deployProjectModules(deployer, (name, address) => {
+      console.log(`✅ ${name} deployed to:`, address);
+      deployments[name] = { address };
+    });
     const ProjectReimbursementV3 = await ethers.getContractFactory("ProjectReimbursementV3");
-    const reimbursementV3 = await ProjectReimbursementV3.deploy();
+    const reimbursementV3 = await ProjectReimbursementV3.deploy(projectModules);
     await reimbursementV3.waitForDeployment();
     const reimbursementV3Address = await reimbursementV3.getAddress();
     
     console.log("✅ ProjectReimbursementV3 deployed to:", reimbursementV3Address);
     deployments.ProjectReimbursementV3 = {
-      address: reimbursementV3Address
+      address: reimbursementV3Address,
+      modules: projectModules
     };
 
     // 3. Deploy MetaTxForwarderV3 first (needed by factories)
@@ -99,7 +105,7 @@ async function main() {
     console.log("\n5️⃣ Deploying BeaconProjectFactoryV3...");
     
     // Deploy beacon
-    const beacon = await upgrades.deployBeacon(ProjectReimbursementV3);
+    const beacon = await upgrades.deployBeacon(ProjectReimbursementV3, { constructorArgs: [projectModules] });
     await beacon.waitForDeployment();
     const beaconAddress = await beacon.getAddress();
     
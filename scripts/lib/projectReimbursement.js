@@ -0,0 +1,79 @@
+const { ethers, artifacts } = require("hardhat");
+
+// Modules reached through the ProjectReimbursementOptimized fallback, in chain order
+const PROJECT_MODULES = [
+  "ProjectReimbursementAdminModule",
+  "ProjectReimbursementApprovalModule",
+  "ProjectReimbursementPayoutModule",
+  "ProjectReimbursementWorkflowModule",
+  "ProjectReimbursementGovernanceModule",
+  "ProjectReimbursementViewModule"
+];
+
+/**
+ * Deploy the module chain, last module first
+ * @param signer Deployer (defaults to the first signer)
+ * @param onDeployed Optional callback receiving the name and address of each deployed module
+ * @returns Address of the first module, passed to the project constructor
+ */
+async function deployProjectModules(signer, onDeployed) {
+  let extension = ethers.ZeroAddress;
+  for (const name of [...PROJECT_MODULES].reverse()) {
+    const Module = await ethers.getContractFactory(name, signer);
+    const module = await Module.deploy(extension);
+    await module.waitForDeployment();
+    extension = await module.getAddress();
+    if (onDeployed) onDeployed(name, extension);
+  }
+  return extension;
+}
+
+/**
+ * Get the ABI of a project contract merged with the ABI of every module,
+ * so module functions, events and errors can be used on the project address
+ * @param name Project contract name (ProjectReimbursementOptimized or a contract inheriting it)
+ */
+async function getProjectReimbursementAbi(name = "ProjectReimbursementOptimized") {
+  const project = await artifacts.readArtifact(name);
+  const modules = await Promise.all(PROJECT_MODULES.map((module) => artifacts.readArtifact(module)));
+  const seen = new Set();
+  const abi = [];
+  for (const artifact of [project, ...modules]) {
+    for (const item of artifact.abi) {
+      if (item.type === "constructor" && artifact !== project) continue;
+      const key = JSON.stringify(item);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      abi.push(item);
+    }
+  }
+  return abi;
+}
+
+/**
+ * Get a factory for a project contract that exposes the functions of every module
+ * @param name Project contract name (ProjectReimbursementOptimized or a contract inheriting it)
+ * @param signer Deployer (defaults to the first signer)
+ */
+async function getProjectReimbursementFactory(name = "ProjectReimbursementOptimized", signer) {
+  const { bytecode } = await artifacts.readArtifact(name);
+  return ethers.getContractFactory(await getProjectReimbursementAbi(name), bytecode, signer);
+}
+
+/**
+ * Attach to a deployed project, exposing the functions of every module
+ * @param address Project (or proxy) address
+ * @param signer Signer or provider to connect (defaults to the first signer)
+ * @param name Project contract name (ProjectReimbursementOptimized or a contract inheriting it)
+ */
+async function getProjectReimbursementAt(address, signer, name = "ProjectReimbursementOptimized") {
+  return ethers.getContractAt(await getProjectReimbursementAbi(name), address, signer);
+}
+
+module.exports = {
+  PROJECT_MODULES,
+  deployProjectModules,
+  getProjectReimbursementAbi,
+  getProjectReimbursementFactory,
+  getProjectReimbursementAt
+};
@@ -1,5 +1,6 @@
 const { ethers, upgrades } = require("hardhat");
 const fs = require('fs');
+const { deployProjectModules, getProjectReimbursementAt } = require('./lib/projectReimbursement');
 
 // Color codes for console output
 const colors = {
@@ -129,7 +130,7 @@ async function main() {
         // Deploy SimulationHelper (instead of ProjectReimbursement)
         logSubSection("Deploying SimulationHelper");
         const SimulationHelper = await ethers.getContractFactory("SimulationHelper");
-        const projectImplementation = await SimulationHelper.deploy();
+        const projectImplementation = await SimulationHelper.deploy(await deployProjectModules());
         await projectImplementation.waitForDeployment();
         const implementationAddress = await projectImplementation.getAddress();
         logSuccess(`SimulationHelper deployed at: ${implementationAddress}`);
@@ -185,7 +186,7 @@ async function main() {
         logSuccess(`Funded project with ${formatOMTHB(projectBudget)}`);
         
         // Get project contract instance (as SimulationHelper)
-        const project = await ethers.getContractAt("SimulationHelper", projectAddress);
+        const project = await getProjectReimbursementAt(projectAddress, undefined, "SimulationHelper");
         
         // Setup roles using direct grant
         logSection("SETTING UP ROLES");
@@ -1,6 +1,7 @@
 const { ethers, upgrades } = require("hardhat");
 const fs = require('fs');
 const path = require('path');
+const { deployProjectModules, getProjectReimbursementAt } = require('./lib/projectReimbursement');
 
 // Test report structure
 const testReport = {
@@ -155,7 +156,7 @@ async function deployContracts() {
         // Deploy Project Implementation with libraries
         logInfo("Deploying ProjectReimbursementOptimized...");
         const ProjectReimbursementOptimized = await ethers.getContractFactory("contracts/ProjectReimbursementOptimized.sol:ProjectReimbursementOptimized");
-        const projectImplementation = await ProjectReimbursementOptimized.deploy();
+        const projectImplementation = await ProjectReimbursementOptimized.deploy(await deployProjectModules());
         await projectImplementation.waitForDeployment();
         const implementationAddress = await projectImplementation.getAddress();
         logSuccess(`Project Implementation deployed at: ${implementationAddress}`);
@@ -272,7 +273,7 @@ async function testProjectCreationWithZeroBudget(deployment) {
         });
         
         const projectAddress = projectCreatedEvent.args.contractAddr;
-        const project = await ethers.getContractAt("contracts/ProjectReimbursementOptimized.sol:ProjectReimbursementOptimized", projectAddress);
+        const project = await getProjectReimbursementAt(projectAddress);
         
         // Verify project details
         const projectId = await project.projectId();
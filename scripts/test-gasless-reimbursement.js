@@ -1,6 +1,7 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { getProjectReimbursementAt } = require("./lib/projectReimbursement");
 require("dotenv").config({ path: ".env.test" });
 
 /**
@@ -78,7 +79,7 @@ async function main() {
     omthbToken: await ethers.getContractAt("OMTHBTokenV3", deployment.contracts.omthbToken, provider),
     gasTank: await ethers.getContractAt("GasTank", deployment.contracts.gasTank, provider),
     metaTxForwarder: await ethers.getContractAt("MetaTxForwarderV2", deployment.contracts.metaTxForwarder, provider),
-    project: await ethers.getContractAt("ProjectReimbursementOptimized", deployment.contracts.testProject, provider)
+    project: await getProjectReimbursementAt(deployment.contracts.testProject, provider)
   };
   
   console.log("\n" + "=".repeat(60));
@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { PROJECT_MODULES } = require("./lib/projectReimbursement");
 
 // Helper function to load deployment addresses
 function loadDeploymentAddresses(network) {
@@ -114,11 +115,28 @@ async function main() {
   
   await delay(3000);
   
-  // 4. Verify ProjectReimbursement Implementation
-  console.log("\n4️⃣ ProjectReimbursement Implementation");
+  // 4. Verify ProjectReimbursement Modules and Implementation
+  console.log("\n4️⃣ ProjectReimbursement Modules and Implementation");
+  for (const [i, name] of PROJECT_MODULES.entries()) {
+    const next = PROJECT_MODULES[i + 1];
+    const moduleVerified = await verifyContract(
+      deployment.addresses[name],
+      [next ? deployment.addresses[next] : hre.ethers.ZeroAddress], // Next module of the chain
+      `contracts/modules/${name}.sol:${name}`
+    );
+    
+    if (moduleVerified) {
+      results.verified.push(name);
+    } else {
+      results.failed.push(name);
+    }
+    
+    await delay(3000);
+  }
+  
   const projectImplVerified = await verifyContract(
     deployment.addresses.projectReimbursementImplementation,
-    [], // No constructor arguments for implementation
+    [deployment.addresses.projectReimbursementModules], // First module of the chain
     "contracts/ProjectReimbursementOptimized.sol:ProjectReimbursementOptimized"
   );
   
@@ -1,6 +1,7 @@
-const { run } = require("hardhat");
+const { run, ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { PROJECT_MODULES } = require("./lib/projectReimbursement");
 
 async function main() {
   console.log("🔍 Starting V3 Contracts Verification on OMScan...\n");
@@ -37,7 +38,7 @@ async function main() {
     },
     ProjectReimbursementV3: {
       contract: "contracts/ProjectReimbursementV3.sol:ProjectReimbursementV3",
-      constructorArguments: []
+      constructorArguments: [contracts.ProjectReimbursementV3.modules]
     },
     ProjectFactoryV3: {
       contract: "contracts/ProjectFactoryV3.sol:ProjectFactoryV3",
@@ -63,6 +64,15 @@ async function main() {
     }
   };
 
+  // Each module takes the address of the next module of the chain
+  PROJECT_MODULES.forEach((name, i) => {
+    const next = PROJECT_MODULES[i + 1];
+    verificationConfigs[name] = {
+      contract: `contracts/modules/${name}.sol:${name}`,
+      constructorArguments: [next ? contracts[next].address : ethers.ZeroAddress]
+    };
+  });
+
   // Verify each contract
   for (const [name, info] of Object.entries(contracts)) {
     console.log(`\n🔍 Verifying ${name}...`);
@@ -0,0 +1,117 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Approval Delegation", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee, finance, requester, recipient, deputy, otherDeputy] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-DELEGATE-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        const FINANCE_ROLE = await project.FINANCE_ROLE();
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        await project.grantRoleDirect(await project.COMMITTEE_ROLE(), committee.address);
+        await project.grantRoleDirect(FINANCE_ROLE, finance.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("500"), "Travel", "QmDoc");
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        await commitAndReveal(committee, "approveByCommittee", 0);
+
+        return { project, FINANCE_ROLE, finance, committee, deputy, otherDeputy, commitAndReveal };
+    }
+
+    it("Should let a delegate approve on behalf of the role holder", async function () {
+        const { project, FINANCE_ROLE, finance, deputy, commitAndReveal } = await loadFixture(deployFixture);
+        const expiry = (await time.latest()) + 7 * DAY;
+
+        await expect(project.connect(finance).delegateApproval(FINANCE_ROLE, deputy.address, expiry))
+            .to.emit(project, "ApprovalDelegated")
+            .withArgs(FINANCE_ROLE, finance.address, deputy.address, expiry);
+        expect(await project.getEffectiveApprover(FINANCE_ROLE, deputy.address)).to.equal(finance.address);
+
+        const tx = await commitAndReveal(deputy, "approveByFinance", 0);
+        await expect(tx).to.emit(project, "ApprovedOnBehalf").withArgs(0, deputy.address, finance.address, FINANCE_ROLE);
+        await expect(tx).to.emit(project, "RequestApproved").withArgs(0, 3, finance.address);
+
+        const request = await project.getRequest(0);
+        expect(request.approvalInfo.financeApprover).to.equal(finance.address);
+
+        // The timeline keeps both the role holder and the delegate who acted
+        const timeline = await project.getRequestTimeline(0);
+        const entry = timeline[timeline.length - 1];
+        expect(entry.actor).to.equal(finance.address);
+        expect(entry.delegate).to.equal(deputy.address);
+        expect(timeline[1].delegate).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should stop working automatically after expiry", async function () {
+        const { project, FINANCE_ROLE, finance, deputy } = await loadFixture(deployFixture);
+        const expiry = (await time.latest()) + DAY;
+
+        await project.connect(finance).delegateApproval(FINANCE_ROLE, deputy.address, expiry);
+        await time.increaseTo(expiry + 1);
+
+        expect(await project.getEffectiveApprover(FINANCE_ROLE, deputy.address)).to.equal(ethers.ZeroAddress);
+        await expect(project.connect(deputy).commitApproval(0, ethers.ZeroHash))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+    });
+
+    it("Should allow the delegator to revoke early", async function () {
+        const { project, FINANCE_ROLE, finance, deputy } = await loadFixture(deployFixture);
+
+        await project.connect(finance).delegateApproval(FINANCE_ROLE, deputy.address, (await time.latest()) + DAY);
+        await expect(project.connect(finance).revokeApprovalDelegation(FINANCE_ROLE))
+            .to.emit(project, "ApprovalDelegationRevoked")
+            .withArgs(FINANCE_ROLE, finance.address, deputy.address);
+
+        expect(await project.getEffectiveApprover(FINANCE_ROLE, deputy.address)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should validate delegation parameters", async function () {
+        const { project, FINANCE_ROLE, finance, committee, deputy } = await loadFixture(deployFixture);
+        const now = await time.latest();
+
+        await expect(project.connect(committee).delegateApproval(FINANCE_ROLE, deputy.address, now + DAY))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(finance).delegateApproval(FINANCE_ROLE, deputy.address, now + 31 * DAY))
+            .to.be.revertedWithCustomError(project, "InvalidDelegation");
+        await expect(project.connect(finance).delegateApproval(FINANCE_ROLE, deputy.address, now))
+            .to.be.revertedWithCustomError(project, "InvalidDelegation");
+        await expect(project.connect(finance).delegateApproval(await project.REQUESTER_ROLE(), deputy.address, now + DAY))
+            .to.be.revertedWithCustomError(project, "InvalidDelegation");
+    });
+
+    it("Should replace an existing delegation", async function () {
+        const { project, FINANCE_ROLE, finance, deputy, otherDeputy } = await loadFixture(deployFixture);
+        const expiry = (await time.latest()) + DAY;
+
+        await project.connect(finance).delegateApproval(FINANCE_ROLE, deputy.address, expiry);
+        await project.connect(finance).delegateApproval(FINANCE_ROLE, otherDeputy.address, expiry);
+
+        expect(await project.getEffectiveApprover(FINANCE_ROLE, deputy.address)).to.equal(ethers.ZeroAddress);
+        expect(await project.getEffectiveApprover(FINANCE_ROLE, otherDeputy.address)).to.equal(finance.address);
+    });
+});
@@ -0,0 +1,186 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Amount-Tiered Approval Policies", function () {
+    const Stage = { Secretary: 0, Committee: 1, Finance: 2, CommitteeAdditional: 3, Director: 4, Complete: 5 };
+    const Status = { FinanceApproved: 3, DirectorApproved: 4, Distributed: 5 };
+
+    const tiers = [
+        {
+            maxAmount: ethers.parseEther("5000"),
+            requireSecretary: true,
+            requireCommittee: false,
+            requireFinance: true,
+            committeeAdditionalApprovers: 0,
+            directorApprovers: 0
+        },
+        {
+            maxAmount: ethers.parseEther("500000"),
+            requireSecretary: true,
+            requireCommittee: true,
+            requireFinance: true,
+            committeeAdditionalApprovers: 3,
+            directorApprovers: 1
+        },
+        {
+            maxAmount: ethers.MaxUint256,
+            requireSecretary: true,
+            requireCommittee: true,
+            requireFinance: true,
+            committeeAdditionalApprovers: 3,
+            directorApprovers: 2
+        }
+    ];
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director1, director2, requester, recipient] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-POLICY-001", await omthbToken.getAddress(), ethers.parseEther("1000000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director1.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director2.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("1000000"));
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        async function runThroughTimelock(data) {
+            const target = await project.getAddress();
+            const tx = await project.connect(admin).queueTimelockOperation(target, data);
+            const receipt = await tx.wait();
+            const queued = receipt.logs
+                .map(log => { try { return project.interface.parseLog(log); } catch (e) { return null; } })
+                .find(log => log && log.name === "TimelockOperationQueued");
+            await time.increase(2 * 24 * 60 * 60);
+            return project.connect(admin).executeTimelockOperation(queued.args.operationId, target, data);
+        }
+
+        async function applyTiers(policies) {
+            const data = project.interface.encodeFunctionData("setApprovalPolicies", [policies]);
+            return runThroughTimelock(data);
+        }
+
+        return {
+            project, omthbToken, admin, secretary, committee1, committee2, committee3, committee4,
+            finance, director1, director2, requester, recipient, commitAndReveal, applyTiers
+        };
+    }
+
+    it("Should keep the default five-step chain when no tiers are configured", async function () {
+        const { project, secretary, requester, recipient, commitAndReveal } = await loadFixture(deployFixture);
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("1000"), "Travel", "QmDoc");
+        expect(await project.getCurrentApprovalStage(0)).to.equal(Stage.Secretary);
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        expect(await project.getCurrentApprovalStage(0)).to.equal(Stage.Committee);
+
+        const policy = await project.getRequestApprovalPolicy(0);
+        expect(policy.committeeAdditionalApprovers).to.equal(3);
+        expect(policy.directorApprovers).to.equal(1);
+    });
+
+    it("Should only accept policy changes through the timelock", async function () {
+        const { project, admin, applyTiers } = await loadFixture(deployFixture);
+
+        await expect(project.connect(admin).setApprovalPolicies(tiers))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+
+        await expect(applyTiers(tiers)).to.emit(project, "ApprovalPoliciesUpdated").withArgs(3);
+        expect(await project.getApprovalPolicies()).to.have.length(3);
+    });
+
+    it("Should reject tiers that do not cover the maximum request amount", async function () {
+        const { project, applyTiers } = await loadFixture(deployFixture);
+
+        await expect(applyTiers([tiers[0]])).to.be.revertedWithCustomError(project, "TransferFailed");
+        expect(await project.getApprovalPolicies()).to.have.length(0);
+    });
+
+    it("Should distribute small claims after secretary and finance only", async function () {
+        const { project, omthbToken, secretary, finance, committee1, requester, recipient, commitAndReveal, applyTiers } = await loadFixture(deployFixture);
+        await applyTiers(tiers);
+
+        const amount = ethers.parseEther("1000");
+        await project.connect(requester).createRequest(recipient.address, amount, "Taxi", "QmDoc");
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        expect(await project.getCurrentApprovalStage(0)).to.equal(Stage.Finance);
+
+        // Committee is not part of this tier
+        await expect(project.connect(committee1).commitApproval(0, ethers.ZeroHash))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+
+        await expect(commitAndReveal(finance, "approveByFinance", 0))
+            .to.emit(project, "FundsDistributed");
+
+        expect((await project.getRequest(0)).status).to.equal(Status.Distributed);
+        expect(await omthbToken.balanceOf(recipient.address)).to.equal(amount);
+    });
+
+    it("Should require an extra director for the top tier", async function () {
+        const {
+            project, omthbToken, secretary, committee1, committee2, committee3, committee4,
+            finance, director1, director2, requester, recipient, commitAndReveal, applyTiers
+        } = await loadFixture(deployFixture);
+        await applyTiers(tiers);
+
+        const amount = ethers.parseEther("600000");
+        await project.connect(requester).createRequest(recipient.address, amount, "Construction", "QmDoc");
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        await commitAndReveal(committee1, "approveByCommittee", 0);
+        await commitAndReveal(finance, "approveByFinance", 0);
+        for (const member of [committee2, committee3, committee4]) {
+            await commitAndReveal(member, "approveByCommitteeAdditional", 0);
+        }
+
+        await commitAndReveal(director1, "approveByDirector", 0);
+        expect((await project.getRequest(0)).status).to.equal(Status.DirectorApproved);
+        expect(await project.getCurrentApprovalStage(0)).to.equal(Stage.Director);
+
+        await expect(commitAndReveal(director1, "approveByDirector", 0))
+            .to.be.revertedWithCustomError(project, "AlreadyApproved");
+
+        await expect(commitAndReveal(director2, "approveByDirector", 0))
+            .to.emit(project, "FundsDistributed");
+        expect(await project.getAdditionalDirectorApprovers(0)).to.deep.equal([director2.address]);
+        expect(await project.getApprovalCount(0)).to.equal(8);
+        expect(await omthbToken.balanceOf(recipient.address)).to.equal(amount);
+    });
+
+    it("Should keep the policy snapshot for in-flight requests", async function () {
+        const { project, requester, recipient, applyTiers } = await loadFixture(deployFixture);
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("1000"), "Travel", "QmDoc");
+        await applyTiers(tiers);
+
+        const policy = await project.getRequestApprovalPolicy(0);
+        expect(policy.requireCommittee).to.equal(true);
+        expect(policy.committeeAdditionalApprovers).to.equal(3);
+    });
+});
@@ -0,0 +1,99 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Batch Approval", function () {
+    const Status = { SecretaryApproved: 1, CommitteeApproved: 2, FinanceApproved: 3 };
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, finance, requester, recipient] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-BATCH-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        await project.grantRoleDirect(await project.COMMITTEE_ROLE(), committee1.address);
+        await project.grantRoleDirect(await project.COMMITTEE_ROLE(), committee2.address);
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        for (let i = 0; i < 3; i++) {
+            await project.connect(requester).createRequest(recipient.address, ethers.parseEther("200"), `Trip ${i}`, "QmDoc");
+        }
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        function makeCommitments(signer, ids) {
+            const nonces = ids.map(() => BigInt(ethers.hexlify(ethers.randomBytes(32))));
+            const commitments = ids.map((id, i) => ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, id, chainId, nonces[i]]
+            ));
+            return { nonces, commitments };
+        }
+
+        async function batchApprove(signer, role, ids) {
+            const { nonces, commitments } = makeCommitments(signer, ids);
+            await project.connect(signer).commitApprovals(ids, commitments);
+            await time.increase(1801);
+            return project.connect(signer).approveBatch(role, ids, nonces);
+        }
+
+        return { project, secretary, committee1, committee2, finance, makeCommitments, batchApprove };
+    }
+
+    it("Should commit and reveal approvals for many requests at once", async function () {
+        const { project, secretary, committee1, batchApprove } = await loadFixture(deployFixture);
+
+        await batchApprove(secretary, await project.SECRETARY_ROLE(), [0, 1, 2]);
+        for (const id of [0, 1, 2]) {
+            expect((await project.getRequest(id)).status).to.equal(Status.SecretaryApproved);
+        }
+
+        await batchApprove(committee1, await project.COMMITTEE_ROLE(), [0, 1, 2]);
+        for (const id of [0, 1, 2]) {
+            expect((await project.getRequest(id)).approvalInfo.committeeApprover).to.equal(committee1.address);
+        }
+    });
+
+    it("Should report failing items without reverting the batch", async function () {
+        const { project, secretary, finance, makeCommitments } = await loadFixture(deployFixture);
+        const SECRETARY_ROLE = await project.SECRETARY_ROLE();
+
+        // Finance cannot commit for requests waiting on the secretary
+        const financeBatch = makeCommitments(finance, [0]);
+        await expect(project.connect(finance).commitApprovals([0], financeBatch.commitments))
+            .to.emit(project, "BatchItemFailed")
+            .withArgs(0, project.interface.getFunction("commitApproval").selector, project.interface.encodeErrorResult("UnauthorizedApprover", []));
+
+        const { nonces, commitments } = makeCommitments(secretary, [0, 1, 2]);
+        await project.connect(secretary).commitApprovals([0, 2], [commitments[0], commitments[2]]);
+        await time.increase(1801);
+
+        const ids = [0, 1, 2];
+        const results = await project.connect(secretary).approveBatch.staticCall(SECRETARY_ROLE, ids, nonces);
+        expect(results).to.deep.equal([true, false, true]);
+
+        await expect(project.connect(secretary).approveBatch(SECRETARY_ROLE, ids, nonces))
+            .to.emit(project, "BatchItemFailed");
+        expect((await project.getRequest(0)).status).to.equal(Status.SecretaryApproved);
+        expect((await project.getRequest(1)).status).to.equal(0);
+        expect((await project.getRequest(2)).status).to.equal(Status.SecretaryApproved);
+    });
+
+    it("Should bound and validate batch input", async function () {
+        const { project, secretary } = await loadFixture(deployFixture);
+
+        await expect(project.connect(secretary).commitApprovals([], []))
+            .to.be.revertedWithCustomError(project, "ArrayLengthExceeded");
+        await expect(project.connect(secretary).commitApprovals([0, 1], [ethers.ZeroHash]))
+            .to.be.revertedWithCustomError(project, "ArrayLengthMismatch");
+        await expect(project.connect(secretary).approveBatch(await project.REQUESTER_ROLE(), [0], [1]))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+    });
+});
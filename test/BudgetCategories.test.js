@@ -0,0 +1,132 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Budget Categories", function () {
+    const TRAVEL = ethers.encodeBytes32String("TRAVEL");
+    const EQUIPMENT = ethers.encodeBytes32String("EQUIPMENT");
+    const PER_DIEM = ethers.encodeBytes32String("PER_DIEM");
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, recipient1, recipient2] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-CATEGORY-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("10000"));
+
+        await project.connect(admin).setBudgetCategory(TRAVEL, ethers.parseEther("3000"));
+        await project.connect(admin).setBudgetCategory(EQUIPMENT, ethers.parseEther("5000"));
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        async function approveFully(requestId) {
+            await commitAndReveal(secretary, "approveBySecretary", requestId);
+            await commitAndReveal(committee1, "approveByCommittee", requestId);
+            await commitAndReveal(finance, "approveByFinance", requestId);
+            for (const member of [committee2, committee3, committee4]) {
+                await commitAndReveal(member, "approveByCommitteeAdditional", requestId);
+            }
+            return commitAndReveal(director, "approveByDirector", requestId);
+        }
+
+        return { project, omthbToken, admin, requester, recipient1, recipient2, approveFully };
+    }
+
+    it("Should configure categories within the project budget", async function () {
+        const { project, admin } = await loadFixture(deployFixture);
+
+        expect(await project.getBudgetCategoryIds()).to.deep.equal([TRAVEL, EQUIPMENT]);
+        expect(await project.getCategoryRemainingBudget(TRAVEL)).to.equal(ethers.parseEther("3000"));
+
+        await expect(project.connect(admin).setBudgetCategory(PER_DIEM, ethers.parseEther("2001")))
+            .to.be.revertedWithCustomError(project, "InsufficientBudget");
+        await expect(project.connect(admin).setBudgetCategory(PER_DIEM, ethers.parseEther("2000")))
+            .to.emit(project, "BudgetCategoryUpdated")
+            .withArgs(PER_DIEM, 0, ethers.parseEther("2000"));
+
+        // The project budget cannot shrink below the category caps; timelocked calls come from the project
+        const timelock = await ethers.getImpersonatedSigner(await project.getAddress());
+        await setBalance(timelock.address, ethers.parseEther("1"));
+        await expect(project.connect(timelock).updateBudgetWithReason(ethers.parseEther("9000"), "Cut"))
+            .to.be.revertedWithCustomError(project, "BudgetBelowCategoryCaps");
+    });
+
+    it("Should require categories once they are configured", async function () {
+        const { project, requester, recipient1 } = await loadFixture(deployFixture);
+
+        await expect(project.connect(requester).createRequest(recipient1.address, ethers.parseEther("100"), "Taxi", "QmDoc"))
+            .to.be.revertedWithCustomError(project, "CategoryRequired");
+        await expect(project.connect(requester).createRequestWithCategories(
+            [recipient1.address], [ethers.parseEther("100")], [PER_DIEM], "Meals", "QmDoc", ethers.ZeroAddress
+        )).to.be.revertedWithCustomError(project, "UnknownCategory");
+    });
+
+    it("Should check lines sharing a category against its cap together", async function () {
+        const { project, requester, recipient1, recipient2 } = await loadFixture(deployFixture);
+
+        await expect(project.connect(requester).createRequestWithCategories(
+            [recipient1.address, recipient2.address],
+            [ethers.parseEther("2000"), ethers.parseEther("1500")],
+            [TRAVEL, TRAVEL],
+            "Conference trip", "QmDoc", ethers.ZeroAddress
+        )).to.be.revertedWithCustomError(project, "CategoryBudgetExceeded");
+
+        await expect(project.connect(requester).createRequestWithCategories(
+            [recipient1.address, recipient2.address],
+            [ethers.parseEther("2000"), ethers.parseEther("1500")],
+            [TRAVEL, EQUIPMENT],
+            "Trip and laptop", "QmDoc", ethers.ZeroAddress
+        )).to.emit(project, "RequestCategoriesAssigned").withArgs(0, [TRAVEL, EQUIPMENT]);
+
+        expect(await project.getRequestLineCategories(0)).to.deep.equal([TRAVEL, EQUIPMENT]);
+    });
+
+    it("Should track category spending through distribution", async function () {
+        const { project, omthbToken, admin, requester, recipient1, recipient2, approveFully } = await loadFixture(deployFixture);
+
+        await project.connect(requester).createRequestWithCategories(
+            [recipient1.address, recipient2.address],
+            [ethers.parseEther("1000"), ethers.parseEther("4000")],
+            [TRAVEL, EQUIPMENT],
+            "Trip and equipment", "QmDoc", ethers.ZeroAddress
+        );
+        await approveFully(0);
+
+        expect(await omthbToken.balanceOf(recipient2.address)).to.equal(ethers.parseEther("4000"));
+
+        const travel = await project.budgetCategories(TRAVEL);
+        expect(travel.distributed).to.equal(ethers.parseEther("1000"));
+        expect(travel.locked).to.equal(0);
+        expect(await project.getCategoryRemainingBudget(TRAVEL)).to.equal(ethers.parseEther("2000"));
+        expect(await project.getCategoryRemainingBudget(EQUIPMENT)).to.equal(ethers.parseEther("1000"));
+
+        // Caps cannot be lowered below what was already spent
+        await expect(project.connect(admin).setBudgetCategory(EQUIPMENT, ethers.parseEther("3999")))
+            .to.be.revertedWithCustomError(project, "InvalidAmount");
+    });
+});
@@ -0,0 +1,151 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Budget Change Proposals", function () {
+    const Stage = { Finance: 2, Director: 4 };
+    const ChangeStatus = { Proposed: 0, FinanceApproved: 1, Executed: 2, Cancelled: 3 };
+    const types = {
+        BudgetChangeApproval: [
+            { name: "proposalId", type: "uint256" },
+            { name: "stage", type: "uint8" },
+            { name: "deadline", type: "uint256" }
+        ]
+    };
+
+    async function deployFixture() {
+        const [factory, admin, finance, director, requester, relayer] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-BUDGET-001", await omthbToken.getAddress(), 0, admin.address);
+
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        // The initial allocation goes through the timelock queue
+        const target = await project.getAddress();
+        const data = project.interface.encodeFunctionData("updateBudgetWithReason", [ethers.parseEther("10000"), "Initial allocation"]);
+        const receipt = await (await project.connect(admin).queueTimelockOperation(target, data)).wait();
+        const queued = receipt.logs
+            .map(log => { try { return project.interface.parseLog(log); } catch (e) { return null; } })
+            .find(log => log && log.name === "TimelockOperationQueued");
+        await time.increase(2 * 24 * 60 * 60);
+        await project.connect(admin).executeTimelockOperation(queued.args.operationId, target, data);
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = {
+            name: "ProjectReimbursement",
+            version: "1",
+            chainId,
+            verifyingContract: await project.getAddress()
+        };
+
+        async function sign(signer, proposalId, stage) {
+            const deadline = (await time.latest()) + 3600;
+            const signature = await signer.signTypedData(domain, types, { proposalId, stage, deadline });
+            return [proposalId, deadline, signature];
+        }
+
+        return { project, admin, finance, director, requester, relayer, sign };
+    }
+
+    it("Should execute a proposal after finance and director approval", async function () {
+        const { project, finance, director, requester, relayer, sign } = await loadFixture(deployFixture);
+
+        await expect(project.connect(requester).proposeBudgetChange(ethers.parseEther("15000"), "Second phase", "QmPlan"))
+            .to.emit(project, "BudgetChangeProposed")
+            .withArgs(1, requester.address, ethers.parseEther("15000"), "Second phase", "QmPlan");
+        expect(await project.projectBudget()).to.equal(ethers.parseEther("10000"));
+
+        await expect(project.connect(relayer).approveBudgetChange(...(await sign(finance, 1, Stage.Finance))))
+            .to.emit(project, "BudgetChangeApproved").withArgs(1, finance.address, Stage.Finance);
+        expect(await project.projectBudget()).to.equal(ethers.parseEther("10000"));
+
+        await expect(project.connect(relayer).approveBudgetChange(...(await sign(director, 1, Stage.Director))))
+            .to.emit(project, "BudgetChangeExecuted")
+            .withArgs(1, ethers.parseEther("10000"), ethers.parseEther("15000"));
+        expect(await project.projectBudget()).to.equal(ethers.parseEther("15000"));
+
+        const change = await project.getBudgetChange(1);
+        expect(change.status).to.equal(ChangeStatus.Executed);
+        expect(change.financeApprover).to.equal(finance.address);
+        expect(change.directorApprover).to.equal(director.address);
+        expect(change.reason).to.equal("Second phase");
+    });
+
+    it("Should update directly through the timelock or admin and keep it in the history", async function () {
+        const { project, admin, requester } = await loadFixture(deployFixture);
+
+        expect(await project.getBudgetChangeCount()).to.equal(1);
+        const change = await project.getBudgetChange(0);
+        expect(change.proposer).to.equal(await project.getAddress());
+        expect(change.oldBudget).to.equal(0);
+        expect(change.newBudget).to.equal(ethers.parseEther("10000"));
+        expect(change.reason).to.equal("Initial allocation");
+        expect(change.status).to.equal(ChangeStatus.Executed);
+
+        await expect(project.connect(requester).updateBudget(ethers.parseEther("20000")))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(admin).updateBudgetWithReason(ethers.parseEther("20000"), ""))
+            .to.be.revertedWithCustomError(project, "InvalidDescription");
+
+        await expect(project.connect(admin).updateBudget(ethers.parseEther("20000")))
+            .to.emit(project, "BudgetChangeExecuted")
+            .withArgs(1, ethers.parseEther("10000"), ethers.parseEther("20000"));
+        const direct = await project.getBudgetChange(1);
+        expect(direct.proposer).to.equal(admin.address);
+        expect(direct.reason).to.equal("Direct budget update");
+        expect(direct.status).to.equal(ChangeStatus.Executed);
+    });
+
+    it("Should require the right signer for each stage", async function () {
+        const { project, admin, finance, director, requester, relayer, sign } = await loadFixture(deployFixture);
+        await project.connect(admin).proposeBudgetChange(ethers.parseEther("12000"), "Extra equipment", "QmQuote");
+
+        await expect(project.connect(relayer).approveBudgetChange(...(await sign(director, 1, Stage.Finance))))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(relayer).approveBudgetChange(...(await sign(finance, 1, Stage.Director))))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+
+        const [, pastDeadline, signature] = await sign(finance, 1, Stage.Finance);
+        await time.increase(3601);
+        await expect(project.connect(relayer).approveBudgetChange(1, pastDeadline, signature))
+            .to.be.revertedWithCustomError(project, "SignatureExpired");
+
+        await expect(project.connect(relayer).proposeBudgetChange(ethers.parseEther("12000"), "Nope", "QmDoc"))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(requester).proposeBudgetChange(ethers.parseEther("12000"), "", "QmDoc"))
+            .to.be.revertedWithCustomError(project, "InvalidDescription");
+    });
+
+    it("Should reject a proposer approving their own proposal", async function () {
+        const { project, finance, relayer, sign } = await loadFixture(deployFixture);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), finance.address);
+        await project.connect(finance).proposeBudgetChange(ethers.parseEther("12000"), "Extra equipment", "QmQuote");
+
+        await expect(project.connect(relayer).approveBudgetChange(...(await sign(finance, 1, Stage.Finance))))
+            .to.be.revertedWithCustomError(project, "ConflictOfInterest")
+            .withArgs(finance.address);
+    });
+
+    it("Should let the proposer cancel before execution", async function () {
+        const { project, finance, requester, relayer, sign } = await loadFixture(deployFixture);
+        await project.connect(requester).proposeBudgetChange(ethers.parseEther("12000"), "Extra equipment", "QmQuote");
+        await project.connect(relayer).approveBudgetChange(...(await sign(finance, 1, Stage.Finance)));
+
+        await expect(project.connect(relayer).cancelBudgetChange(1))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(requester).cancelBudgetChange(1))
+            .to.emit(project, "BudgetChangeCancelled").withArgs(1, requester.address);
+
+        expect((await project.getBudgetChange(1)).status).to.equal(ChangeStatus.Cancelled);
+        await expect(project.connect(requester).cancelBudgetChange(1))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+    });
+});
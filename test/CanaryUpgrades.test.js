@@ -0,0 +1,111 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Canary Beacon Upgrades", function () {
+    const CREATOR_ROLE = ethers.id("PROJECT_CREATOR_ROLE");
+
+    async function deployFixture() {
+        const [director, projectAdmin, outsider] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+
+        const modules = await deployProjectModules();
+        const implementation = await ProjectReimbursement.deploy(modules);
+        const canaryImplementation = await ProjectReimbursement.deploy(modules);
+
+        const BeaconFactory = await ethers.getContractFactory("BeaconProjectFactoryOptimized");
+        const factory = await BeaconFactory.deploy(
+            await implementation.getAddress(),
+            await omthbToken.getAddress(),
+            director.address
+        );
+        await factory.grantRole(CREATOR_ROLE, director.address);
+
+        for (const id of ["PROJ-1", "PROJ-2", "PROJ-3"]) {
+            await factory.createProject(id, projectAdmin.address);
+        }
+
+        return { factory, ProjectReimbursement, modules, implementation, canaryImplementation, projectAdmin, outsider };
+    }
+
+    it("Should roll a new implementation out to canary projects only", async function () {
+        const { factory, ProjectReimbursement, implementation, canaryImplementation, outsider } = await loadFixture(deployFixture);
+        const canaryAddress = await canaryImplementation.getAddress();
+
+        await expect(factory.connect(outsider).deployBeacon(canaryAddress)).to.be.reverted;
+        await expect(factory.deployBeacon(canaryAddress)).to.emit(factory, "BeaconDeployed");
+        expect(await factory.getBeaconCount()).to.equal(2);
+
+        await expect(factory.migrateProjects(["PROJ-2"], 1))
+            .to.emit(factory, "ProjectMigrated").withArgs("PROJ-2", 0, 1);
+
+        const canary = await factory.getProjectVersion("PROJ-2");
+        expect(canary.beaconId).to.equal(1);
+        expect(canary.impl).to.equal(canaryAddress);
+        expect(canary.canRollback).to.be.true;
+
+        const stable = await factory.getProjectVersion("PROJ-1");
+        expect(stable.beaconId).to.equal(0);
+        expect(stable.impl).to.equal(await implementation.getAddress());
+        expect(stable.canRollback).to.be.false;
+
+        expect(await factory.beaconProjectCount(0)).to.equal(2);
+        expect(await factory.beaconProjectCount(1)).to.equal(1);
+
+        // The migrated proxy keeps its state while running the canary implementation
+        const project = ProjectReimbursement.attach((await factory.projects("PROJ-2")).contractAddr);
+        expect(await project.projectId()).to.equal("PROJ-2");
+    });
+
+    it("Should roll a canary project back to its previous beacon", async function () {
+        const { factory, implementation, canaryImplementation } = await loadFixture(deployFixture);
+
+        await factory.deployBeacon(await canaryImplementation.getAddress());
+        await factory.migrateProjects(["PROJ-1", "PROJ-3"], 1);
+
+        await expect(factory.rollbackProjects(["PROJ-3"]))
+            .to.emit(factory, "ProjectMigrated").withArgs("PROJ-3", 1, 0);
+        expect((await factory.getProjectVersion("PROJ-3")).impl).to.equal(await implementation.getAddress());
+        expect((await factory.getProjectVersion("PROJ-1")).beaconId).to.equal(1);
+
+        await expect(factory.rollbackProjects(["PROJ-2"])).to.be.revertedWithCustomError(factory, "E08");
+        await expect(factory.migrateProjects(["PROJ-1"], 1)).to.be.revertedWithCustomError(factory, "E08");
+        await expect(factory.migrateProjects(["PROJ-1"], 2)).to.be.revertedWithCustomError(factory, "E08");
+        await expect(factory.migrateProjects(["PROJ-X"], 0)).to.be.revertedWithCustomError(factory, "E02");
+    });
+
+    it("Should only upgrade projects on the default beacon", async function () {
+        const { factory, ProjectReimbursement, modules, canaryImplementation } = await loadFixture(deployFixture);
+        const patched = await ProjectReimbursement.deploy(modules);
+
+        await factory.deployBeacon(await canaryImplementation.getAddress());
+        await factory.migrateProjects(["PROJ-2"], 1);
+
+        await expect(factory.upgradeBeacon(await patched.getAddress()))
+            .to.emit(factory, "BeaconUpgraded").withArgs(0, await patched.getAddress());
+        expect((await factory.getProjectVersion("PROJ-1")).impl).to.equal(await patched.getAddress());
+        expect((await factory.getProjectVersion("PROJ-2")).impl).to.equal(await canaryImplementation.getAddress());
+    });
+
+    it("Should create new projects on the promoted beacon", async function () {
+        const { factory, ProjectReimbursement, canaryImplementation, projectAdmin } = await loadFixture(deployFixture);
+
+        await factory.deployBeacon(await canaryImplementation.getAddress());
+        await expect(factory.setDefaultBeacon(2)).to.be.revertedWithCustomError(factory, "E08");
+        await expect(factory.setDefaultBeacon(1)).to.emit(factory, "DefaultBeaconUpdated").withArgs(1);
+
+        await factory.createProject("PROJ-4", projectAdmin.address);
+        const version = await factory.getProjectVersion("PROJ-4");
+        expect(version.beaconId).to.equal(1);
+        expect(version.canRollback).to.be.false;
+        expect(await factory.implementation()).to.equal(await canaryImplementation.getAddress());
+
+        const project = ProjectReimbursement.attach((await factory.projects("PROJ-4")).contractAddr);
+        expect(await project.projectId()).to.equal("PROJ-4");
+    });
+});
@@ -0,0 +1,165 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Cash Advances", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, traveller, outsider] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-ADVANCE-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("10000"));
+
+        await project.connect(requester).createAdvanceRequest(traveller.address, ethers.parseEther("500"), "Conference travel", "QmTrip");
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        async function approveFully(requestId) {
+            await commitAndReveal(secretary, "approveBySecretary", requestId);
+            await commitAndReveal(committee1, "approveByCommittee", requestId);
+            await commitAndReveal(finance, "approveByFinance", requestId);
+            for (const member of [committee2, committee3, committee4]) {
+                await commitAndReveal(member, "approveByCommitteeAdditional", requestId);
+            }
+            return commitAndReveal(director, "approveByDirector", requestId);
+        }
+
+        return { project, omthbToken, admin, director, requester, traveller, outsider, commitAndReveal, approveFully };
+    }
+
+    it("Should pay the advance up front and track it as outstanding", async function () {
+        const { project, omthbToken, traveller, approveFully } = await loadFixture(deployFixture);
+
+        await expect(approveFully(0)).to.emit(project, "AdvanceOpened");
+        expect(await omthbToken.balanceOf(traveller.address)).to.equal(ethers.parseEther("500"));
+
+        const advance = await project.getAdvance(0);
+        expect(advance.isAdvance).to.be.true;
+        expect(advance.settlementDeadline).to.equal((await time.latest()) + 30 * DAY);
+
+        const [outstanding, overdue] = await project.getOutstandingAdvances(traveller.address);
+        expect(outstanding).to.equal(ethers.parseEther("500"));
+        expect(overdue).to.be.false;
+    });
+
+    it("Should settle with receipts and return the unused portion", async function () {
+        const { project, omthbToken, traveller, approveFully } = await loadFixture(deployFixture);
+        await approveFully(0);
+
+        await omthbToken.connect(traveller).approve(await project.getAddress(), ethers.parseEther("150"));
+        await expect(project.connect(traveller).settleAdvance(
+            0, ["QmHotel", "QmTaxi"], [ethers.parseEther("300"), ethers.parseEther("50")]
+        ))
+            .to.emit(project, "AdvanceSettled")
+            .withArgs(0, traveller.address, ethers.parseEther("350"), ethers.parseEther("150"));
+
+        expect(await omthbToken.balanceOf(traveller.address)).to.equal(ethers.parseEther("350"));
+        expect(await project.totalDistributed()).to.equal(ethers.parseEther("350"));
+        expect(await project.getRemainingBudget()).to.equal(ethers.parseEther("9650"));
+
+        const advance = await project.getAdvance(0);
+        expect(advance.settled).to.be.true;
+        expect(advance.receiptDocuments).to.deep.equal(["QmHotel", "QmTaxi"]);
+        expect((await project.getOutstandingAdvances(traveller.address)).outstanding).to.equal(0);
+
+        await expect(project.connect(traveller).settleAdvance(0, [], []))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+    });
+
+    it("Should give the unused portion back to the fiscal period of the payout", async function () {
+        const { project, omthbToken, admin, traveller, approveFully } = await loadFixture(deployFixture);
+        const start = await time.latest();
+        await project.connect(admin).addFiscalPeriod(start, start + 20 * DAY, ethers.parseEther("1000"), false);
+        await project.connect(admin).addFiscalPeriod(start + 20 * DAY, start + 40 * DAY, ethers.parseEther("1000"), false);
+
+        await approveFully(0);
+        expect((await project.getFiscalPeriod(0))[0].distributed).to.equal(ethers.parseEther("500"));
+
+        // Settled in the next period, the unused 150 goes back to the first
+        await time.increaseTo(start + 20 * DAY);
+        await omthbToken.connect(traveller).approve(await project.getAddress(), ethers.parseEther("150"));
+        await project.connect(traveller).settleAdvance(0, ["QmHotel"], [ethers.parseEther("350")]);
+
+        const [first, firstAvailable] = await project.getFiscalPeriod(0);
+        expect(first.distributed).to.equal(ethers.parseEther("350"));
+        expect(firstAvailable).to.equal(ethers.parseEther("650"));
+        expect((await project.getFiscalPeriod(1))[0].distributed).to.equal(0);
+    });
+
+    it("Should block new advances while one is overdue", async function () {
+        const { project, requester, traveller, approveFully } = await loadFixture(deployFixture);
+        await approveFully(0);
+        await time.increase(31 * DAY);
+
+        expect((await project.getOutstandingAdvances(traveller.address)).overdue).to.be.true;
+        await expect(project.connect(requester).createAdvanceRequest(traveller.address, ethers.parseEther("200"), "Second trip", "QmTrip2"))
+            .to.be.revertedWithCustomError(project, "AdvanceOverdue")
+            .withArgs(traveller.address);
+
+        // Ordinary reimbursements are unaffected
+        await project.connect(requester).createRequest(traveller.address, ethers.parseEther("200"), "Books", "QmBooks");
+
+        await project.connect(traveller).settleAdvance(0, ["QmHotel"], [ethers.parseEther("500")]);
+        await project.connect(requester).createAdvanceRequest(traveller.address, ethers.parseEther("200"), "Second trip", "QmTrip2");
+    });
+
+    it("Should not pay an advance approved after another became overdue", async function () {
+        const { project, director, requester, traveller, commitAndReveal, approveFully } = await loadFixture(deployFixture);
+        await approveFully(0);
+
+        // Created while nothing was overdue
+        await project.connect(requester).createAdvanceRequest(traveller.address, ethers.parseEther("200"), "Second trip", "QmTrip2");
+        await time.increase(31 * DAY);
+
+        await expect(approveFully(1))
+            .to.be.revertedWithCustomError(project, "AdvanceOverdue")
+            .withArgs(traveller.address);
+
+        await project.connect(traveller).settleAdvance(0, ["QmHotel"], [ethers.parseEther("500")]);
+        await expect(commitAndReveal(director, "approveByDirector", 1)).to.emit(project, "AdvanceOpened");
+    });
+
+    it("Should validate settlements", async function () {
+        const { project, traveller, outsider, approveFully } = await loadFixture(deployFixture);
+
+        await expect(project.connect(traveller).settleAdvance(0, [], []))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+
+        await approveFully(0);
+        await expect(project.connect(outsider).settleAdvance(0, [], []))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(traveller).settleAdvance(0, ["QmHotel"], [ethers.parseEther("600")]))
+            .to.be.revertedWithCustomError(project, "InvalidAmount");
+        await expect(project.connect(traveller).settleAdvance(0, ["QmHotel"], []))
+            .to.be.revertedWithCustomError(project, "ArrayLengthMismatch");
+        await expect(project.connect(traveller).settleAdvance(0, ["QmHotel"], [ethers.parseEther("100")]))
+            .to.be.reverted;
+    });
+});
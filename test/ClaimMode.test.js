@@ -0,0 +1,110 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Pull-Payment Claim Mode", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, recipient1, recipient2, relayer, replacement] = await ethers.getSigners();
+
+        // Token with a blacklist so a recipient can be blocked
+        const OMTHB = await ethers.getContractFactory("contracts/mocks/OMTHB.sol:OMTHB");
+        const omthbToken = await OMTHB.deploy("OMTHB", "OMTHB", 0);
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-CLAIM-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("10000"));
+
+        await project.connect(requester).createRequestMultiple(
+            [recipient1.address, recipient2.address],
+            [ethers.parseEther("300"), ethers.parseEther("200")],
+            "Field trip", "QmDoc", ethers.ZeroAddress
+        );
+        await omthbToken.blacklist(recipient2.address);
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        async function approveFully(requestId) {
+            await commitAndReveal(secretary, "approveBySecretary", requestId);
+            await commitAndReveal(committee1, "approveByCommittee", requestId);
+            await commitAndReveal(finance, "approveByFinance", requestId);
+            for (const member of [committee2, committee3, committee4]) {
+                await commitAndReveal(member, "approveByCommitteeAdditional", requestId);
+            }
+            return commitAndReveal(director, "approveByDirector", requestId);
+        }
+
+        return { project, omthbToken, admin, finance, recipient1, recipient2, relayer, replacement, approveFully };
+    }
+
+    it("Should revert the whole payout for a blocked recipient without claim mode", async function () {
+        const { approveFully } = await loadFixture(deployFixture);
+
+        await expect(approveFully(0)).to.be.revertedWith("Account is blacklisted");
+    });
+
+    it("Should credit recipients and let them claim independently", async function () {
+        const { project, omthbToken, admin, recipient1, recipient2, relayer, approveFully } = await loadFixture(deployFixture);
+
+        await expect(project.connect(admin).setClaimMode(true))
+            .to.emit(project, "ClaimModeUpdated").withArgs(true);
+
+        await expect(approveFully(0))
+            .to.emit(project, "ClaimCredited").withArgs(0, recipient2.address, ethers.parseEther("200"));
+        expect((await project.getRequest(0)).status).to.equal(5);
+        expect(await project.totalClaimable()).to.equal(ethers.parseEther("500"));
+        expect(await project.getAvailableBalance()).to.equal(ethers.parseEther("9500"));
+
+        // A relayer can claim on the recipient's behalf; funds go to the recipient
+        await expect(project.connect(relayer).claimFor(recipient1.address))
+            .to.emit(project, "Claimed").withArgs(recipient1.address, relayer.address, ethers.parseEther("300"));
+        expect(await omthbToken.balanceOf(recipient1.address)).to.equal(ethers.parseEther("300"));
+
+        await expect(project.connect(recipient1).claim()).to.be.revertedWithCustomError(project, "NothingToClaim");
+        await expect(project.connect(recipient2).claim()).to.be.revertedWith("Account is blacklisted");
+        expect((await project.claimableCredits(recipient2.address)).amount).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should let finance redirect a stuck credit after the timeout", async function () {
+        const { project, omthbToken, admin, finance, recipient1, recipient2, replacement, approveFully } = await loadFixture(deployFixture);
+
+        await project.connect(admin).setClaimMode(true);
+        await approveFully(0);
+
+        await expect(project.connect(finance).redirectClaim(recipient2.address, replacement.address))
+            .to.be.revertedWithCustomError(project, "ClaimRedirectTooEarly");
+        await expect(project.connect(recipient1).redirectClaim(recipient2.address, replacement.address))
+            .to.be.revertedWithCustomError(project, "AccessControlUnauthorizedAccount");
+
+        await time.increase(30 * DAY);
+        await expect(project.connect(finance).redirectClaim(recipient2.address, replacement.address))
+            .to.emit(project, "ClaimRedirected")
+            .withArgs(recipient2.address, replacement.address, finance.address, ethers.parseEther("200"));
+
+        expect(await omthbToken.balanceOf(replacement.address)).to.equal(ethers.parseEther("200"));
+        expect(await project.totalClaimable()).to.equal(ethers.parseEther("300"));
+    });
+});
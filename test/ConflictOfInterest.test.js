@@ -0,0 +1,86 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Conflict of Interest", function () {
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, finance, requester, recipient] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-COI-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        // Small team: the requester is also the secretary, the recipient sits on the committee
+        const SECRETARY_ROLE = await project.SECRETARY_ROLE();
+        const COMMITTEE_ROLE = await project.COMMITTEE_ROLE();
+        await project.grantRoleDirect(SECRETARY_ROLE, secretary.address);
+        await project.grantRoleDirect(SECRETARY_ROLE, requester.address);
+        await project.grantRoleDirect(COMMITTEE_ROLE, committee1.address);
+        await project.grantRoleDirect(COMMITTEE_ROLE, committee2.address);
+        await project.grantRoleDirect(COMMITTEE_ROLE, recipient.address);
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("500"), "Travel", "QmDoc");
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        return { project, admin, secretary, committee1, committee2, finance, requester, recipient, commitAndReveal };
+    }
+
+    it("Should stop the requester from approving their own request", async function () {
+        const { project, requester, commitAndReveal } = await loadFixture(deployFixture);
+
+        await expect(commitAndReveal(requester, "approveBySecretary", 0))
+            .to.be.revertedWithCustomError(project, "ConflictOfInterest")
+            .withArgs(requester.address);
+    });
+
+    it("Should stop a recipient from approving", async function () {
+        const { project, secretary, recipient, commitAndReveal } = await loadFixture(deployFixture);
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        await expect(commitAndReveal(recipient, "approveByCommittee", 0))
+            .to.be.revertedWithCustomError(project, "ConflictOfInterest")
+            .withArgs(recipient.address);
+    });
+
+    it("Should stop one account from approving two stages", async function () {
+        const { project, secretary, committee1, committee2, finance, commitAndReveal } = await loadFixture(deployFixture);
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        await commitAndReveal(committee1, "approveByCommittee", 0);
+        await commitAndReveal(finance, "approveByFinance", 0);
+
+        await expect(commitAndReveal(committee1, "approveByCommitteeAdditional", 0))
+            .to.be.revertedWithCustomError(project, "ConflictOfInterest")
+            .withArgs(committee1.address);
+        await commitAndReveal(committee2, "approveByCommitteeAdditional", 0);
+    });
+
+    it("Should let exempted accounts approve", async function () {
+        const { project, admin, requester, commitAndReveal } = await loadFixture(deployFixture);
+
+        await expect(project.connect(admin).setConflictExemption(requester.address, true))
+            .to.emit(project, "ConflictExemptionUpdated")
+            .withArgs(requester.address, true);
+
+        await commitAndReveal(requester, "approveBySecretary", 0);
+        expect((await project.getRequest(0)).approvalInfo.secretaryApprover).to.equal(requester.address);
+    });
+});
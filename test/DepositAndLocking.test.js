@@ -0,0 +1,110 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Deposit and Fund Locking", function () {
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, recipient, depositor] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        // The deploying signer acts as the project factory
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-DEPOSIT-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(depositor.address, ethers.parseEther("10000"));
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        async function approveUntilDirector(requestId) {
+            await commitAndReveal(secretary, "approveBySecretary", requestId);
+            await commitAndReveal(committee1, "approveByCommittee", requestId);
+            await commitAndReveal(finance, "approveByFinance", requestId);
+            for (const member of [committee2, committee3, committee4]) {
+                await commitAndReveal(member, "approveByCommitteeAdditional", requestId);
+            }
+        }
+
+        return { project, omthbToken, admin, director, requester, recipient, depositor, commitAndReveal, approveUntilDirector };
+    }
+
+    describe("Deposits", function () {
+        it("Should record deposits and transfer tokens", async function () {
+            const { project, omthbToken, depositor } = await loadFixture(deployFixture);
+            const amount = ethers.parseEther("1000");
+
+            await omthbToken.connect(depositor).approve(await project.getAddress(), amount);
+            await expect(project.connect(depositor).depositOMTHB(amount))
+                .to.emit(project, "OMTHBDeposited")
+                .withArgs(depositor.address, amount, amount);
+
+            expect(await project.totalDeposited()).to.equal(amount);
+            expect(await project.depositorBalances(depositor.address)).to.equal(amount);
+            expect(await project.getContractBalance()).to.equal(amount);
+            expect(await project.getAvailableBalance()).to.equal(amount);
+        });
+
+        it("Should reject zero deposits", async function () {
+            const { project, depositor } = await loadFixture(deployFixture);
+
+            await expect(project.connect(depositor).depositOMTHB(0)).to.be.reverted;
+        });
+    });
+
+    describe("Locking", function () {
+        it("Should lock on director approval and release on distribution", async function () {
+            const { project, omthbToken, director, requester, recipient, depositor, commitAndReveal, approveUntilDirector } = await loadFixture(deployFixture);
+            const amount = ethers.parseEther("500");
+
+            await omthbToken.connect(depositor).approve(await project.getAddress(), ethers.parseEther("1000"));
+            await project.connect(depositor).depositOMTHB(ethers.parseEther("1000"));
+
+            await project.connect(requester).createRequest(recipient.address, amount, "Travel", "QmDoc");
+            await approveUntilDirector(0);
+
+            const tx = await commitAndReveal(director, "approveByDirector", 0);
+            await expect(tx).to.emit(project, "FundsLocked").withArgs(0, amount, amount);
+            await expect(tx).to.emit(project, "FundsUnlocked").withArgs(0, amount, 0);
+
+            expect(await project.getLockedAmount()).to.equal(0);
+            expect(await project.lockedAmounts(0)).to.equal(0);
+            expect(await omthbToken.balanceOf(recipient.address)).to.equal(amount);
+            expect(await project.getAvailableBalance()).to.equal(ethers.parseEther("500"));
+        });
+
+        it("Should refuse director approval when available balance is insufficient", async function () {
+            const { project, omthbToken, director, requester, recipient, depositor, commitAndReveal, approveUntilDirector } = await loadFixture(deployFixture);
+
+            await omthbToken.connect(depositor).approve(await project.getAddress(), ethers.parseEther("100"));
+            await project.connect(depositor).depositOMTHB(ethers.parseEther("100"));
+
+            await project.connect(requester).createRequest(recipient.address, ethers.parseEther("500"), "Equipment", "QmDoc");
+            await approveUntilDirector(0);
+
+            await expect(commitAndReveal(director, "approveByDirector", 0))
+                .to.be.revertedWithCustomError(project, "InsufficientAvailableBalance");
+        });
+    });
+});
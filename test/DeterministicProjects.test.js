@@ -0,0 +1,54 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Deterministic Project Addresses", function () {
+    const CREATOR_ROLE = ethers.id("PROJECT_CREATOR_ROLE");
+
+    async function deployFixture() {
+        const [director, projectAdmin] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const implementation = await ProjectReimbursement.deploy(await deployProjectModules());
+
+        const ProjectFactory = await ethers.getContractFactory("ProjectFactoryOptimized");
+        const factory = await ProjectFactory.deploy(
+            await implementation.getAddress(),
+            await omthbToken.getAddress(),
+            director.address
+        );
+        await factory.grantRole(CREATOR_ROLE, director.address);
+
+        return { factory, omthbToken, ProjectReimbursement, projectAdmin };
+    }
+
+    it("Should deploy each project at its predicted address", async function () {
+        const { factory, projectAdmin } = await loadFixture(deployFixture);
+
+        const predicted = await factory.predictProjectAddress("PROJ-CREATE2");
+        expect(await factory.predictProjectAddress("PROJ-OTHER")).to.not.equal(predicted);
+        expect(await ethers.provider.getCode(predicted)).to.equal("0x");
+
+        await expect(factory.createProject("PROJ-CREATE2", projectAdmin.address))
+            .to.emit(factory, "ProjectCreated")
+            .withArgs("PROJ-CREATE2", predicted, await factory.runner.getAddress());
+        expect((await factory.projects("PROJ-CREATE2")).contractAddr).to.equal(predicted);
+    });
+
+    it("Should keep funds sent to the address before creation", async function () {
+        const { factory, omthbToken, ProjectReimbursement, projectAdmin } = await loadFixture(deployFixture);
+
+        const predicted = await factory.predictProjectAddress("PROJ-PREFUND");
+        await omthbToken.mint(predicted, ethers.parseEther("5000"));
+
+        await factory.createProject("PROJ-PREFUND", projectAdmin.address);
+        const project = ProjectReimbursement.attach(predicted);
+
+        expect(await project.projectId()).to.equal("PROJ-PREFUND");
+        expect(await project.getAvailableBalance()).to.equal(ethers.parseEther("5000"));
+    });
+});
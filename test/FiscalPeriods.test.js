@@ -0,0 +1,142 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Fiscal Periods", function () {
+    const MONTH = 30 * 24 * 60 * 60;
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, recipient] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-FISCAL-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("10000"));
+
+        const start = (await time.latest()) + 10;
+        await project.connect(admin).addFiscalPeriod(start, start + MONTH, ethers.parseEther("1000"), false);
+        await project.connect(admin).addFiscalPeriod(start + MONTH, start + 2 * MONTH, ethers.parseEther("1000"), true);
+        await time.increaseTo(start);
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        async function approveFully(requestId) {
+            await commitAndReveal(secretary, "approveBySecretary", requestId);
+            await commitAndReveal(committee1, "approveByCommittee", requestId);
+            await commitAndReveal(finance, "approveByFinance", requestId);
+            for (const member of [committee2, committee3, committee4]) {
+                await commitAndReveal(member, "approveByCommitteeAdditional", requestId);
+            }
+            return commitAndReveal(director, "approveByDirector", requestId);
+        }
+
+        return { project, admin, requester, recipient, start, approveFully };
+    }
+
+    it("Should validate period definitions", async function () {
+        const { project, admin, start } = await loadFixture(deployFixture);
+
+        expect(await project.getFiscalPeriodCount()).to.equal(2);
+        const [found, index] = await project.getCurrentFiscalPeriod();
+        expect(found).to.equal(true);
+        expect(index).to.equal(0);
+
+        // Overlaps the previous period
+        await expect(project.connect(admin).addFiscalPeriod(start + MONTH, start + 3 * MONTH, 0, false))
+            .to.be.revertedWithCustomError(project, "InvalidFiscalPeriod");
+        await expect(project.connect(admin).addFiscalPeriod(start + 3 * MONTH, start + 3 * MONTH, 0, false))
+            .to.be.revertedWithCustomError(project, "InvalidFiscalPeriod");
+        await expect(project.connect(admin).addFiscalPeriod(start + 2 * MONTH, start + 3 * MONTH, ethers.parseEther("20000"), false))
+            .to.be.revertedWithCustomError(project, "InsufficientBudget");
+    });
+
+    it("Should enforce the period cap at request creation", async function () {
+        const { project, requester, recipient } = await loadFixture(deployFixture);
+
+        await expect(project.connect(requester).createRequest(recipient.address, ethers.parseEther("1001"), "Travel", "QmDoc"))
+            .to.be.revertedWithCustomError(project, "FiscalPeriodBudgetExceeded");
+        await expect(project.connect(requester).createRequestMultiple(
+            [recipient.address], [ethers.parseEther("1000")], "Travel", "QmDoc", ethers.ZeroAddress
+        )).to.emit(project, "RequestCreated");
+    });
+
+    it("Should record spend per period and roll over unused budget", async function () {
+        const { project, requester, recipient, start, approveFully } = await loadFixture(deployFixture);
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("400"), "Travel", "QmDoc");
+        await approveFully(0);
+
+        let [period, available] = await project.getFiscalPeriod(0);
+        expect(period.distributed).to.equal(ethers.parseEther("400"));
+        expect(available).to.equal(ethers.parseEther("600"));
+
+        // The second period carries the unused 600 on top of its own 1000
+        await time.increaseTo(start + MONTH);
+        [period, available] = await project.getFiscalPeriod(1);
+        expect(available).to.equal(ethers.parseEther("1600"));
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("1500"), "Equipment", "QmDoc");
+        await approveFully(1);
+        [period, available] = await project.getFiscalPeriod(1);
+        expect(period.distributed).to.equal(ethers.parseEther("1500"));
+        expect(available).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should enforce the period cap again at distribution", async function () {
+        const { project, admin, requester, recipient, approveFully } = await loadFixture(deployFixture);
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("800"), "Travel", "QmDoc");
+        await project.connect(admin).updateFiscalPeriodCap(0, ethers.parseEther("500"));
+
+        await expect(approveFully(0)).to.be.revertedWithCustomError(project, "FiscalPeriodBudgetExceeded");
+    });
+
+    it("Should pay out approved requests between periods without charging a period", async function () {
+        const { project, admin, requester, recipient, start, approveFully } = await loadFixture(deployFixture);
+        await project.connect(admin).addFiscalPeriod(start + 3 * MONTH, start + 4 * MONTH, ethers.parseEther("1000"), false);
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("400"), "Travel", "QmDoc");
+
+        // The request was created in the first period; the approvals finish in the gap after the second
+        await time.increaseTo(start + 2 * MONTH);
+        expect((await project.getCurrentFiscalPeriod())[0]).to.equal(false);
+        await expect(approveFully(0)).to.emit(project, "FundsDistributed");
+
+        for (const index of [0, 1, 2]) {
+            const [period] = await project.getFiscalPeriod(index);
+            expect(period.distributed).to.equal(0);
+        }
+        expect(await project.totalDistributed()).to.equal(ethers.parseEther("400"));
+    });
+
+    it("Should block requests outside of any period", async function () {
+        const { project, requester, recipient, start } = await loadFixture(deployFixture);
+
+        await time.increaseTo(start + 2 * MONTH);
+        await expect(project.connect(requester).createRequest(recipient.address, ethers.parseEther("100"), "Travel", "QmDoc"))
+            .to.be.revertedWithCustomError(project, "NoActiveFiscalPeriod");
+    });
+});
@@ -0,0 +1,147 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Milestone Distribution", function () {
+    const Status = { Pending: 0, DirectorApproved: 4, Distributed: 5, Cancelled: 6, PartiallyDistributed: 8 };
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, recipient1, recipient2] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-MILESTONE-001", await omthbToken.getAddress(), ethers.parseEther("100000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("100000"));
+
+        await project.connect(requester).createRequestMultiple(
+            [recipient1.address, recipient2.address],
+            [ethers.parseEther("1000"), ethers.parseEther("333")],
+            "Lab construction", "QmContract", ethers.ZeroAddress
+        );
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        async function approveFully(requestId) {
+            await commitAndReveal(secretary, "approveBySecretary", requestId);
+            await commitAndReveal(committee1, "approveByCommittee", requestId);
+            await commitAndReveal(finance, "approveByFinance", requestId);
+            for (const member of [committee2, committee3, committee4]) {
+                await commitAndReveal(member, "approveByCommitteeAdditional", requestId);
+            }
+            return commitAndReveal(director, "approveByDirector", requestId);
+        }
+
+        return { project, omthbToken, secretary, finance, requester, recipient1, recipient2, approveFully, commitAndReveal };
+    }
+
+    it("Should validate the tranche schedule", async function () {
+        const { project, requester, secretary, commitAndReveal } = await loadFixture(deployFixture);
+
+        await expect(project.connect(requester).setRequestMilestones(0, [3000, 4000]))
+            .to.be.revertedWithCustomError(project, "InvalidMilestonePlan");
+        await expect(project.connect(requester).setRequestMilestones(0, [10000]))
+            .to.be.revertedWithCustomError(project, "InvalidMilestonePlan");
+        await expect(project.connect(secretary).setRequestMilestones(0, [5000, 5000]))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+
+        await expect(project.connect(requester).setRequestMilestones(0, [3000, 4000, 3000]))
+            .to.emit(project, "MilestonesConfigured")
+            .withArgs(0, [3000, 4000, 3000]);
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        await expect(project.connect(requester).setRequestMilestones(0, [5000, 5000]))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+    });
+
+    it("Should lock funds on final approval and release tranches on finance's call", async function () {
+        const { project, omthbToken, finance, requester, recipient1, recipient2, approveFully } = await loadFixture(deployFixture);
+
+        await project.connect(requester).setRequestMilestones(0, [3000, 4000, 3000]);
+        await expect(approveFully(0)).to.not.emit(project, "FundsDistributed");
+
+        expect((await project.getRequest(0)).status).to.equal(Status.DirectorApproved);
+        expect(await project.getLockedAmount()).to.equal(ethers.parseEther("1333"));
+        expect(await project.isRequestAbandoned(0)).to.equal(false);
+
+        await expect(project.connect(finance).releaseTranche(0, "QmFoundation"))
+            .to.emit(project, "TrancheReleased")
+            .withArgs(0, 0, ethers.parseEther("399.9"), "QmFoundation");
+
+        expect(await omthbToken.balanceOf(recipient1.address)).to.equal(ethers.parseEther("300"));
+        expect(await omthbToken.balanceOf(recipient2.address)).to.equal(ethers.parseEther("99.9"));
+        expect((await project.getRequest(0)).status).to.equal(Status.PartiallyDistributed);
+        expect(await project.totalDistributed()).to.equal(ethers.parseEther("399.9"));
+        expect(await project.getLockedAmount()).to.equal(ethers.parseEther("933.1"));
+
+        await project.connect(finance).releaseTranche(0, "QmStructure");
+        await project.connect(finance).releaseTranche(0, "QmHandover");
+
+        // The last tranche pays the exact remainder
+        expect(await omthbToken.balanceOf(recipient1.address)).to.equal(ethers.parseEther("1000"));
+        expect(await omthbToken.balanceOf(recipient2.address)).to.equal(ethers.parseEther("333"));
+        expect((await project.getRequest(0)).status).to.equal(Status.Distributed);
+        expect(await project.getLockedAmount()).to.equal(0);
+        expect(await project.getTrancheDocuments(0)).to.deep.equal(["QmFoundation", "QmStructure", "QmHandover"]);
+
+        const plan = await project.getMilestonePlan(0);
+        expect(plan.releasedTranches).to.equal(3);
+        expect(plan.remainingPerRecipient).to.deep.equal([0n, 0n]);
+
+        await expect(project.connect(finance).releaseTranche(0, "QmExtra"))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+    });
+
+    it("Should only let finance release tranches of approved milestone requests", async function () {
+        const { project, finance, requester, approveFully } = await loadFixture(deployFixture);
+
+        await project.connect(requester).setRequestMilestones(0, [5000, 5000]);
+        await expect(project.connect(finance).releaseTranche(0, "QmDoc"))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+
+        await approveFully(0);
+        await expect(project.connect(requester).releaseTranche(0, "QmDoc"))
+            .to.be.revertedWithCustomError(project, "AccessControlUnauthorizedAccount");
+        await expect(project.connect(finance).releaseTranche(0, ""))
+            .to.be.revertedWithCustomError(project, "InvalidDocumentHash");
+    });
+
+    it("Should unlock only the unreleased remainder on cancellation", async function () {
+        const { project, finance, requester, approveFully } = await loadFixture(deployFixture);
+
+        await project.connect(requester).setRequestMilestones(0, [5000, 5000]);
+        await approveFully(0);
+        await project.connect(finance).releaseTranche(0, "QmPhase1");
+
+        await expect(project.connect(requester).cancelRequest(0))
+            .to.emit(project, "FundsUnlocked")
+            .withArgs(0, ethers.parseEther("666.5"), 0);
+
+        const plan = await project.getMilestonePlan(0);
+        expect(plan.remainingPerRecipient).to.deep.equal([ethers.parseEther("500"), ethers.parseEther("166.5")]);
+        expect((await project.getRequest(0)).status).to.equal(Status.Cancelled);
+    });
+});
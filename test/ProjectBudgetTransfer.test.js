@@ -0,0 +1,167 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Budget Transfer Between Projects", function () {
+    const CREATOR_ROLE = ethers.id("PROJECT_CREATOR_ROLE");
+
+    async function deployFixture() {
+        const [director, deputy1, deputy2, projectAdmin, outsider] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const implementation = await ProjectReimbursement.deploy(await deployProjectModules());
+
+        const ProjectFactory = await ethers.getContractFactory("ProjectFactoryOptimized");
+        const factory = await ProjectFactory.deploy(
+            await implementation.getAddress(),
+            await omthbToken.getAddress(),
+            director.address
+        );
+
+        await factory.grantRole(CREATOR_ROLE, director.address);
+        await factory.updateDeputy(deputy1.address, true);
+        await factory.updateDeputy(deputy2.address, true);
+
+        const config = (budget) => ({
+            secretaries: [], committee: [], finance: [], directors: [], requesters: [], budget, funding: 0
+        });
+        await factory.createProjectWithConfig("PROJ-A", projectAdmin.address, config(ethers.parseEther("10000")));
+        await factory.createProjectWithConfig("PROJ-B", projectAdmin.address, config(ethers.parseEther("5000")));
+        const source = ProjectReimbursement.attach((await factory.projects("PROJ-A")).contractAddr);
+        const destination = ProjectReimbursement.attach((await factory.projects("PROJ-B")).contractAddr);
+        await omthbToken.approve(await source.getAddress(), ethers.parseEther("10000"));
+        await source.depositOMTHB(ethers.parseEther("10000"));
+
+        return { factory, omthbToken, source, destination, director, deputy1, deputy2, projectAdmin, outsider };
+    }
+
+    it("Should move budget and tokens once the director and two deputies sign", async function () {
+        const { factory, omthbToken, source, destination, director, deputy1, deputy2 } = await loadFixture(deployFixture);
+        const amount = ethers.parseEther("3000");
+
+        await expect(factory.connect(deputy1).initiateBudgetTransfer("PROJ-A", "PROJ-B", amount))
+            .to.emit(factory, "BudgetTransferInitiated")
+            .withArgs(0, "PROJ-A", "PROJ-B", amount, deputy1.address);
+        await factory.connect(director).signBudgetTransfer(0);
+        expect(await source.projectBudget()).to.equal(ethers.parseEther("10000"));
+
+        const tx = factory.connect(deputy2).signBudgetTransfer(0);
+        await expect(tx).to.emit(factory, "BudgetTransferExecuted")
+            .withArgs(0, await source.getAddress(), await destination.getAddress(), amount);
+        await expect(tx).to.emit(source, "BudgetTransferredOut").withArgs(0, await destination.getAddress(), amount);
+        await expect(tx).to.emit(destination, "BudgetTransferredIn").withArgs(0, await source.getAddress(), amount);
+
+        expect(await source.projectBudget()).to.equal(ethers.parseEther("7000"));
+        expect(await destination.projectBudget()).to.equal(ethers.parseEther("8000"));
+        expect(await omthbToken.balanceOf(await destination.getAddress())).to.equal(amount);
+        expect((await destination.getBudgetChange(0)).reason).to.equal("Initial budget");
+        expect((await destination.getBudgetChange(1)).reason).to.equal("Budget transfer in");
+        expect(await source.totalDeposited()).to.equal(ethers.parseEther("7000"));
+        expect(await destination.totalDeposited()).to.equal(amount);
+        expect(await destination.depositorBalances(await source.getAddress())).to.equal(amount);
+
+        await expect(factory.connect(director).signBudgetTransfer(0))
+            .to.be.revertedWithCustomError(factory, "E05");
+    });
+
+    it("Should move all unused budget of a finished project", async function () {
+        const { factory, omthbToken, source, destination, director, deputy1, deputy2 } = await loadFixture(deployFixture);
+        const amount = ethers.parseEther("10000");
+
+        await factory.connect(deputy1).initiateBudgetTransfer("PROJ-A", "PROJ-B", amount);
+        await factory.connect(director).signBudgetTransfer(0);
+        await expect(factory.connect(deputy2).signBudgetTransfer(0)).to.emit(factory, "BudgetTransferExecuted");
+
+        expect(await source.projectBudget()).to.equal(0);
+        expect(await source.totalDeposited()).to.equal(0);
+        expect(await omthbToken.balanceOf(await source.getAddress())).to.equal(0);
+        expect(await destination.projectBudget()).to.equal(ethers.parseEther("15000"));
+    });
+
+    it("Should not move more than the unused budget", async function () {
+        const { factory, source, director, deputy1, deputy2 } = await loadFixture(deployFixture);
+
+        await factory.connect(deputy1).initiateBudgetTransfer("PROJ-A", "PROJ-B", ethers.parseEther("10001"));
+        await factory.connect(director).signBudgetTransfer(0);
+        await expect(factory.connect(deputy2).signBudgetTransfer(0))
+            .to.be.revertedWithCustomError(source, "InsufficientBudget");
+    });
+
+    it("Should report category caps that block a transfer", async function () {
+        const { factory, source, director, deputy1, deputy2, projectAdmin } = await loadFixture(deployFixture);
+        await source.connect(projectAdmin).setBudgetCategory(ethers.encodeBytes32String("TRAVEL"), ethers.parseEther("8000"));
+
+        await factory.connect(deputy1).initiateBudgetTransfer("PROJ-A", "PROJ-B", ethers.parseEther("3000"));
+        await factory.connect(director).signBudgetTransfer(0);
+        await expect(factory.connect(deputy2).signBudgetTransfer(0))
+            .to.be.revertedWithCustomError(source, "BudgetBelowCategoryCaps");
+    });
+
+    it("Should stop counting signers who lost their role", async function () {
+        const { factory, source, director, deputy1, deputy2, outsider } = await loadFixture(deployFixture);
+        await factory.updateDeputy(outsider.address, true);
+
+        await factory.connect(deputy1).initiateBudgetTransfer("PROJ-A", "PROJ-B", ethers.parseEther("3000"));
+        await factory.connect(director).signBudgetTransfer(0);
+        await factory.updateDeputy(deputy1.address, false);
+
+        // deputy1 signed before removal; only deputy2 still counts
+        await factory.connect(deputy2).signBudgetTransfer(0);
+        let signatures = await factory.getBudgetTransferSignatures(0);
+        expect(signatures.directorSigned).to.be.true;
+        expect(signatures.deputySignatures).to.equal(1);
+        expect(signatures.signers).to.deep.equal([deputy1.address, director.address, deputy2.address]);
+        expect(await source.projectBudget()).to.equal(ethers.parseEther("10000"));
+
+        await expect(factory.connect(outsider).signBudgetTransfer(0)).to.emit(factory, "BudgetTransferExecuted");
+    });
+
+    it("Should cancel a pending transfer", async function () {
+        const { factory, director, deputy1, deputy2, outsider } = await loadFixture(deployFixture);
+
+        await factory.connect(deputy1).initiateBudgetTransfer("PROJ-A", "PROJ-B", ethers.parseEther("3000"));
+        await expect(factory.connect(outsider).cancelBudgetTransfer(0))
+            .to.be.revertedWithCustomError(factory, "E06");
+        await expect(factory.connect(deputy1).cancelBudgetTransfer(0))
+            .to.emit(factory, "BudgetTransferCancelled").withArgs(0, deputy1.address);
+
+        await expect(factory.connect(director).signBudgetTransfer(0))
+            .to.be.revertedWithCustomError(factory, "E02");
+        await expect(factory.connect(director).cancelBudgetTransfer(0))
+            .to.be.revertedWithCustomError(factory, "E02");
+
+        // An executed transfer can no longer be cancelled
+        await factory.connect(deputy1).initiateBudgetTransfer("PROJ-A", "PROJ-B", ethers.parseEther("3000"));
+        await factory.connect(director).signBudgetTransfer(1);
+        await factory.connect(deputy2).signBudgetTransfer(1);
+        await expect(factory.connect(director).cancelBudgetTransfer(1))
+            .to.be.revertedWithCustomError(factory, "E05");
+    });
+
+    it("Should validate signers and inputs", async function () {
+        const { factory, source, deputy1, outsider } = await loadFixture(deployFixture);
+
+        await expect(factory.connect(outsider).initiateBudgetTransfer("PROJ-A", "PROJ-B", 1))
+            .to.be.revertedWithCustomError(factory, "E06");
+        await expect(factory.connect(deputy1).initiateBudgetTransfer("PROJ-A", "PROJ-A", 1))
+            .to.be.revertedWithCustomError(factory, "E08");
+        await expect(factory.connect(deputy1).initiateBudgetTransfer("PROJ-A", "PROJ-X", 1))
+            .to.be.revertedWithCustomError(factory, "E02");
+
+        await factory.connect(deputy1).initiateBudgetTransfer("PROJ-A", "PROJ-B", 1);
+        await expect(factory.connect(deputy1).signBudgetTransfer(0))
+            .to.be.revertedWithCustomError(factory, "E04");
+
+        await time.increase(7 * 24 * 60 * 60 + 1);
+        await expect(factory.connect(outsider).signBudgetTransfer(0))
+            .to.be.revertedWithCustomError(factory, "E07");
+
+        // Projects only accept transfers from their factory
+        await expect(source.transferBudgetOut(0, outsider.address, 1))
+            .to.be.revertedWithCustomError(source, "UnauthorizedApprover");
+    });
+});
@@ -0,0 +1,162 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Factory Project Closure", function () {
+    const CREATOR_ROLE = ethers.id("PROJECT_CREATOR_ROLE");
+    const ClosureStatus = { None: 0, Pending: 1, Executed: 2, Cancelled: 3, Expired: 4 };
+    const DAY = 24 * 60 * 60;
+
+    async function deployFixture() {
+        const [director, deputy1, deputy2, deputy3, projectAdmin, outsider] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const implementation = await ProjectReimbursement.deploy(await deployProjectModules());
+
+        const ProjectFactory = await ethers.getContractFactory("ProjectFactoryOptimized");
+        const factory = await ProjectFactory.deploy(
+            await implementation.getAddress(),
+            await omthbToken.getAddress(),
+            director.address
+        );
+        await factory.grantRole(CREATOR_ROLE, director.address);
+        for (const deputy of [deputy1, deputy2, deputy3]) {
+            await factory.updateDeputy(deputy.address, true);
+        }
+
+        await factory.createProject("PROJ-CLOSE", projectAdmin.address);
+        const project = ProjectReimbursement.attach((await factory.projects("PROJ-CLOSE")).contractAddr);
+
+        return { factory, project, director, deputy1, deputy2, deputy3, outsider };
+    }
+
+    it("Should close once the director and the deputy quorum have signed in any order", async function () {
+        const { factory, project, director, deputy1, deputy2 } = await loadFixture(deployFixture);
+
+        await factory.connect(director).initiateClosure("PROJ-CLOSE");
+        await factory.connect(deputy1).signClosure("PROJ-CLOSE");
+
+        // The last signer is a deputy; the director's earlier signature still counts
+        await expect(factory.connect(deputy2).signClosure("PROJ-CLOSE"))
+            .to.emit(factory, "ProjectClosed");
+
+        expect((await factory.projects("PROJ-CLOSE")).isActive).to.be.false;
+        expect(await project.paused()).to.be.true;
+
+        const status = await factory.getClosureStatus("PROJ-CLOSE");
+        expect(status.status).to.equal(ClosureStatus.Executed);
+        expect(status.signers).to.deep.equal([director.address, deputy1.address, deputy2.address]);
+        expect(status.deputySignatures).to.equal(2);
+    });
+
+    it("Should not close without the director", async function () {
+        const { factory, director, deputy1, deputy2, deputy3 } = await loadFixture(deployFixture);
+
+        await factory.connect(deputy1).initiateClosure("PROJ-CLOSE");
+        await factory.connect(deputy2).signClosure("PROJ-CLOSE");
+        await factory.connect(deputy3).signClosure("PROJ-CLOSE");
+
+        const status = await factory.getClosureStatus("PROJ-CLOSE");
+        expect(status.status).to.equal(ClosureStatus.Pending);
+        expect(status.directorSigned).to.be.false;
+
+        await expect(factory.connect(director).signClosure("PROJ-CLOSE")).to.emit(factory, "ProjectClosed");
+    });
+
+    it("Should apply a configured deputy quorum", async function () {
+        const { factory, director, deputy1, deputy2, deputy3, outsider } = await loadFixture(deployFixture);
+
+        await expect(factory.connect(outsider).setClosureQuorum(3)).to.be.reverted;
+        await expect(factory.setClosureQuorum(0)).to.be.revertedWithCustomError(factory, "E08");
+        // Only three deputies are registered
+        await expect(factory.setClosureQuorum(4)).to.be.revertedWithCustomError(factory, "E08");
+        await expect(factory.setClosureQuorum(3)).to.emit(factory, "ClosureQuorumUpdated").withArgs(3);
+        await expect(factory.updateDeputy(deputy3.address, false)).to.be.revertedWithCustomError(factory, "E08");
+
+        await factory.connect(director).initiateClosure("PROJ-CLOSE");
+        await factory.connect(deputy1).signClosure("PROJ-CLOSE");
+        await factory.connect(deputy2).signClosure("PROJ-CLOSE");
+        expect((await factory.projects("PROJ-CLOSE")).isActive).to.be.true;
+
+        await expect(factory.connect(deputy3).signClosure("PROJ-CLOSE")).to.emit(factory, "ProjectClosed");
+    });
+
+    it("Should drop the signature of a director whose role was revoked", async function () {
+        const { factory, director, deputy1, deputy2, outsider } = await loadFixture(deployFixture);
+        const DIRECTOR_ROLE = ethers.id("DIRECTOR_ROLE");
+        await factory.grantRole(DIRECTOR_ROLE, outsider.address);
+
+        await factory.connect(outsider).initiateClosure("PROJ-CLOSE");
+        await factory.revokeRole(DIRECTOR_ROLE, outsider.address);
+        await factory.connect(deputy1).signClosure("PROJ-CLOSE");
+        await factory.connect(deputy2).signClosure("PROJ-CLOSE");
+
+        const status = await factory.getClosureStatus("PROJ-CLOSE");
+        expect(status.status).to.equal(ClosureStatus.Pending);
+        expect(status.directorSigned).to.be.false;
+        expect(status.deputySignatures).to.equal(2);
+
+        await expect(factory.connect(director).signClosure("PROJ-CLOSE")).to.emit(factory, "ProjectClosed");
+    });
+
+    it("Should cancel a closure and start over with fresh signatures", async function () {
+        const { factory, director, deputy1, deputy2, outsider } = await loadFixture(deployFixture);
+
+        await factory.connect(deputy1).initiateClosure("PROJ-CLOSE");
+        await expect(factory.connect(deputy1).initiateClosure("PROJ-CLOSE"))
+            .to.be.revertedWithCustomError(factory, "E09");
+        await expect(factory.connect(outsider).cancelClosure("PROJ-CLOSE"))
+            .to.be.revertedWithCustomError(factory, "E06");
+
+        await expect(factory.connect(deputy1).cancelClosure("PROJ-CLOSE"))
+            .to.emit(factory, "ClosureCancelled").withArgs("PROJ-CLOSE", deputy1.address);
+        expect((await factory.getClosureStatus("PROJ-CLOSE")).status).to.equal(ClosureStatus.Cancelled);
+        await expect(factory.connect(deputy2).signClosure("PROJ-CLOSE"))
+            .to.be.revertedWithCustomError(factory, "E02");
+
+        await factory.connect(deputy2).initiateClosure("PROJ-CLOSE");
+        const status = await factory.getClosureStatus("PROJ-CLOSE");
+        expect(status.signers).to.deep.equal([deputy2.address]);
+
+        // deputy1's signature from the cancelled round no longer counts
+        await factory.connect(deputy1).signClosure("PROJ-CLOSE");
+        await expect(factory.connect(director).signClosure("PROJ-CLOSE")).to.emit(factory, "ProjectClosed");
+    });
+
+    it("Should close a project that is already paused", async function () {
+        const { factory, project, director, deputy1, deputy2 } = await loadFixture(deployFixture);
+
+        // Pausable keeps its flag in the ERC-7201 namespaced slot
+        const PAUSABLE_SLOT = "0xcd5ed15c6e187e77e9aee88184c21f4f2182ab5827cb3b7e07fbedcd63f03300";
+        await ethers.provider.send("hardhat_setStorageAt", [await project.getAddress(), PAUSABLE_SLOT, ethers.toBeHex(1, 32)]);
+        expect(await project.paused()).to.be.true;
+
+        await factory.connect(director).initiateClosure("PROJ-CLOSE");
+        await factory.connect(deputy1).signClosure("PROJ-CLOSE");
+        await expect(factory.connect(deputy2).signClosure("PROJ-CLOSE")).to.emit(factory, "ProjectClosed");
+
+        expect((await factory.projects("PROJ-CLOSE")).isActive).to.be.false;
+        expect(await project.paused()).to.be.true;
+    });
+
+    it("Should report expiry and allow re-initiation", async function () {
+        const { factory, director, deputy1 } = await loadFixture(deployFixture);
+
+        await factory.connect(director).initiateClosure("PROJ-CLOSE");
+        await time.increase(7 * DAY + 1);
+
+        expect((await factory.getClosureStatus("PROJ-CLOSE")).status).to.equal(ClosureStatus.Expired);
+        await expect(factory.connect(deputy1).signClosure("PROJ-CLOSE"))
+            .to.be.revertedWithCustomError(factory, "E07");
+
+        await factory.connect(deputy1).initiateClosure("PROJ-CLOSE");
+        const status = await factory.getClosureStatus("PROJ-CLOSE");
+        expect(status.status).to.equal(ClosureStatus.Pending);
+        expect(status.directorSigned).to.be.false;
+        expect(status.initiator).to.equal(deputy1.address);
+    });
+});
@@ -0,0 +1,46 @@
+const { ethers, artifacts } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { PROJECT_MODULES, deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Project Reimbursement Modules", function () {
+    // EIP-170 runtime code size limit
+    const MAX_CODE_SIZE = 24576;
+
+    async function deployFixture() {
+        const [admin] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-MODULES-001", await omthbToken.getAddress(), 0, admin.address);
+
+        return { project, admin };
+    }
+
+    it("Should keep the project contract and every module below the contract size limit", async function () {
+        for (const name of ["ProjectReimbursementOptimized", "ProjectReimbursementV3", ...PROJECT_MODULES]) {
+            const { deployedBytecode } = await artifacts.readArtifact(name);
+            expect((deployedBytecode.length - 2) / 2, name).to.be.lessThan(MAX_CODE_SIZE);
+        }
+    });
+
+    it("Should run module functions against the project's storage", async function () {
+        const { project, admin } = await loadFixture(deployFixture);
+
+        // Written by the governance module and read back by the view module through the fallback chain
+        await project.connect(admin).updateBudget(ethers.parseEther("10000"));
+        expect(await project.projectBudget()).to.equal(ethers.parseEther("10000"));
+        expect(await project.getRemainingBudget()).to.equal(ethers.parseEther("10000"));
+    });
+
+    it("Should revert calls to functions no module implements", async function () {
+        const { project, admin } = await loadFixture(deployFixture);
+        const selector = ethers.id("missing()").slice(0, 10);
+
+        await expect(admin.sendTransaction({ to: await project.getAddress(), data: selector }))
+            .to.be.revertedWithCustomError(project, "FunctionNotFound").withArgs(selector);
+    });
+});
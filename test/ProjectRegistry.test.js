@@ -0,0 +1,115 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Project Registry", function () {
+    const CREATOR_ROLE = ethers.id("PROJECT_CREATOR_ROLE");
+
+    for (const factoryName of ["ProjectFactoryOptimized", "BeaconProjectFactoryOptimized"]) {
+        describe(factoryName, function () {
+            async function deployFixture() {
+                const [director, deputy1, deputy2, deputy3, adminA, adminB] = await ethers.getSigners();
+
+                const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+                const omthbToken = await MockOMTHB.deploy();
+
+                const ProjectReimbursement = await getProjectReimbursementFactory();
+                const implementation = await ProjectReimbursement.deploy(await deployProjectModules());
+
+                const Factory = await ethers.getContractFactory(factoryName);
+                const factory = await Factory.deploy(
+                    await implementation.getAddress(),
+                    await omthbToken.getAddress(),
+                    director.address
+                );
+                await factory.grantRole(CREATOR_ROLE, director.address);
+
+                await factory.createProject("PROJ-1", adminA.address);
+                await factory.createProject("PROJ-2", adminB.address);
+                await factory.createProject("PROJ-3", adminA.address);
+
+                return { factory, ProjectReimbursement, director, deputy1, deputy2, deputy3, adminA, adminB };
+            }
+
+            it("Should count and page through projects in creation order", async function () {
+                const { factory, adminA } = await loadFixture(deployFixture);
+
+                expect(await factory.getProjectCount()).to.equal(3);
+
+                const [ids, items, next] = await factory.getProjectsPage(0, 2, false);
+                expect(ids).to.deep.equal(["PROJ-1", "PROJ-2"]);
+                expect(items[0].contractAddr).to.equal((await factory.projects("PROJ-1")).contractAddr);
+                expect(items[0].admin).to.equal(adminA.address);
+                expect(next).to.equal(2);
+
+                const [lastIds, , end] = await factory.getProjectsPage(next, 2, false);
+                expect(lastIds).to.deep.equal(["PROJ-3"]);
+                expect(end).to.equal(3);
+
+                const [emptyIds, , done] = await factory.getProjectsPage(5, 2, false);
+                expect(emptyIds).to.deep.equal([]);
+                expect(done).to.equal(3);
+
+                await expect(factory.getProjectsPage(0, 0, false)).to.be.revertedWithCustomError(factory, "E08");
+                await expect(factory.getProjectsPage(0, 101, false)).to.be.revertedWithCustomError(factory, "E08");
+            });
+
+            it("Should list projects by admin", async function () {
+                const { factory, adminA, adminB, director } = await loadFixture(deployFixture);
+
+                expect(await factory.getProjectsByAdmin(adminA.address)).to.deep.equal(["PROJ-1", "PROJ-3"]);
+                expect(await factory.getProjectsByAdmin(adminB.address)).to.deep.equal(["PROJ-2"]);
+                expect(await factory.getProjectsByAdmin(director.address)).to.deep.equal([]);
+            });
+
+            it("Should move a project to its new admin once an admin transfer completes", async function () {
+                const { factory, ProjectReimbursement, adminA, adminB } = await loadFixture(deployFixture);
+                const project = ProjectReimbursement.attach((await factory.projects("PROJ-1")).contractAddr);
+
+                await project.connect(adminA).initiateAdminTransfer(adminB.address);
+                await time.increase(2 * 24 * 60 * 60);
+                await expect(project.connect(adminB).acceptAdminTransfer())
+                    .to.emit(factory, "ProjectAdminUpdated").withArgs("PROJ-1", adminA.address, adminB.address);
+
+                expect(await factory.getProjectsByAdmin(adminA.address)).to.deep.equal(["PROJ-3"]);
+                expect(await factory.getProjectsByAdmin(adminB.address)).to.deep.equal(["PROJ-2", "PROJ-1"]);
+                expect((await factory.projects("PROJ-1")).admin).to.equal(adminB.address);
+
+                // Syncing again changes nothing
+                await expect(factory.syncProjectAdmin("PROJ-1")).to.not.emit(factory, "ProjectAdminUpdated");
+                await expect(factory.syncProjectAdmin("PROJ-X")).to.be.revertedWithCustomError(factory, "E02");
+            });
+
+            it("Should filter out inactive projects", async function () {
+                const { factory } = await loadFixture(deployFixture);
+
+                // No closure path can deactivate a project here, so clear isActive in storage
+                await setInactive(factory, "PROJ-2");
+                expect((await factory.projects("PROJ-2")).isActive).to.be.false;
+
+                const [ids, items, next] = await factory.getProjectsPage(0, 3, true);
+                expect(ids).to.deep.equal(["PROJ-1", "PROJ-3"]);
+                expect(items.length).to.equal(2);
+                expect(next).to.equal(3);
+            });
+        });
+    }
+
+    // isActive shares a slot with admin: clear its low byte in projects[id]
+    async function setInactive(factory, projectId) {
+        const address = await factory.getAddress();
+        const { admin } = await factory.projects(projectId);
+        const expected = (BigInt(admin) << 8n) | 1n;
+        const key = ethers.toUtf8Bytes(projectId);
+        for (let base = 0; base < 20; base++) {
+            const entry = BigInt(ethers.keccak256(ethers.concat([key, ethers.toBeHex(base, 32)])));
+            const slot = ethers.toBeHex(entry + 2n, 32);
+            if (BigInt(await ethers.provider.getStorage(address, slot)) === expected) {
+                await ethers.provider.send("hardhat_setStorageAt", [address, slot, ethers.toBeHex(expected - 1n, 32)]);
+                return;
+            }
+        }
+        throw new Error("Project slot not found");
+    }
+});
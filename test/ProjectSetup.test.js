@@ -0,0 +1,85 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("One-Transaction Project Setup", function () {
+    const CREATOR_ROLE = ethers.id("PROJECT_CREATOR_ROLE");
+
+    async function deployFixture() {
+        const [director, projectAdmin, secretary, committee1, committee2, finance, projectDirector, requester] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const implementation = await ProjectReimbursement.deploy(await deployProjectModules());
+
+        const ProjectFactory = await ethers.getContractFactory("ProjectFactoryOptimized");
+        const factory = await ProjectFactory.deploy(
+            await implementation.getAddress(),
+            await omthbToken.getAddress(),
+            director.address
+        );
+        await factory.grantRole(CREATOR_ROLE, director.address);
+
+        const config = {
+            secretaries: [secretary.address],
+            committee: [committee1.address, committee2.address],
+            finance: [finance.address],
+            directors: [projectDirector.address],
+            requesters: [requester.address],
+            budget: ethers.parseEther("20000"),
+            funding: ethers.parseEther("15000")
+        };
+
+        return { factory, omthbToken, ProjectReimbursement, director, projectAdmin, config };
+    }
+
+    it("Should assign roles, budget and funding atomically", async function () {
+        const { factory, omthbToken, ProjectReimbursement, director, projectAdmin, config } = await loadFixture(deployFixture);
+        await omthbToken.approve(await factory.getAddress(), config.funding);
+        const balanceBefore = await omthbToken.balanceOf(director.address);
+
+        await expect(factory.createProjectWithConfig("PROJ-SETUP", projectAdmin.address, config))
+            .to.emit(factory, "ProjectCreated");
+        const project = ProjectReimbursement.attach((await factory.projects("PROJ-SETUP")).contractAddr);
+
+        expect(await project.hasRole(await project.SECRETARY_ROLE(), config.secretaries[0])).to.be.true;
+        expect(await project.hasRole(await project.COMMITTEE_ROLE(), config.committee[1])).to.be.true;
+        expect(await project.hasRole(await project.FINANCE_ROLE(), config.finance[0])).to.be.true;
+        expect(await project.hasRole(await project.DIRECTOR_ROLE(), config.directors[0])).to.be.true;
+        expect(await project.hasRole(await project.REQUESTER_ROLE(), config.requesters[0])).to.be.true;
+        expect(await project.hasRole(await project.REQUESTER_ROLE(), projectAdmin.address)).to.be.true;
+
+        expect(await project.projectBudget()).to.equal(config.budget);
+        const initial = await project.getBudgetChange(0);
+        expect(initial.newBudget).to.equal(config.budget);
+        expect(initial.reason).to.equal("Initial budget");
+        expect(await project.totalDeposited()).to.equal(config.funding);
+        expect(await omthbToken.balanceOf(await project.getAddress())).to.equal(config.funding);
+        expect(await omthbToken.balanceOf(director.address)).to.equal(balanceBefore - config.funding);
+        expect(await omthbToken.balanceOf(await factory.getAddress())).to.equal(0);
+
+        // The creator who paid is the depositor, not the factory
+        expect(await project.depositorBalances(director.address)).to.equal(config.funding);
+        expect(await project.depositorBalances(await factory.getAddress())).to.equal(0);
+    });
+
+    it("Should revert everything when the funding is not approved", async function () {
+        const { factory, omthbToken, projectAdmin, config } = await loadFixture(deployFixture);
+
+        await expect(factory.createProjectWithConfig("PROJ-SETUP", projectAdmin.address, config))
+            .to.be.revertedWithCustomError(omthbToken, "ERC20InsufficientAllowance");
+        expect(await factory.getProjectCount()).to.equal(0);
+    });
+
+    it("Should revert everything when a role cannot be granted", async function () {
+        const { factory, projectAdmin, config } = await loadFixture(deployFixture);
+
+        const badConfig = { ...config, finance: [ethers.ZeroAddress], funding: 0 };
+        await expect(factory.createProjectWithConfig("PROJ-SETUP", projectAdmin.address, badConfig))
+            .to.be.revertedWith("Role grant failed");
+        expect((await factory.projects("PROJ-SETUP")).contractAddr).to.equal(ethers.ZeroAddress);
+    });
+});
@@ -0,0 +1,142 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Refund Accounting", function () {
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, recipient1, recipient2, outsider] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-REFUND-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("10000"));
+
+        await project.connect(requester).createRequestMultiple(
+            [recipient1.address, recipient2.address],
+            [ethers.parseEther("300"), ethers.parseEther("200")],
+            "Workshop catering", "QmDoc", ethers.ZeroAddress
+        );
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        async function approveFully(requestId) {
+            await commitAndReveal(secretary, "approveBySecretary", requestId);
+            await commitAndReveal(committee1, "approveByCommittee", requestId);
+            await commitAndReveal(finance, "approveByFinance", requestId);
+            for (const member of [committee2, committee3, committee4]) {
+                await commitAndReveal(member, "approveByCommitteeAdditional", requestId);
+            }
+            return commitAndReveal(director, "approveByDirector", requestId);
+        }
+
+        return { project, omthbToken, admin, finance, recipient1, recipient2, outsider, approveFully };
+    }
+
+    it("Should take back an overpayment and restore the budget", async function () {
+        const { project, omthbToken, recipient1, approveFully } = await loadFixture(deployFixture);
+        await approveFully(0);
+        expect(await project.getRemainingBudget()).to.equal(ethers.parseEther("9500"));
+
+        await omthbToken.connect(recipient1).approve(await project.getAddress(), ethers.parseEther("100"));
+        await expect(project.connect(recipient1).recordRefund(0, ethers.parseEther("100")))
+            .to.emit(project, "RefundRecorded")
+            .withArgs(0, recipient1.address, ethers.parseEther("100"), 0, ethers.parseEther("100"));
+
+        expect(await project.totalDistributed()).to.equal(ethers.parseEther("400"));
+        expect(await project.getRemainingBudget()).to.equal(ethers.parseEther("9600"));
+        expect(await omthbToken.balanceOf(recipient1.address)).to.equal(ethers.parseEther("200"));
+
+        const info = await project.getRefundInfo(0, recipient1.address);
+        expect(info.totalRefunded).to.equal(ethers.parseEther("100"));
+        expect(info.recipientRefunded).to.equal(ethers.parseEther("100"));
+        expect(info.partiallyRefunded).to.be.true;
+        expect((await project.getRequest(0)).status).to.equal(5);
+    });
+
+    it("Should give the refund back to the fiscal period it was spent in", async function () {
+        const { project, omthbToken, admin, recipient1, approveFully } = await loadFixture(deployFixture);
+        const MONTH = 30 * 24 * 60 * 60;
+        const start = await time.latest();
+        await project.connect(admin).addFiscalPeriod(start, start + MONTH, ethers.parseEther("1000"), false);
+        await project.connect(admin).addFiscalPeriod(start + MONTH, start + 2 * MONTH, ethers.parseEther("1000"), false);
+
+        await approveFully(0);
+        expect((await project.getFiscalPeriod(0))[0].distributed).to.equal(ethers.parseEther("500"));
+
+        // Refunded in the next period, credited to the first
+        await time.increaseTo(start + MONTH);
+        await omthbToken.connect(recipient1).approve(await project.getAddress(), ethers.parseEther("100"));
+        await project.connect(recipient1).recordRefund(0, ethers.parseEther("100"));
+
+        const [first, firstAvailable] = await project.getFiscalPeriod(0);
+        expect(first.distributed).to.equal(ethers.parseEther("400"));
+        expect(firstAvailable).to.equal(ethers.parseEther("600"));
+        expect((await project.getFiscalPeriod(1))[0].distributed).to.equal(0);
+    });
+
+    it("Should return unclaimed credit before pulling tokens in claim mode", async function () {
+        const { project, omthbToken, admin, recipient2, approveFully } = await loadFixture(deployFixture);
+        await project.connect(admin).setClaimMode(true);
+        await approveFully(0);
+
+        // Nothing was withdrawn, so the refund comes out of the credit without an allowance
+        await expect(project.connect(recipient2).recordRefund(0, ethers.parseEther("50")))
+            .to.emit(project, "RefundRecorded")
+            .withArgs(0, recipient2.address, ethers.parseEther("50"), ethers.parseEther("50"), ethers.parseEther("50"));
+        expect((await project.claimableCredits(recipient2.address)).amount).to.equal(ethers.parseEther("150"));
+        expect(await project.totalClaimable()).to.equal(ethers.parseEther("450"));
+        expect(await project.totalDistributed()).to.equal(ethers.parseEther("450"));
+
+        await project.connect(recipient2).claim();
+        expect(await omthbToken.balanceOf(recipient2.address)).to.equal(ethers.parseEther("150"));
+
+        const timeline = await project.getRequestTimeline(0);
+        expect(timeline[timeline.length - 1].actor).to.equal(recipient2.address);
+    });
+
+    it("Should validate refunds", async function () {
+        const { project, omthbToken, finance, recipient1, outsider, approveFully } = await loadFixture(deployFixture);
+
+        await expect(project.connect(recipient1).recordRefund(0, ethers.parseEther("10")))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+
+        await approveFully(0);
+        await omthbToken.connect(recipient1).approve(await project.getAddress(), ethers.parseEther("300"));
+
+        // Neither finance nor anyone else can pull a recipient's allowance
+        await expect(project.connect(finance).recordRefund(0, ethers.parseEther("10")))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(outsider).recordRefund(0, ethers.parseEther("10")))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(recipient1).recordRefund(0, ethers.parseEther("301")))
+            .to.be.revertedWithCustomError(project, "InvalidAmount");
+
+        await project.connect(recipient1).recordRefund(0, ethers.parseEther("250"));
+        await expect(project.connect(recipient1).recordRefund(0, ethers.parseEther("51")))
+            .to.be.revertedWithCustomError(project, "InvalidAmount");
+    });
+});
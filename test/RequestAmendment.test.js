@@ -0,0 +1,147 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Request Amendment", function () {
+    const Status = { Pending: 0, SecretaryApproved: 1, CommitteeApproved: 2 };
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee, finance, requester, recipient1, recipient2, outsider] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-AMEND-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        await project.grantRoleDirect(await project.COMMITTEE_ROLE(), committee.address);
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await project.connect(requester).createRequest(recipient1.address, ethers.parseEther("500"), "Travel", "QmDoc");
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commit(signer, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            return nonce;
+        }
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = await commit(signer, requestId);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        async function applyTiers(policies) {
+            const target = await project.getAddress();
+            const data = project.interface.encodeFunctionData("setApprovalPolicies", [policies]);
+            const receipt = await (await project.connect(admin).queueTimelockOperation(target, data)).wait();
+            const queued = receipt.logs
+                .map(log => { try { return project.interface.parseLog(log); } catch (e) { return null; } })
+                .find(log => log && log.name === "TimelockOperationQueued");
+            await time.increase(2 * 24 * 60 * 60);
+            await project.connect(admin).executeTimelockOperation(queued.args.operationId, target, data);
+        }
+
+        return { project, secretary, committee, requester, recipient1, recipient2, outsider, commit, commitAndReveal, applyTiers };
+    }
+
+    it("Should amend a pending request and keep the prior version", async function () {
+        const { project, requester, recipient1, recipient2 } = await loadFixture(deployFixture);
+        const original = await project.getRequestVersion(0, 0);
+
+        await expect(project.connect(requester).amendRequest(
+            0, [recipient1.address, recipient2.address], [ethers.parseEther("500"), ethers.parseEther("150")], "Travel", "QmDocV2"
+        )).to.emit(project, "RequestAmended");
+
+        const request = await project.getRequest(0);
+        expect(request.recipients).to.deep.equal([recipient1.address, recipient2.address]);
+        expect(request.totalAmount).to.equal(ethers.parseEther("650"));
+        expect(await project.getRequestVersionCount(0)).to.equal(2);
+
+        const prior = await project.getRequestVersion(0, 0);
+        expect(prior.recipientsHash).to.equal(original.recipientsHash);
+        expect(prior.replacedAt).to.be.greaterThan(0);
+
+        const changes = await project.getAmendmentChanges(0, 1);
+        expect(changes.recipientsChanged).to.equal(true);
+        expect(changes.amountsChanged).to.equal(true);
+        expect(changes.descriptionChanged).to.equal(false);
+        expect(changes.documentChanged).to.equal(true);
+        expect(changes.oldTotalAmount).to.equal(ethers.parseEther("500"));
+        expect(changes.newTotalAmount).to.equal(ethers.parseEther("650"));
+    });
+
+    it("Should reset secretary approval when amending", async function () {
+        const { project, secretary, committee, requester, recipient1, commitAndReveal } = await loadFixture(deployFixture);
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        await project.connect(requester).amendRequest(0, [recipient1.address], [ethers.parseEther("450")], "Travel", "QmDoc");
+
+        const request = await project.getRequest(0);
+        expect(request.status).to.equal(Status.Pending);
+        expect(request.approvalInfo.secretaryApprover).to.equal(ethers.ZeroAddress);
+
+        await expect(project.connect(committee).commitApproval(0, ethers.ZeroHash))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        expect((await project.getRequest(0)).status).to.equal(Status.SecretaryApproved);
+    });
+
+    it("Should void commitments made before the amendment", async function () {
+        const { project, secretary, requester, recipient1, commit } = await loadFixture(deployFixture);
+
+        const nonce = await commit(secretary, 0);
+        await project.connect(requester).amendRequest(0, [recipient1.address], [ethers.parseEther("900")], "Travel", "QmDoc");
+        await time.increase(1801);
+
+        await expect(project.connect(secretary).approveBySecretary(0, nonce))
+            .to.be.revertedWithCustomError(project, "InvalidCommitment");
+    });
+
+    it("Should only let the requester amend before committee approval", async function () {
+        const { project, secretary, committee, requester, recipient1, outsider, commitAndReveal } = await loadFixture(deployFixture);
+
+        await expect(project.connect(outsider).amendRequest(0, [recipient1.address], [ethers.parseEther("450")], "Travel", "QmDoc"))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(requester).amendRequest(0, [recipient1.address], [ethers.parseEther("20000")], "Travel", "QmDoc"))
+            .to.be.revertedWithCustomError(project, "InvalidAmount");
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        await commitAndReveal(committee, "approveByCommittee", 0);
+        await expect(project.connect(requester).amendRequest(0, [recipient1.address], [ethers.parseEther("450")], "Travel", "QmDoc"))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+    });
+
+    it("Should lock the request once an additional committee approval is recorded", async function () {
+        const { project, secretary, committee, requester, recipient1, commitAndReveal, applyTiers } = await loadFixture(deployFixture);
+
+        // Secretary, then two additional committee approvals, skipping committee and finance
+        await applyTiers([{
+            maxAmount: ethers.MaxUint256,
+            requireSecretary: true,
+            requireCommittee: false,
+            requireFinance: false,
+            committeeAdditionalApprovers: 2,
+            directorApprovers: 1
+        }]);
+        await project.connect(requester).createRequest(recipient1.address, ethers.parseEther("500"), "Travel", "QmDoc");
+
+        await commitAndReveal(secretary, "approveBySecretary", 1);
+        await commitAndReveal(committee, "approveByCommitteeAdditional", 1);
+        expect((await project.getRequest(1)).status).to.equal(Status.SecretaryApproved);
+
+        await expect(project.connect(requester).amendRequest(1, [recipient1.address], [ethers.parseEther("5000")], "Travel", "QmDoc"))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+        expect(await project.getCommitteeAdditionalApprovers(1)).to.deep.equal([committee.address]);
+    });
+});
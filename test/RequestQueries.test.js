@@ -0,0 +1,96 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Request Queries", function () {
+    const Status = { Pending: 0, Cancelled: 6 };
+
+    async function deployFixture() {
+        const [factory, admin, requester1, requester2, recipient1, recipient2] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-QUERY-001", await omthbToken.getAddress(), ethers.parseEther("100000"), admin.address);
+
+        const REQUESTER_ROLE = await project.REQUESTER_ROLE();
+        await project.grantRoleDirect(REQUESTER_ROLE, requester1.address);
+        await project.grantRoleDirect(REQUESTER_ROLE, requester2.address);
+
+        // Requests 0-5 alternate between requesters; 1 and 4 get cancelled
+        for (let i = 0; i < 6; i++) {
+            const requester = i % 2 === 0 ? requester1 : requester2;
+            await project.connect(requester).createRequestMultiple(
+                [recipient1.address, recipient2.address],
+                [ethers.parseEther("100"), ethers.parseEther(String(100 + i))],
+                `Request ${i}`, "QmDoc", ethers.ZeroAddress
+            );
+        }
+        await project.connect(requester2).cancelRequest(1);
+        await project.connect(requester1).cancelRequest(4);
+
+        return { project, requester1, requester2 };
+    }
+
+    it("Should return lightweight request summaries", async function () {
+        const { project, requester2 } = await loadFixture(deployFixture);
+
+        expect(await project.getRequestCount()).to.equal(6);
+
+        const summary = await project.getRequestSummary(3);
+        expect(summary.id).to.equal(3);
+        expect(summary.requester).to.equal(requester2.address);
+        expect(summary.totalAmount).to.equal(ethers.parseEther("203"));
+        expect(summary.recipientCount).to.equal(2);
+        expect(summary.status).to.equal(Status.Pending);
+    });
+
+    it("Should page through requests by status with a cursor", async function () {
+        const { project } = await loadFixture(deployFixture);
+
+        let [summaries, nextOffset] = await project.getRequestsByStatus(Status.Pending, 0, 2);
+        expect(summaries.map(s => s.id)).to.deep.equal([0n, 2n]);
+        expect(nextOffset).to.equal(3);
+
+        [summaries, nextOffset] = await project.getRequestsByStatus(Status.Pending, nextOffset, 2);
+        expect(summaries.map(s => s.id)).to.deep.equal([3n, 5n]);
+
+        [summaries, nextOffset] = await project.getRequestsByStatus(Status.Pending, nextOffset, 2);
+        expect(summaries).to.be.empty;
+        expect(nextOffset).to.equal(6);
+
+        [summaries] = await project.getRequestsByStatus(Status.Cancelled, 0, 10);
+        expect(summaries.map(s => s.id)).to.deep.equal([1n, 4n]);
+
+        await expect(project.getRequestsByStatus(Status.Pending, 0, 0))
+            .to.be.revertedWithCustomError(project, "ArrayLengthExceeded");
+        await expect(project.getRequestsByStatus(Status.Pending, 0, 101))
+            .to.be.revertedWithCustomError(project, "ArrayLengthExceeded");
+    });
+
+    it("Should page through a requester's history including closed requests", async function () {
+        const { project, requester1 } = await loadFixture(deployFixture);
+
+        let [summaries, total] = await project.getRequestsByRequester(requester1.address, 0, 2);
+        expect(total).to.equal(3);
+        expect(summaries.map(s => s.id)).to.deep.equal([0n, 2n]);
+
+        [summaries] = await project.getRequestsByRequester(requester1.address, 2, 2);
+        expect(summaries.map(s => s.id)).to.deep.equal([4n]);
+        expect(summaries[0].status).to.equal(Status.Cancelled);
+
+        [summaries] = await project.getRequestsByRequester(requester1.address, 5, 2);
+        expect(summaries).to.be.empty;
+    });
+
+    it("Should page through active requests", async function () {
+        const { project } = await loadFixture(deployFixture);
+
+        const [ids, total] = await project.getActiveRequestsPaginated(1, 10);
+        expect(total).to.equal(4);
+        expect(ids).to.have.length(3);
+    });
+});
@@ -0,0 +1,91 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Approver Rejection", function () {
+    const Status = { Pending: 0, SecretaryApproved: 1, CommitteeApproved: 2, Rejected: 7 };
+    const Reason = { InsufficientDocumentation: 1, IncorrectAmount: 3 };
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee, finance, requester, recipient, outsider] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-REJECT-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        await project.grantRoleDirect(await project.COMMITTEE_ROLE(), committee.address);
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("500"), "Travel", "QmDoc");
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        return { project, admin, secretary, committee, finance, requester, outsider, commitAndReveal };
+    }
+
+    it("Should let the secretary reject a pending request", async function () {
+        const { project, secretary } = await loadFixture(deployFixture);
+
+        await expect(project.connect(secretary).rejectRequest(0, Reason.InsufficientDocumentation, "Missing receipt"))
+            .to.emit(project, "RequestRejected")
+            .withArgs(0, secretary.address, Status.Pending, Reason.InsufficientDocumentation, "Missing receipt");
+
+        const request = await project.getRequest(0);
+        expect(request.status).to.equal(Status.Rejected);
+
+        const rejection = await project.getRejection(0);
+        expect(rejection.rejectedBy).to.equal(secretary.address);
+        expect(rejection.stage).to.equal(Status.Pending);
+        expect(rejection.reasonCode).to.equal(Reason.InsufficientDocumentation);
+
+        expect(await project.getActiveRequests()).to.be.empty;
+    });
+
+    it("Should only allow the approver of the current stage to reject", async function () {
+        const { project, secretary, committee, finance, outsider, commitAndReveal } = await loadFixture(deployFixture);
+
+        await expect(project.connect(committee).rejectRequest(0, Reason.IncorrectAmount, ""))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(outsider).rejectRequest(0, Reason.IncorrectAmount, ""))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+
+        await expect(project.connect(finance).rejectRequest(0, Reason.IncorrectAmount, ""))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(committee).rejectRequest(0, Reason.IncorrectAmount, "Amount mismatch"))
+            .to.emit(project, "RequestRejected")
+            .withArgs(0, committee.address, Status.SecretaryApproved, Reason.IncorrectAmount, "Amount mismatch");
+    });
+
+    it("Should block further actions on a rejected request", async function () {
+        const { project, secretary, requester } = await loadFixture(deployFixture);
+
+        await project.connect(secretary).rejectRequest(0, Reason.InsufficientDocumentation, "");
+
+        await expect(project.connect(secretary).rejectRequest(0, Reason.InsufficientDocumentation, ""))
+            .to.be.revertedWithCustomError(project, "RequestNotFound");
+        await expect(project.connect(secretary).commitApproval(0, ethers.ZeroHash))
+            .to.be.revertedWithCustomError(project, "RequestNotFound");
+        await expect(project.connect(requester).cancelRequest(0))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+        expect(await project.isRequestAbandoned(0)).to.equal(false);
+    });
+});
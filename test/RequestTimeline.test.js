@@ -0,0 +1,107 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Request Timeline", function () {
+    const Status = {
+        Pending: 0, SecretaryApproved: 1, CommitteeApproved: 2, FinanceApproved: 3,
+        DirectorApproved: 4, Distributed: 5, Cancelled: 6, Rejected: 7
+    };
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, recipient] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-TIMELINE-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("10000"));
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("500"), "Travel", "QmDoc");
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        return {
+            project, secretary, committee1, committee2, committee3, committee4,
+            finance, director, requester, commitAndReveal
+        };
+    }
+
+    it("Should record every stage through distribution", async function () {
+        const {
+            project, secretary, committee1, committee2, committee3, committee4,
+            finance, director, requester, commitAndReveal
+        } = await loadFixture(deployFixture);
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        await commitAndReveal(committee1, "approveByCommittee", 0);
+        await commitAndReveal(finance, "approveByFinance", 0);
+        for (const member of [committee2, committee3, committee4]) {
+            await commitAndReveal(member, "approveByCommitteeAdditional", 0);
+        }
+        await commitAndReveal(director, "approveByDirector", 0);
+
+        const timeline = await project.getRequestTimeline(0);
+        expect(timeline.map(entry => Number(entry.status))).to.deep.equal([
+            Status.Pending, Status.SecretaryApproved, Status.CommitteeApproved, Status.FinanceApproved,
+            Status.FinanceApproved, Status.FinanceApproved, Status.FinanceApproved,
+            Status.DirectorApproved, Status.Distributed
+        ]);
+        expect(timeline.map(entry => entry.actor)).to.deep.equal([
+            requester.address, secretary.address, committee1.address, finance.address,
+            committee2.address, committee3.address, committee4.address, director.address, director.address
+        ]);
+
+        // Timestamps are non-decreasing and the secretary acted after the reveal window
+        expect(timeline[1].timestamp - timeline[0].timestamp).to.be.greaterThanOrEqual(1801n);
+        for (let i = 1; i < timeline.length; i++) {
+            expect(timeline[i].timestamp).to.be.greaterThanOrEqual(timeline[i - 1].timestamp);
+        }
+    });
+
+    it("Should record rejections with the note hash", async function () {
+        const { project, secretary } = await loadFixture(deployFixture);
+
+        await project.connect(secretary).rejectRequest(0, 1, "Missing receipt");
+
+        const timeline = await project.getRequestTimeline(0);
+        expect(timeline).to.have.length(2);
+        expect(timeline[1].status).to.equal(Status.Rejected);
+        expect(timeline[1].actor).to.equal(secretary.address);
+        expect(timeline[1].noteHash).to.equal(ethers.id("Missing receipt"));
+    });
+
+    it("Should record cancellations", async function () {
+        const { project, requester } = await loadFixture(deployFixture);
+
+        await project.connect(requester).cancelRequest(0);
+
+        const timeline = await project.getRequestTimeline(0);
+        expect(timeline[1].status).to.equal(Status.Cancelled);
+        expect(timeline[1].actor).to.equal(requester.address);
+        expect(timeline[1].noteHash).to.equal(ethers.ZeroHash);
+    });
+});
@@ -0,0 +1,125 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Scheduled Release", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, recipient, keeper] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-SCHEDULE-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("10000"));
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("500"), "Monthly stipend", "QmDoc");
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        async function approveFully(requestId) {
+            await commitAndReveal(secretary, "approveBySecretary", requestId);
+            await commitAndReveal(committee1, "approveByCommittee", requestId);
+            await commitAndReveal(finance, "approveByFinance", requestId);
+            for (const member of [committee2, committee3, committee4]) {
+                await commitAndReveal(member, "approveByCommitteeAdditional", requestId);
+            }
+            return commitAndReveal(director, "approveByDirector", requestId);
+        }
+
+        return { project, omthbToken, admin, requester, recipient, keeper, approveFully, commitAndReveal, secretary };
+    }
+
+    it("Should lock funds on approval and let anyone release them on the date", async function () {
+        const { project, omthbToken, requester, recipient, keeper, approveFully } = await loadFixture(deployFixture);
+        const releaseAt = (await time.latest()) + 10 * DAY;
+
+        await expect(project.connect(requester).setRequestReleaseDate(0, releaseAt))
+            .to.emit(project, "ReleaseDateSet").withArgs(0, releaseAt);
+        expect(await project.getReleaseDate(0)).to.equal(releaseAt);
+
+        await expect(approveFully(0)).to.emit(project, "DistributionScheduled").withArgs(0, releaseAt);
+        expect((await project.getRequest(0)).status).to.equal(4);
+        expect(await project.lockedAmounts(0)).to.equal(ethers.parseEther("500"));
+        expect(await project.getAvailableBalance()).to.equal(ethers.parseEther("9500"));
+
+        await expect(project.connect(keeper).releaseScheduledDistribution(0))
+            .to.be.revertedWithCustomError(project, "ReleaseNotDue");
+
+        await time.increaseTo(releaseAt);
+        await expect(project.connect(keeper).releaseScheduledDistribution(0))
+            .to.emit(project, "FundsDistributed");
+
+        expect((await project.getRequest(0)).status).to.equal(5);
+        expect(await omthbToken.balanceOf(recipient.address)).to.equal(ethers.parseEther("500"));
+        await expect(project.connect(keeper).releaseScheduledDistribution(0))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+    });
+
+    it("Should expire a scheduled release after the payment deadline", async function () {
+        const { project, requester, keeper, approveFully } = await loadFixture(deployFixture);
+        const releaseAt = (await time.latest()) + 10 * DAY;
+
+        await project.connect(requester).setRequestReleaseDate(0, releaseAt);
+        await approveFully(0);
+        expect((await project.getRequest(0)).paymentDeadline).to.equal(releaseAt + 7 * DAY);
+
+        await time.increaseTo(releaseAt + 7 * DAY + 1);
+        await expect(project.connect(keeper).releaseScheduledDistribution(0))
+            .to.be.revertedWithCustomError(project, "PaymentDeadlineExpired");
+
+        // The requester can still cancel to free the locked funds
+        await project.connect(requester).cancelRequest(0);
+        expect(await project.lockedAmounts(0)).to.equal(0);
+    });
+
+    it("Should pay immediately when the date has passed by final approval", async function () {
+        const { project, requester, approveFully } = await loadFixture(deployFixture);
+
+        await project.connect(requester).setRequestReleaseDate(0, (await time.latest()) + 3600);
+        await expect(approveFully(0)).to.emit(project, "FundsDistributed");
+        expect((await project.getRequest(0)).status).to.equal(5);
+    });
+
+    it("Should validate who sets the date and when", async function () {
+        const { project, requester, keeper, commitAndReveal, secretary } = await loadFixture(deployFixture);
+        const now = await time.latest();
+
+        await expect(project.connect(keeper).setRequestReleaseDate(0, now + DAY))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+        await expect(project.connect(requester).setRequestReleaseDate(0, now))
+            .to.be.revertedWithCustomError(project, "InvalidAmount");
+        await expect(project.connect(requester).setRequestReleaseDate(0, now + 366 * DAY))
+            .to.be.revertedWithCustomError(project, "InvalidAmount");
+        await expect(project.connect(keeper).releaseScheduledDistribution(0))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+
+        await commitAndReveal(secretary, "approveBySecretary", 0);
+        await expect(project.connect(requester).setRequestReleaseDate(0, now + DAY))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+    });
+});
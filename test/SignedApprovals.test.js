@@ -0,0 +1,129 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("EIP-712 Signed Approvals", function () {
+    const Stage = { Secretary: 0, Committee: 1, Finance: 2, CommitteeAdditional: 3, Director: 4 };
+    const Status = { Pending: 0, SecretaryApproved: 1, CommitteeApproved: 2, Distributed: 5 };
+    const types = {
+        Approval: [
+            { name: "requestId", type: "uint256" },
+            { name: "stage", type: "uint8" },
+            { name: "version", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    };
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, recipient, relayer] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-SIGNED-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("10000"));
+
+        await project.connect(requester).createRequest(recipient.address, ethers.parseEther("500"), "Travel", "QmDoc");
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = {
+            name: "ProjectReimbursement",
+            version: "1",
+            chainId,
+            verifyingContract: await project.getAddress()
+        };
+
+        async function sign(signer, requestId, stage, { version = 0, deadline } = {}) {
+            deadline = deadline ?? (await time.latest()) + 3600;
+            const signature = await signer.signTypedData(domain, types, { requestId, stage, version, deadline });
+            return { requestId, stage, deadline, signature };
+        }
+
+        return {
+            project, omthbToken, secretary, committee1, committee2, committee3, committee4,
+            finance, director, requester, recipient, relayer, sign
+        };
+    }
+
+    it("Should match the on-chain digest", async function () {
+        const { project, sign } = await loadFixture(deployFixture);
+        const { chainId } = await ethers.provider.getNetwork();
+        const deadline = (await time.latest()) + 3600;
+
+        const digest = ethers.TypedDataEncoder.hash(
+            { name: "ProjectReimbursement", version: "1", chainId, verifyingContract: await project.getAddress() },
+            types,
+            { requestId: 0, stage: Stage.Secretary, version: 0, deadline }
+        );
+        expect(await project.getApprovalDigest(0, Stage.Secretary, deadline)).to.equal(digest);
+    });
+
+    it("Should let a relayer submit the whole approval chain in one transaction", async function () {
+        const {
+            project, omthbToken, secretary, committee1, committee2, committee3, committee4,
+            finance, director, recipient, relayer, sign
+        } = await loadFixture(deployFixture);
+
+        const approvals = [
+            await sign(secretary, 0, Stage.Secretary),
+            await sign(committee1, 0, Stage.Committee),
+            await sign(finance, 0, Stage.Finance),
+            await sign(committee2, 0, Stage.CommitteeAdditional),
+            await sign(committee3, 0, Stage.CommitteeAdditional),
+            await sign(committee4, 0, Stage.CommitteeAdditional),
+            await sign(director, 0, Stage.Director)
+        ];
+
+        await expect(project.connect(relayer).submitSignedApprovals(approvals))
+            .to.emit(project, "SignedApprovalSubmitted")
+            .withArgs(0, secretary.address, relayer.address, Status.SecretaryApproved);
+
+        expect((await project.getRequest(0)).status).to.equal(Status.Distributed);
+        expect(await omthbToken.balanceOf(recipient.address)).to.equal(ethers.parseEther("500"));
+    });
+
+    it("Should reject signatures from the wrong role, after the deadline, or for another stage", async function () {
+        const { project, secretary, committee1, relayer, sign } = await loadFixture(deployFixture);
+
+        await expect(project.connect(relayer).submitSignedApproval(await sign(committee1, 0, Stage.Secretary)))
+            .to.be.revertedWithCustomError(project, "AccessControlUnauthorizedAccount");
+
+        const expired = await sign(secretary, 0, Stage.Secretary, { deadline: (await time.latest()) - 1 });
+        await expect(project.connect(relayer).submitSignedApproval(expired))
+            .to.be.revertedWithCustomError(project, "SignatureExpired");
+
+        await expect(project.connect(relayer).submitSignedApproval(await sign(committee1, 0, Stage.Committee)))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+
+        // A signature for one stage cannot be replayed for another
+        const tampered = await sign(secretary, 0, Stage.Secretary);
+        tampered.stage = Stage.Committee;
+        await expect(project.connect(relayer).submitSignedApproval(tampered))
+            .to.be.revertedWithCustomError(project, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should invalidate signatures given for a version that was amended", async function () {
+        const { project, secretary, requester, recipient, relayer, sign } = await loadFixture(deployFixture);
+
+        const stale = await sign(secretary, 0, Stage.Secretary);
+        await project.connect(requester).amendRequest(0, [recipient.address], [ethers.parseEther("900")], "Travel", "QmDoc");
+
+        await expect(project.connect(relayer).submitSignedApproval(stale))
+            .to.be.revertedWithCustomError(project, "AccessControlUnauthorizedAccount");
+
+        await project.connect(relayer).submitSignedApproval(await sign(secretary, 0, Stage.Secretary, { version: 1 }));
+        expect((await project.getRequest(0)).status).to.equal(Status.SecretaryApproved);
+    });
+});
@@ -0,0 +1,203 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementFactory } = require("./helpers/projectReimbursement");
+
+describe("Distribution Velocity Limits", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function deployFixture() {
+        const [factory, admin, secretary, committee1, committee2, committee3, committee4, finance, director, requester, recipient, outsider, admin2] = await ethers.getSigners();
+
+        const MockOMTHB = await ethers.getContractFactory("contracts/mocks/MockOMTHB.sol:MockOMTHB");
+        const omthbToken = await MockOMTHB.deploy();
+
+        const ProjectReimbursement = await getProjectReimbursementFactory();
+        const project = await ProjectReimbursement.deploy(await deployProjectModules());
+        await project.initialize("PROJ-VELOCITY-001", await omthbToken.getAddress(), ethers.parseEther("10000"), admin.address);
+
+        await project.grantRoleDirect(await project.SECRETARY_ROLE(), secretary.address);
+        for (const member of [committee1, committee2, committee3, committee4]) {
+            await project.grantRoleDirect(await project.COMMITTEE_ROLE(), member.address);
+        }
+        await project.grantRoleDirect(await project.FINANCE_ROLE(), finance.address);
+        await project.grantRoleDirect(await project.DIRECTOR_ROLE(), director.address);
+        await project.grantRoleDirect(await project.REQUESTER_ROLE(), requester.address);
+        await project.grantRoleDirect(await project.DEFAULT_ADMIN_ROLE(), admin2.address);
+
+        // Caps are set through the timelock (the contract's own queue)
+        const timelock = await ethers.getImpersonatedSigner(await project.getAddress());
+        await setBalance(timelock.address, ethers.parseEther("1"));
+
+        await omthbToken.mint(await project.getAddress(), ethers.parseEther("10000"));
+
+        for (let i = 0; i < 2; i++) {
+            await project.connect(requester).createRequest(recipient.address, ethers.parseEther("500"), "Equipment", "QmDoc");
+        }
+
+        const { chainId } = await ethers.provider.getNetwork();
+
+        async function commit(signer, requestId) {
+            const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const commitment = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256", "uint256"],
+                [signer.address, requestId, chainId, nonce]
+            );
+            await project.connect(signer).commitApproval(requestId, commitment);
+            return nonce;
+        }
+
+        async function commitAndReveal(signer, method, requestId) {
+            const nonce = await commit(signer, requestId);
+            await time.increase(1801);
+            return project.connect(signer)[method](requestId, nonce);
+        }
+
+        // Approve both requests up to the director, then reveal both director approvals early in the same day
+        async function approveBoth() {
+            for (const requestId of [0, 1]) {
+                await commitAndReveal(secretary, "approveBySecretary", requestId);
+                await commitAndReveal(committee1, "approveByCommittee", requestId);
+                await commitAndReveal(finance, "approveByFinance", requestId);
+                for (const member of [committee2, committee3, committee4]) {
+                    await commitAndReveal(member, "approveByCommitteeAdditional", requestId);
+                }
+            }
+            const nonces = [await commit(director, 0), await commit(director, 1)];
+            const dayStart = Math.floor((await time.latest()) / DAY + 1) * DAY;
+            await time.increaseTo(dayStart + 3600);
+
+            await project.connect(director).approveByDirector(0, nonces[0]);
+            return project.connect(director).approveByDirector(1, nonces[1]);
+        }
+
+        return { project, omthbToken, admin, admin2, finance, director, requester, recipient, outsider, timelock, approveBoth };
+    }
+
+    it("Should validate and store the caps", async function () {
+        const { project, admin, timelock } = await loadFixture(deployFixture);
+
+        await expect(project.connect(timelock).setVelocityLimits(ethers.parseEther("600"), ethers.parseEther("800")))
+            .to.emit(project, "VelocityLimitsUpdated")
+            .withArgs(ethers.parseEther("600"), ethers.parseEther("800"));
+
+        const limits = await project.velocityLimits();
+        expect(limits.dailyCap).to.equal(ethers.parseEther("600"));
+        expect(limits.weeklyCap).to.equal(ethers.parseEther("800"));
+
+        await expect(project.connect(timelock).setVelocityLimits(ethers.parseEther("900"), ethers.parseEther("800")))
+            .to.be.revertedWithCustomError(project, "InvalidAmount");
+        await expect(project.connect(admin).setVelocityLimits(0, 0))
+            .to.be.revertedWithCustomError(project, "UnauthorizedApprover");
+    });
+
+    it("Should queue a distribution over the daily cap and release it the next day", async function () {
+        const { project, omthbToken, recipient, outsider, timelock, approveBoth } = await loadFixture(deployFixture);
+        await project.connect(timelock).setVelocityLimits(ethers.parseEther("600"), 0);
+
+        await expect(approveBoth())
+            .to.emit(project, "DistributionQueued").withArgs(1, ethers.parseEther("500"));
+
+        expect((await project.getRequest(0)).status).to.equal(5);
+        expect((await project.getRequest(1)).status).to.equal(4);
+        expect(await project.isDistributionQueued(1)).to.be.true;
+        expect(await project.lockedAmounts(1)).to.equal(ethers.parseEther("500"));
+        expect((await project.getOutflow()).daily).to.equal(ethers.parseEther("500"));
+
+        await expect(project.connect(outsider).releaseQueuedDistribution(1))
+            .to.be.revertedWithCustomError(project, "VelocityLimitExceeded");
+
+        await time.increase(DAY);
+        await expect(project.connect(outsider).releaseQueuedDistribution(1))
+            .to.emit(project, "QueuedDistributionReleased").withArgs(1, outsider.address, false);
+
+        expect((await project.getRequest(1)).status).to.equal(5);
+        expect(await project.isDistributionQueued(1)).to.be.false;
+        expect(await omthbToken.balanceOf(recipient.address)).to.equal(ethers.parseEther("1000"));
+        await expect(project.releaseQueuedDistribution(1)).to.be.revertedWithCustomError(project, "InvalidStatus");
+    });
+
+    it("Should hold a distribution until the rolling week has room", async function () {
+        const { project, outsider, timelock, approveBoth } = await loadFixture(deployFixture);
+        await project.connect(timelock).setVelocityLimits(0, ethers.parseEther("800"));
+
+        await approveBoth();
+        expect(await project.isDistributionQueued(1)).to.be.true;
+
+        await time.increase(3 * DAY);
+        await expect(project.connect(outsider).releaseQueuedDistribution(1))
+            .to.be.revertedWithCustomError(project, "VelocityLimitExceeded");
+
+        // The first payout leaves the 7-day window, and the payment deadline restarts at release
+        await time.increase(4 * DAY);
+        await project.connect(outsider).releaseQueuedDistribution(1);
+        expect((await project.getRequest(1)).status).to.equal(5);
+    });
+
+    it("Should release above the caps with critical-operation approval", async function () {
+        const { project, admin, admin2, director, timelock, approveBoth } = await loadFixture(deployFixture);
+        await project.connect(timelock).setVelocityLimits(ethers.parseEther("600"), 0);
+        await approveBoth();
+
+        const operationId = async () => {
+            const now = BigInt(await time.latest());
+            const window = now - (now % 300n);
+            return ethers.solidityPackedKeccak256(["string", "uint256", "uint256"], ["velocityOverride", 1, window]);
+        };
+
+        // Directors cannot approve overrides, only admins
+        await expect(project.connect(director).approveVelocityOverride(1))
+            .to.be.revertedWithCustomError(project, "AccessControlUnauthorizedAccount");
+
+        await time.setNextBlockTimestamp(Math.floor((await time.latest()) / 300 + 1) * 300);
+        const tx = await project.connect(admin).approveVelocityOverride(1);
+        await expect(tx).to.emit(project, "CriticalOperationApproved").withArgs(await operationId(), admin.address, 1);
+        await expect(project.connect(admin).approveVelocityOverride(1))
+            .to.be.revertedWithCustomError(project, "AlreadyApproved");
+        expect((await project.getRequest(1)).status).to.equal(4);
+
+        await expect(project.connect(admin2).approveVelocityOverride(1))
+            .to.emit(project, "QueuedDistributionReleased").withArgs(1, admin2.address, true);
+
+        expect((await project.getRequest(1)).status).to.equal(5);
+        expect((await project.getOutflow()).daily).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should let override approvals expire with their time window", async function () {
+        const { project, admin, admin2, timelock, approveBoth } = await loadFixture(deployFixture);
+        await project.connect(timelock).setVelocityLimits(ethers.parseEther("600"), 0);
+        await approveBoth();
+
+        await project.connect(admin).approveVelocityOverride(1);
+        await time.increase(300);
+
+        // The second approval starts a new operation instead of completing the stale one
+        await expect(project.connect(admin2).approveVelocityOverride(1))
+            .to.not.emit(project, "QueuedDistributionReleased");
+        expect(await project.isDistributionQueued(1)).to.be.true;
+    });
+
+    it("Should queue a milestone tranche over the cap with its document", async function () {
+        const { project, finance, requester, outsider, timelock, approveBoth } = await loadFixture(deployFixture);
+        await project.connect(timelock).setVelocityLimits(ethers.parseEther("600"), 0);
+        await project.connect(requester).setRequestMilestones(0, [5000, 5000]);
+
+        // Request 1 pays 500 today, so the 250 tranche of request 0 no longer fits
+        await approveBoth();
+        await expect(project.connect(finance).releaseTranche(0, "QmFoundation"))
+            .to.emit(project, "DistributionQueued").withArgs(0, ethers.parseEther("250"));
+        expect(await project.isDistributionQueued(0)).to.be.true;
+        await expect(project.connect(finance).releaseTranche(0, "QmOther"))
+            .to.be.revertedWithCustomError(project, "InvalidStatus");
+        await expect(project.connect(outsider).releaseQueuedDistribution(0))
+            .to.be.revertedWithCustomError(project, "VelocityLimitExceeded");
+
+        await time.increase(DAY);
+        await expect(project.connect(outsider).releaseQueuedDistribution(0))
+            .to.emit(project, "TrancheReleased").withArgs(0, 0, ethers.parseEther("250"), "QmFoundation");
+
+        expect((await project.getRequest(0)).status).to.equal(8);
+        expect(await project.getTrancheDocuments(0)).to.deep.equal(["QmFoundation"]);
+        expect(await project.lockedAmounts(0)).to.equal(ethers.parseEther("250"));
+    });
+});
@@ -0,0 +1,2 @@
+// Project deployment helpers, shared with the deploy scripts
+module.exports = require("../../scripts/lib/projectReimbursement");
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProjectModules, getProjectReimbursementAt } = require("./helpers/projectReimbursement");
 
 describe("ProjectReimbursement Basic Test", function () {
   // Constants
@@ -25,7 +26,7 @@ describe("ProjectReimbursement Basic Test", function () {
     
     // Deploy ProjectReimbursement implementation
     const ProjectReimbursement = await ethers.getContractFactory("ProjectReimbursementOptimized");
-    const projectImplementation = await ProjectReimbursement.deploy();
+    const projectImplementation = await ProjectReimbursement.deploy(await deployProjectModules());
     await projectImplementation.waitForDeployment();
     
     // Deploy ProjectFactory
@@ -59,7 +60,7 @@ describe("ProjectReimbursement Basic Test", function () {
     });
     
     const projectAddress = projectCreatedEvent.args.contractAddr;
-    const project = await ethers.getContractAt("ProjectReimbursementOptimized", projectAddress);
+    const project = await getProjectReimbursementAt(projectAddress);
     
     // Setup roles
     await project.connect(admin).grantRoleDirect(REQUESTER_ROLE, requester.address);